@@ -47,6 +47,10 @@
     // Reservas (Cloud Run)
     let RES_RAW = [];
     let RES_LAST_Q = "";
+    let PROP_REGISTRY = [];     // /api/properties (registro de alojamientos: nombre, grupo, vigencia)
+    let RES_OCC = null;         // respuesta de /api/analytics/occupancy (groupBy=month)
+    let RES_OCC_Q = "";
+    let RES_OCC_ERR = null;     // mensaje si falló la última carga de RES_OCC_Q
     let SELECTED_KEY = null;
     let SELECTED_SRC = null;
     let CURRENT_VIEW = 'detalle';
@@ -158,7 +162,9 @@
       setRightView('detalle');
       syncTipoUI();
       if(v==='R'){
-        loadReservations(true).then(()=>{ try{ renderResFilterPanels(); }catch(e){}; render(); });
+        RES_OCC_Q = ""; // fuerza recarga de ocupación / pace al entrar a la pestaña
+        RES_PACE_Q = "";
+        Promise.all([loadReservations(true), loadPropertyRegistry()]).then(()=>{ try{ renderResFilterPanels(); }catch(e){}; render(); });
       }
       render();
     }
@@ -227,21 +233,158 @@
       return String(resField(r, ["bookingType","type","channel","source","origen","fuente","plataforma"], "—")).trim() || "—";
     }
 
+    // ------------------ Reconocimiento de ingresos (reservas) ------------------
+    // Base (parámetro del menú, se guarda en este navegador):
+    //   stay    => prorrata por noche: cada mes recibe total × (noches en el mes / noches)
+    //   checkin => todo al mes de llegada
+    //   booking => todo al mes en que se hizo la reserva (createdAt)
+    const REVENUE_BASIS_KEY = 'revenue_basis_v1';
+    const REVENUE_BASES = {stay:'Por estancia (noches)', checkin:'Por check-in', booking:'Por fecha de reserva'};
+    let REVENUE_BASIS = 'stay';
+
+    function loadRevenueBasisParam(){
+      try{
+        const saved = localStorage.getItem(REVENUE_BASIS_KEY);
+        if(saved && REVENUE_BASES[saved]) REVENUE_BASIS = saved;
+      }catch(e){}
+      const sel = document.getElementById('revBasis');
+      if(sel){
+        sel.innerHTML = Object.entries(REVENUE_BASES).map(([k,v])=>`<option value="${k}">${escHtml(v)}</option>`).join('');
+        sel.value = REVENUE_BASIS;
+        sel.addEventListener('change', ()=>{
+          if(!REVENUE_BASES[sel.value]) return;
+          REVENUE_BASIS = sel.value;
+          try{ localStorage.setItem(REVENUE_BASIS_KEY, REVENUE_BASIS); }catch(e){}
+          // el server decide qué reservas entran al año según la base => recargar
+          loadReservations(true).then(()=>{
+            render();
+            if(document.getElementById('finOverlay')?.classList.contains('show')){ try{ renderFinanceModule(); }catch(e){} }
+          });
+        });
+      }
+    }
+
+    const resCheckIn  = (r)=> String(resField(r, ["checkIn","arrival","startDate","start","desde","fechaEntrada"], "")).slice(0,10);
+    const resCheckOut = (r)=> String(resField(r, ["checkOut","departure","endDate","end","hasta","fechaSalida"], "")).slice(0,10);
+    const resAmount   = (r)=> Number(resField(r, ["total","amount","importe","monto","price","totalAmount","revenue","payout"], 0)) || 0;
+    // comisiones del canal (server: COMISIONES POR CANAL); sin el campo => neto = bruto
+    const resFees     = (r)=> Number(resField(r, ["fees","comisiones"], 0)) || 0;
+    const resNet      = (r)=> resAmount(r) - resFees(r);
+    const resNights   = (r)=> Number(resField(r, ["nights","noches","nightCount"], "")) || nightsBetween(resCheckIn(r), resCheckOut(r)) || 0;
+    const ymOf = (s)=> /^\d{4}-\d{2}/.test(String(s||"")) ? String(s).slice(0,7) : "";
+    // 'YYYY-MM-DD' en la hora local del navegador (toISOString es UTC: de noche ya sería mañana)
+    const localIsoDate = (d=new Date())=> `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+
+    // Partes reconocidas de una reserva: [{ym:'2025-01', amount, nights}]
+    function recognizeReservation(r, basis=REVENUE_BASIS){
+      const amount = resAmount(r);
+      const nights = resNights(r);
+      const checkIn = resCheckIn(r);
+
+      if(basis==='booking'){
+        const ym = ymOf(resField(r, ["createdAt","created_at","bookedAt","fechaReserva"], "")) || ymOf(checkIn);
+        return ym ? [{ym, amount, nights}] : [];
+      }
+      const d0 = new Date(checkIn + "T00:00:00Z");
+      if(basis==='checkin' || nights<=0 || !isFinite(d0.getTime())){
+        const ym = ymOf(checkIn);
+        return ym ? [{ym, amount, nights}] : [];
+      }
+
+      const byMonth = new Map();
+      for(let i=0; i<nights; i++){
+        const d = new Date(d0.getTime() + i*86400000);
+        const ym = d.toISOString().slice(0,7);
+        byMonth.set(ym, (byMonth.get(ym)||0) + 1);
+      }
+      return [...byMonth].map(([ym,n])=>({ym, amount: amount*n/nights, nights: n}));
+    }
+
+    // Lo reconocido dentro del año (sin año => todo). `inYear` = false si nada cae en el año.
+    function recognizedInYear(r, year, basis=REVENUE_BASIS){
+      const parts = recognizeReservation(r, basis);
+      if(!parts.length) return {amount: resAmount(r), nights: resNights(r), inYear: !year || resYear(r)===year};
+      const sel = year ? parts.filter(p=>p.ym.startsWith(year + "-")) : parts;
+      return {
+        amount: sel.reduce((a,p)=>a+p.amount,0),
+        nights: sel.reduce((a,p)=>a+p.nights,0),
+        inYear: sel.length>0
+      };
+    }
+
+    // Ingreso reconocido por mes: Map('YYYY-MM' -> monto)
+    function revenueByMonth(recs, basis=REVENUE_BASIS){
+      const m = new Map();
+      for(const r of recs){
+        for(const p of recognizeReservation(r, basis)) m.set(p.ym, (m.get(p.ym)||0) + p.amount);
+      }
+      return m;
+    }
+
+    async function loadPropertyRegistry(){
+      try{
+        const base = (APP_CONFIG.reservationsApiBase || "").replace(/\/$/,"");
+        // registryEndpoint, no propertiesEndpoint: ese es el proxy crudo de Lodgify (sin registered,
+        // grupo, dueño, aliases, unidades ni vigencia)
+        const ep = APP_CONFIG.registryEndpoint || "/api/properties";
+        const ctrl = new AbortController();
+        const t = setTimeout(()=>ctrl.abort(), Number(APP_CONFIG.timeoutMs||15000));
+        const res = await fetch(base + ep, {cache:"no-store", signal: ctrl.signal});
+        clearTimeout(t);
+        if(!res.ok) throw new Error("HTTP "+res.status);
+        const payload = await res.json();
+        const items = Array.isArray(payload.items) ? payload.items : [];
+        if(items.length && !items.every(p=>typeof p.registered === 'boolean')){
+          throw new Error(`${ep} no es el registro de alojamientos (falta "registered")`);
+        }
+        PROP_REGISTRY = items;
+        return true;
+      }catch(e){
+        console.warn("Registro de alojamientos: fetch falló", e);
+        return false;
+      }
+    }
+
+    // ¿Alojamiento vigente en el año? (sin año => siempre)
+    function registryActiveInYear(p, year){
+      if(!year) return true;
+      if(p.activeFrom && p.activeFrom > year + "-12-31") return false;
+      if(p.activeTo && p.activeTo < year + "-01-01") return false;
+      return true;
+    }
+
+    // Alojamientos: los que traen las reservas + los registrados vigentes (aunque no tengan reservas),
+    // ordenados por grupo del registro y luego por nombre.
     function buildResOptions(){
-      const props = uniqSorted(RES_RAW.map(r=>resProp(r)).filter(x=>x && x!=="—"));
+      const year = selectedYearFallback();
+      const registered = PROP_REGISTRY.filter(p=>p.registered && registryActiveInYear(p, year)).map(p=>p.name);
+      const groupOf = new Map(PROP_REGISTRY.filter(p=>norm(p.group)).map(p=>[norm(p.name), norm(p.group)]));
+      const props = uniqSorted([...RES_RAW.map(r=>resProp(r)), ...registered].filter(x=>x && x!=="—"))
+        .sort((a,b)=> !groupOf.get(a) - !groupOf.get(b) || (groupOf.get(a)||'').localeCompare(groupOf.get(b)||'','es') || a.localeCompare(b,'es'));
       const types = uniqSorted(RES_RAW.map(r=>resType(r)).filter(x=>x && x!=="—"));
-      return {props, types};
+      return {props, types, groupOf};
     }
 
     function renderResFilterPanels(){
-      const {props, types} = buildResOptions();
+      const {props, types, groupOf} = buildResOptions();
 
       const propWrap = document.getElementById('resProps');
       const typeWrap = document.getElementById('resTypes');
 
       if(propWrap){
         propWrap.innerHTML = '';
+        let lastGroup = null;
         props.forEach(v=>{
+          // encabezado de grupo (registro de alojamientos)
+          const g = groupOf.get(v) || '';
+          if(groupOf.size && g !== lastGroup){
+            const h = document.createElement('div');
+            h.className = 'small';
+            h.style.cssText = 'margin:6px 0 2px;color:var(--muted);';
+            h.textContent = g || 'Sin grupo';
+            propWrap.appendChild(h);
+            lastGroup = g;
+          }
           const id = 'rp_' + canon(v).replace(/[^a-z0-9]+/g,'_');
           const lab = document.createElement('label');
           lab.className = 'opt';
@@ -294,18 +437,74 @@
       }
     }
 
+    // GET /api/reservations => arreglo de reservas (lanza error si falla)
+    async function fetchReservations({year="", props=[], types=[], basis=REVENUE_BASIS}={}){
+      const base = (APP_CONFIG.reservationsApiBase || "").replace(/\/$/,"");
+      const ep = APP_CONFIG.reservationsEndpoint || "/api/reservations";
+      const url = new URL(base + ep);
+      if(year) url.searchParams.set("year", year);
+      if(props.length) url.searchParams.set("property", props.join(","));
+      if(types.length) url.searchParams.set("type", types.join(","));
+      url.searchParams.set("basis", basis);
+
+      const ctrl = new AbortController();
+      const t = setTimeout(()=>ctrl.abort(), Number(APP_CONFIG.timeoutMs||15000));
+      const res = await fetch(url.toString(), {cache:"no-store", signal: ctrl.signal});
+      clearTimeout(t);
+      if(!res.ok) throw new Error("HTTP "+res.status);
+
+      const payload = await res.json();
+      const arr = payload.reservations || payload.data || payload.items || payload.records || [];
+      if(!Array.isArray(arr)) throw new Error("Formato inesperado en reservas");
+      return arr;
+    }
+
     async function loadReservations(force=false){
       const year = selectedYearFallback();
       const propsSel = [...RES_FILTER_STATE["Alojamiento"]];
       const typesSel = [...RES_FILTER_STATE["Tipo reserva"]];
-      const q = JSON.stringify({year, propsSel, typesSel});
+      const q = JSON.stringify({year, propsSel, typesSel, basis: REVENUE_BASIS});
       if(!force && RES_LAST_Q === q && RES_RAW.length) return true;
 
+      try{
+        RES_RAW = await fetchReservations({year, props: propsSel, types: typesSel});
+        RES_LAST_Q = q;
+        return true;
+      }catch(e){
+        console.warn("Reservas: fetch falló", e);
+        return false;
+      }
+    }
+
+    // Ocupación / ADR / RevPAR mensual (server-side: reparte noches por mes y cruza con noches disponibles)
+    function occupancyYear(){
+      return selectedYearFallback() || String(new Date().getFullYear());
+    }
+
+    function occupancyQuery(){
+      const year = occupancyYear();
+      const propsSel = [...RES_FILTER_STATE["Alojamiento"]];
+      const typesSel = [...RES_FILTER_STATE["Tipo reserva"]];
+      return {year, propsSel, typesSel, q: JSON.stringify({year, propsSel, typesSel})};
+    }
+
+    async function loadOccupancy(force=false){
+      const {year, propsSel, typesSel, q} = occupancyQuery();
+      if(!force && RES_OCC_Q === q && RES_OCC) return false;
+      // cambió Año / Alojamiento / Tipo: lo anterior ya no aplica (ni los datos ni el error)
+      if(RES_OCC_Q !== q){
+        RES_OCC = null;
+        RES_OCC_Q = q;
+      }
+      RES_OCC_ERR = null;
+
       try{
         const base = (APP_CONFIG.reservationsApiBase || "").replace(/\/$/,"");
-        const ep = APP_CONFIG.reservationsEndpoint || "/api/reservations";
+        const ep = APP_CONFIG.occupancyEndpoint || "/api/analytics/occupancy";
         const url = new URL(base + ep);
-        if(year) url.searchParams.set("year", year);
+        url.searchParams.set("from", year + "-01-01");
+        url.searchParams.set("to", year + "-12-31");
+        url.searchParams.set("groupBy", "month");
         if(propsSel.length) url.searchParams.set("property", propsSel.join(","));
         if(typesSel.length) url.searchParams.set("type", typesSel.join(","));
 
@@ -316,25 +515,601 @@
         if(!res.ok) throw new Error("HTTP "+res.status);
 
         const payload = await res.json();
-        const arr = payload.reservations || payload.data || payload.items || payload.records || [];
-        if(!Array.isArray(arr)) throw new Error("Formato inesperado en reservas");
-        RES_RAW = arr;
-        RES_LAST_Q = q;
+        if(!payload || !Array.isArray(payload.rows)) throw new Error("Formato inesperado en ocupación");
+        if(RES_OCC_Q !== q) return false; // respuesta de una consulta anterior
+        RES_OCC = payload;
         return true;
       }catch(e){
-        console.warn("Reservas: fetch falló", e);
+        console.warn("Ocupación: fetch falló", e);
+        if(RES_OCC_Q !== q) return false;
+        RES_OCC_ERR = e.name === 'AbortError' ? 'tiempo de espera agotado' : e.message;
+        return true; // hay que pintar el error
+      }
+    }
+
+    function occMonthLabel(ym){
+      const d = new Date(ym + "-01T00:00:00");
+      return isFinite(d.getTime()) ? d.toLocaleDateString('es-MX', {month:'short', year:'numeric'}) : ym;
+    }
+
+    function renderOccupancyKpis(){
+      const sub = document.getElementById('resOccSub');
+      const kpis = document.getElementById('resOccKpis');
+      const tb = document.getElementById('tbOcc');
+      if(!sub || !kpis || !tb) return;
+      tb.innerHTML = '';
+
+      // lo guardado es de otra consulta: no pintar datos viejos bajo los filtros nuevos
+      const current = RES_OCC_Q === occupancyQuery().q;
+      if(current && RES_OCC_ERR){
+        sub.textContent = `No se pudo cargar la ocupación: ${RES_OCC_ERR}`;
+        kpis.innerHTML = '';
+        return;
+      }
+      if(!current || !RES_OCC){
+        sub.textContent = 'Cargando ocupación…';
+        kpis.innerHTML = '';
+        return;
+      }
+
+      const t = RES_OCC.totals || {};
+      const money = (v)=> (v===null || v===undefined) ? '—' : fmtMoney(v);
+      // sin noches disponibles el API manda null (fmtPct(null) pintaría "0.0%")
+      const pct = (v)=> (v===null || v===undefined) ? '—' : fmtPct(v);
+      sub.textContent = `${RES_OCC.from} → ${RES_OCC.to} • noches vendidas / disponibles (canceladas excluidas)`;
+      kpis.innerHTML = `
+        <div class="kpi"><div class="t">Ocupación</div><div class="v">${pct(t.occupancy)}</div>
+          <div class="s">${(t.bookedNights||0).toLocaleString('es-MX')} / ${(t.availableNights||0).toLocaleString('es-MX')} noches</div></div>
+        <div class="kpi"><div class="t">ADR</div><div class="v">${money(t.adr)}</div><div class="s">Tarifa promedio por noche vendida</div></div>
+        <div class="kpi"><div class="t">RevPAR</div><div class="v">${money(t.revpar)}</div><div class="s">Ingreso por noche disponible</div></div>
+        <div class="kpi"><div class="t">Ingreso reservado</div><div class="v">${money(t.revenue)}</div>
+          <div class="s">${(t.bookings||0).toLocaleString('es-MX')} reservas</div></div>
+      `;
+
+      for(const r of RES_OCC.rows){
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td>${escHtml(occMonthLabel(r.month))}</td>
+          <td class="num">${pct(r.occupancy)}</td>
+          <td class="num">${money(r.adr)}</td>
+          <td class="num">${money(r.revpar)}</td>
+          <td class="num">${fmtMoney(r.revenue)}</td>
+          <td class="num">${(r.bookedNights||0).toLocaleString('es-MX')} / ${(r.availableNights||0).toLocaleString('es-MX')}</td>
+        `;
+        tb.appendChild(tr);
+      }
+    }
+
+    // Pace: en libros hoy vs mismo día del año pasado (server: /api/analytics/pace)
+    let RES_PACE = null;
+    let RES_PACE_Q = "";
+    const PACE_VIEW = {group:'total', metric:'nights', months:6, key:null};
+
+    async function loadPace(force=false){
+      const propsSel = [...RES_FILTER_STATE["Alojamiento"]];
+      const typesSel = [...RES_FILTER_STATE["Tipo reserva"]];
+      const q = JSON.stringify({propsSel, typesSel, months: PACE_VIEW.months});
+      if(!force && RES_PACE_Q === q && RES_PACE) return false;
+
+      try{
+        const base = (APP_CONFIG.reservationsApiBase || "").replace(/\/$/,"");
+        const ep = APP_CONFIG.paceEndpoint || "/api/analytics/pace";
+        const url = new URL(base + ep, location.href);
+        url.searchParams.set("months", String(PACE_VIEW.months));
+        if(propsSel.length) url.searchParams.set("property", propsSel.join(","));
+        if(typesSel.length) url.searchParams.set("type", typesSel.join(","));
+
+        const ctrl = new AbortController();
+        const t = setTimeout(()=>ctrl.abort(), Number(APP_CONFIG.timeoutMs||15000));
+        const res = await fetch(url.toString(), {cache:"no-store", signal: ctrl.signal});
+        clearTimeout(t);
+        if(!res.ok) throw new Error("HTTP "+res.status);
+
+        const payload = await res.json();
+        if(!payload || !Array.isArray(payload.totals)) throw new Error("Formato inesperado en pace");
+        RES_PACE = payload;
+        RES_PACE_Q = q;
+        return true;
+      }catch(e){
+        console.warn("Pace: fetch falló", e);
+        return false;
+      }
+    }
+
+    const paceVal = (m)=> PACE_VIEW.metric==='revenue' ? fmtMoney(m.revenue) : (m.nights||0).toLocaleString('es-MX');
+    const paceDelta = (ch)=>{
+      const v = ch?.[PACE_VIEW.metric];
+      if(v===null || v===undefined) return '<span class="pill">—</span>';
+      return `<span class="pill ${v>=0 ? 'good' : (v>=-0.1 ? 'warn' : 'bad')}">${v>0 ? '+' : ''}${fmtPct(v)}</span>`;
+    };
+
+    // Barras por mes: en libros (acento) vs año pasado a la misma fecha (gris); raya = año pasado final
+    function paceChartSVG(months){
+      const W = 600, H = 170, padL = 8, padB = 22, padT = 8;
+      const k = PACE_VIEW.metric;
+      const max = Math.max(1, ...months.flatMap(m=>[m.current[k], m.lastYear[k], m.lastYearFinal[k]]));
+      const slot = (W - padL*2) / Math.max(1, months.length);
+      const bw = Math.max(4, slot*0.32);
+      const y = (v)=> H - padB - (v/max)*(H - padB - padT);
+      const parts = months.map((m, i)=>{
+        const x = padL + i*slot + slot/2;
+        const tip = `${occMonthLabel(m.month)}: ${paceVal(m.current)} vs ${paceVal(m.lastYear)} (final ${paceVal(m.lastYearFinal)})`;
+        return `<g><title>${escHtml(tip)}</title>
+          <rect x="${x-bw}" y="${y(m.current[k])}" width="${bw}" height="${H-padB-y(m.current[k])}" rx="3" fill="rgba(106,228,255,.85)"/>
+          <rect x="${x}" y="${y(m.lastYear[k])}" width="${bw}" height="${H-padB-y(m.lastYear[k])}" rx="3" fill="rgba(255,255,255,.35)"/>
+          <line x1="${x-2}" x2="${x+bw+2}" y1="${y(m.lastYearFinal[k])}" y2="${y(m.lastYearFinal[k])}" stroke="rgba(255,204,102,.9)" stroke-width="2"/>
+          <text x="${x}" y="${H-6}" text-anchor="middle" font-size="11" fill="rgba(255,255,255,.65)">${escHtml(occMonthLabel(m.month).split(' ')[0])}</text>
+        </g>`;
+      }).join('');
+      return `<svg viewBox="0 0 ${W} ${H}" width="100%" height="${H}" role="img" aria-label="Pace por mes">${parts}</svg>`;
+    }
+
+    function renderPace(){
+      const sub = document.getElementById('resPaceSub');
+      const chart = document.getElementById('resPaceChart');
+      const head = document.getElementById('resPaceHead');
+      const tb = document.getElementById('tbPace');
+      if(!sub || !chart || !head || !tb) return;
+
+      if(!RES_PACE){
+        sub.textContent = 'Cargando pace…';
+        chart.innerHTML = '';
+        tb.innerHTML = '';
+        return;
+      }
+      const P = RES_PACE;
+      const groupRows = PACE_VIEW.group==='property' ? P.byProperty : PACE_VIEW.group==='channel' ? P.byChannel : null;
+      const focus = groupRows && groupRows.find(r=>r.key===PACE_VIEW.key);
+      const months = focus ? focus.months : P.totals;
+
+      sub.textContent = `En libros al ${P.asOf} vs al ${P.lastYearAsOf} (fecha de creación) • ${focus ? focus.key : 'Total'}`
+        + (P.missingCreatedAt ? ` • ${P.missingCreatedAt} reservas sin fecha de creación` : '');
+      chart.innerHTML = paceChartSVG(months);
+
+      if(!groupRows){
+        head.innerHTML = '<th>Mes</th><th class="num">En libros</th><th class="num">Año pasado</th><th class="num">Δ</th><th class="num">Año pasado final</th>';
+        tb.innerHTML = P.totals.map(m=>`<tr>
+            <td>${escHtml(occMonthLabel(m.month))}</td>
+            <td class="num">${paceVal(m.current)}</td><td class="num">${paceVal(m.lastYear)}</td>
+            <td class="num">${paceDelta(m.change)}</td><td class="num">${paceVal(m.lastYearFinal)}</td>
+          </tr>`).join('');
+        return;
+      }
+
+      head.innerHTML = `<th>${PACE_VIEW.group==='property' ? 'Alojamiento' : 'Canal'}</th><th class="num">En libros</th><th class="num">Año pasado</th><th class="num">Δ</th><th class="num">Año pasado final</th>`;
+      tb.innerHTML = '';
+      for(const r of groupRows){
+        const tr = document.createElement('tr');
+        tr.tabIndex = 0;
+        if(r.key===PACE_VIEW.key) tr.classList.add('selected');
+        tr.innerHTML = `<td>${escHtml(r.key)}</td>
+          <td class="num">${paceVal(r.current)}</td><td class="num">${paceVal(r.lastYear)}</td>
+          <td class="num">${paceDelta(r.change)}</td><td class="num">${paceVal(r.lastYearFinal)}</td>`;
+        // click => la gráfica muestra solo ese alojamiento / canal (otra vez => total)
+        tr.addEventListener('click', ()=>{ PACE_VIEW.key = (PACE_VIEW.key===r.key) ? null : r.key; renderPace(); });
+        tb.appendChild(tr);
+      }
+    }
+
+    function hookPace(){
+      const bind = (id, key, parse=(v)=>v)=>{
+        const el = document.getElementById(id);
+        if(!el) return;
+        el.value = String(PACE_VIEW[key]);
+        el.addEventListener('change', ()=>{
+          PACE_VIEW[key] = parse(el.value);
+          if(key==='group') PACE_VIEW.key = null;
+          if(key==='months') loadPace().then(()=>renderPace());
+          renderPace();
+        });
+      };
+      bind('paceGroup', 'group');
+      bind('paceMetric', 'metric');
+      bind('paceMonths', 'months', Number);
+    }
+
+    // ------------------ Reservas: cancelaciones, anticipación y estancia ------------------
+    // Todo sale de filteredReservations() (Año + Alojamiento + Tipo reserva de RES_FILTER_STATE).
+    // La tasa de cancelación usa todas las reservas; anticipación, estancia y día de llegada solo
+    // las no canceladas. Ingreso perdido = total bruto de las canceladas.
+    const STATS_VIEW = {group:'channel'};
+    const LEAD_BINS = [[0,0,'Mismo día'],[1,7,'1–7 d'],[8,14,'8–14 d'],[15,30,'15–30 d'],[31,60,'31–60 d'],[61,90,'61–90 d'],[91,180,'91–180 d'],[181,Infinity,'181+ d']];
+    const LOS_BINS = [[1,1,'1'],[2,2,'2'],[3,3,'3'],[4,4,'4'],[5,5,'5'],[6,6,'6'],[7,7,'7'],[8,13,'8–13'],[14,27,'14–27'],[28,Infinity,'28+']];
+    const DOW_NOMBRES = ['Lun','Mar','Mié','Jue','Vie','Sáb','Dom'];
+
+    const resIsCancelled = (r)=> /declin|cancel/i.test(String(resField(r, ["status","estado"], "")));
+    const resCreated = (r)=> String(resField(r, ["createdAt","created_at","bookedAt","fechaReserva"], "")).slice(0,10);
+    const daysBetweenIso = (a, b)=>{
+      const da = Date.parse(a + "T00:00:00Z"), db = Date.parse(b + "T00:00:00Z");
+      return (isFinite(da) && isFinite(db)) ? Math.round((db-da)/86400000) : null;
+    };
+
+    function computeBookingStats(recs = filteredReservations()){
+      const groups = new Map();
+      const lead = LEAD_BINS.map(()=>0), los = LOS_BINS.map(()=>0), dow = DOW_NOMBRES.map(()=>0);
+      let cancelled = 0, lost = 0, leadSum = 0, leadN = 0, noCreated = 0, bookedAfter = 0, losSum = 0, losN = 0;
+
+      for(const r of recs){
+        const c = resIsCancelled(r);
+        const key = STATS_VIEW.group==='property' ? resProp(r) : resType(r);
+        if(!groups.has(key)) groups.set(key, {key, bookings:0, cancelled:0, lost:0});
+        const g = groups.get(key);
+        g.bookings += 1;
+        if(c){
+          g.cancelled += 1; g.lost += resAmount(r);
+          cancelled += 1; lost += resAmount(r);
+          continue;
+        }
+
+        const checkIn = resCheckIn(r);
+        const raw = daysBetweenIso(resCreated(r), checkIn);
+        if(raw===null) noCreated += 1;
+        else {
+          // creada después de la llegada (captura tardía / dato malo): cuenta como mismo día y se reporta aparte
+          if(raw<0) bookedAfter += 1;
+          const d = Math.max(0, raw);
+          lead[LEAD_BINS.findIndex(([a,b])=>d>=a && d<=b)] += 1;
+          leadSum += d; leadN += 1;
+        }
+        const n = resNights(r);
+        if(n>0){
+          los[LOS_BINS.findIndex(([a,b])=>n>=a && n<=b)] += 1;
+          losSum += n; losN += 1;
+        }
+        const t = Date.parse(checkIn + "T00:00:00Z");
+        if(isFinite(t)) dow[(new Date(t).getUTCDay()+6)%7] += 1; // lunes primero
+      }
+
+      const rows = [...groups.values()]
+        .map(g=>({...g, rate: g.bookings ? g.cancelled/g.bookings : 0}))
+        .sort((a,b)=> (b.lost-a.lost) || (b.cancelled-a.cancelled) || a.key.localeCompare(b.key,'es'));
+      return {
+        total: recs.length, cancelled, lost, rate: recs.length ? cancelled/recs.length : NaN, rows,
+        lead, los, dow, noCreated, bookedAfter,
+        avgLead: leadN ? leadSum/leadN : NaN,
+        avgLos: losN ? losSum/losN : NaN
+      };
+    }
+
+    // Histograma simple (barras + conteo arriba); mismas proporciones que paceChartSVG
+    function histSVG(labels, counts, label){
+      const W = 300, H = 150, padB = 22, padT = 14;
+      const max = Math.max(1, ...counts);
+      const slot = W / Math.max(1, counts.length);
+      const bw = Math.max(4, slot*0.7);
+      const tot = counts.reduce((a,x)=>a+x,0);
+      const parts = counts.map((v, i)=>{
+        const x = i*slot + (slot-bw)/2;
+        const h = (v/max)*(H - padB - padT);
+        const tip = `${labels[i]}: ${v.toLocaleString('es-MX')} reservas` + (tot ? ` (${fmtPct(v/tot)})` : '');
+        return `<g><title>${escHtml(tip)}</title>
+          <rect x="${x}" y="${H-padB-h}" width="${bw}" height="${h}" rx="3" fill="rgba(106,228,255,.85)"/>
+          ${v ? `<text x="${x+bw/2}" y="${H-padB-h-3}" text-anchor="middle" font-size="10" fill="rgba(255,255,255,.75)">${v}</text>` : ''}
+          <text x="${x+bw/2}" y="${H-6}" text-anchor="middle" font-size="10" fill="rgba(255,255,255,.65)">${escHtml(labels[i])}</text>
+        </g>`;
+      }).join('');
+      return `<svg viewBox="0 0 ${W} ${H}" width="100%" height="${H}" role="img" aria-label="${escHtml(label)}">${parts}</svg>`;
+    }
+
+    function renderBookingStats(){
+      const sub = document.getElementById('resStatsSub');
+      const kpis = document.getElementById('resStatsKpis');
+      const head = document.getElementById('resStatsHead');
+      const tb = document.getElementById('tbStats');
+      if(!sub || !kpis || !head || !tb) return;
+
+      const S = computeBookingStats();
+      const num = (v, d=1)=> isFinite(v) ? v.toLocaleString('es-MX', {maximumFractionDigits:d}) : '—';
+      sub.textContent = `${S.total.toLocaleString('es-MX')} reservas con los filtros actuales • anticipación, estancia y llegada sin canceladas`
+        + (S.noCreated ? ` • ${S.noCreated} sin fecha de reserva` : '')
+        + (S.bookedAfter ? ` • ${S.bookedAfter} creadas después de la llegada (cuentan como mismo día)` : '');
+      kpis.innerHTML = `
+        <div class="kpi"><div class="t">Cancelación</div><div class="v">${isFinite(S.rate) ? fmtPct(S.rate) : '—'}</div>
+          <div class="s">${S.cancelled.toLocaleString('es-MX')} de ${S.total.toLocaleString('es-MX')} reservas</div></div>
+        <div class="kpi"><div class="t">Ingreso perdido</div><div class="v">${fmtMoney(S.lost)}</div><div class="s">Total bruto de las canceladas</div></div>
+        <div class="kpi"><div class="t">Anticipación promedio</div><div class="v">${num(S.avgLead)} días</div><div class="s">De la reserva a la llegada</div></div>
+        <div class="kpi"><div class="t">Estancia promedio</div><div class="v">${num(S.avgLos)} noches</div><div class="s">Reservas no canceladas</div></div>
+      `;
+
+      head.innerHTML = `<th>${STATS_VIEW.group==='property' ? 'Alojamiento' : 'Canal'}</th><th class="num">Reservas</th><th class="num">Canceladas</th><th class="num">Tasa</th><th class="num">Ingreso perdido</th>`;
+      tb.innerHTML = S.rows.map(r=>`<tr>
+          <td>${escHtml(r.key)}</td>
+          <td class="num">${r.bookings.toLocaleString('es-MX')}</td>
+          <td class="num">${r.cancelled.toLocaleString('es-MX')}</td>
+          <td class="num"><span class="pill ${r.rate>0.25 ? 'bad' : (r.rate>0.10 ? 'warn' : 'good')}">${fmtPct(r.rate)}</span></td>
+          <td class="num">${fmtMoney(r.lost)}</td>
+        </tr>`).join('');
+
+      const put = (id, html)=>{ const el = document.getElementById(id); if(el) el.innerHTML = html; };
+      put('resLeadChart', histSVG(LEAD_BINS.map(b=>b[2]), S.lead, 'Anticipación de reserva'));
+      put('resLosChart', histSVG(LOS_BINS.map(b=>b[2]), S.los, 'Noches por estancia'));
+      put('resDowChart', histSVG(DOW_NOMBRES, S.dow, 'Día de llegada'));
+    }
+
+    function hookBookingStats(){
+      const el = document.getElementById('statsGroup');
+      if(!el) return;
+      el.value = STATS_VIEW.group;
+      el.addEventListener('change', ()=>{ STATS_VIEW.group = el.value; renderBookingStats(); });
+    }
+
+    // ------------------ Reservas: mapa de calor de ocupación ------------------
+    // Noches por alojamiento en el año de FILTER_STATE['Año'] (o el actual), con los filtros
+    // Alojamiento / Tipo reserva. Estados por noche y unidad:
+    //   reservada = estatus Booked; bloqueada = reserva Tentative/Open (apartada sin confirmar) o
+    //   fuera de la vigencia del registro (activeFrom / activeTo); libre = el resto.
+    // Ocupación = reservadas / (unidades × días − bloqueadas). Usa RES_RAW si la base es por
+    // estancia; con otra base RES_RAW no trae todas las estancias del año => se piden aparte.
+    const HEAT_VIEW = {mode:'days'};
+    let HEAT_RAW = null;
+    let HEAT_Q = "";
+    const MES_CORTO = ['Ene','Feb','Mar','Abr','May','Jun','Jul','Ago','Sep','Oct','Nov','Dic'];
+
+    async function loadHeatmap(force=false){
+      if(REVENUE_BASIS==='stay'){ HEAT_RAW = null; HEAT_Q = ""; return false; }
+      const year = occupancyYear();
+      const propsSel = [...RES_FILTER_STATE["Alojamiento"]];
+      const typesSel = [...RES_FILTER_STATE["Tipo reserva"]];
+      const q = JSON.stringify({year, propsSel, typesSel});
+      if(!force && HEAT_Q === q && HEAT_RAW) return false;
+      try{
+        HEAT_RAW = await fetchReservations({year, props: propsSel, types: typesSel, basis: 'stay'});
+        HEAT_Q = q;
+        return true;
+      }catch(e){
+        console.warn("Mapa de calor: fetch falló", e);
         return false;
       }
     }
 
+    function computeHeatmap(year, recs){
+      const DAY = 86400000;
+      const start = Date.parse(year + "-01-01T00:00:00Z");
+      const nDays = Math.round((Date.parse((Number(year)+1) + "-01-01T00:00:00Z") - start)/DAY);
+      const days = Array.from({length:nDays}, (_,i)=>new Date(start + i*DAY).toISOString().slice(0,10));
+      const propsSel = RES_FILTER_STATE["Alojamiento"];
+      const typesSel = RES_FILTER_STATE["Tipo reserva"];
+      const regOf = new Map(PROP_REGISTRY.map(p=>[canon(p.name), p]));
+
+      const rows = new Map();
+      const rowOf = (name)=>{
+        if(!rows.has(name)){
+          const reg = regOf.get(canon(name));
+          const units = Math.max(1, Number(reg?.units)||1);
+          const blocked = days.map(d=> ((reg?.activeFrom && d < reg.activeFrom) || (reg?.activeTo && d > reg.activeTo)) ? units : 0);
+          rows.set(name, {name, units, booked: days.map(()=>0), blocked});
+        }
+        return rows.get(name);
+      };
+      // Con registro: sus alojamientos vigentes en el año (registrados o solo de Lodgify) y nada más;
+      // una reserva de uno fuera de vigencia no lo vuelve a meter. Sin registro: los que traen las reservas.
+      const seeded = PROP_REGISTRY.length > 0;
+      PROP_REGISTRY
+        .filter(p=>registryActiveInYear(p, year) && (!propsSel.size || propsSel.has(p.name)))
+        .forEach(p=>rowOf(p.name));
+
+      for(const r of recs){
+        const p = resProp(r), t = resType(r);
+        if(propsSel.size && !propsSel.has(p)) continue;
+        if(typesSel.size && !typesSel.has(t)) continue;
+        const status = String(resField(r, ["status","estado"], ""));
+        if(/declin|cancel/i.test(status)) continue;
+        const i0 = Math.round((Date.parse(resCheckIn(r) + "T00:00:00Z") - start)/DAY);
+        if(!isFinite(i0)) continue;
+        const row = seeded ? rows.get(p) : rowOf(p);
+        if(!row) continue;
+        const arr = /tentative|open/i.test(status) ? row.blocked : row.booked;
+        for(let i=Math.max(0, i0); i<Math.min(nDays, i0 + resNights(r)); i++) arr[i] += 1;
+      }
+
+      const monthOf = days.map(d=>Number(d.slice(5,7))-1);
+      const bucket = ()=>({booked:0, available:0});
+      const occ = (b)=> b.available>0 ? b.booked/b.available : NaN;
+      const total = {months: MES_CORTO.map(bucket), year: bucket(), daily: days.map(bucket)};
+      const list = [...rows.values()].sort((a,b)=>a.name.localeCompare(b.name,'es')).map(row=>{
+        const months = MES_CORTO.map(bucket), yearB = bucket();
+        days.forEach((_, i)=>{
+          const booked = Math.min(row.units, row.booked[i]);
+          const blocked = Math.min(row.units - booked, row.blocked[i]);
+          row.booked[i] = booked; row.blocked[i] = blocked;
+          const available = row.units - blocked;
+          for(const b of [months[monthOf[i]], yearB, total.months[monthOf[i]], total.year, total.daily[i]]){
+            b.booked += booked; b.available += available;
+          }
+        });
+        return {...row, months: months.map(occ), occupancy: occ(yearB)};
+      });
+      return {
+        year, days, monthOf, rows: list,
+        totals: {months: total.months.map(occ), occupancy: occ(total.year), daily: total.daily.map(occ)}
+      };
+    }
+
+    // Color de una noche: reservada => acento según unidades ocupadas; bloqueada => gris; libre => tenue
+    function heatFill(row, i){
+      const b = row.booked[i], k = row.blocked[i];
+      if(b>0) return `rgba(106,228,255,${(0.35 + 0.6*b/row.units).toFixed(2)})`;
+      if(k>=row.units) return 'rgba(255,204,102,.28)';
+      return 'rgba(255,255,255,.06)';
+    }
+    function heatTip(row, H, i){
+      const st = row.booked[i] ? `reservada ${row.units>1 ? `${row.booked[i]}/${row.units}` : ''}` : (row.blocked[i]>=row.units ? 'bloqueada' : 'libre');
+      return `${row.name} • ${H.days[i]}: ${st.trim()}`;
+    }
+    const heatPct = (v)=> isFinite(v) ? fmtPct(v) : '—';
+
+    // Alojamientos × días: encabezado con la ocupación del mes (todos), margen derecho = ocupación del año
+    function heatDaysSVG(H){
+      const CW = 3, RH = 16, LW = 150, RW = 56, HH = 30;
+      const W = LW + H.days.length*CW + RW;
+      const rows = [...H.rows, {name:'Total', total:true}];
+      const Ht = HH + rows.length*RH + 4;
+      let out = '';
+      H.days.forEach((d, i)=>{
+        if(d.slice(8)!=='01') return;
+        const m = H.monthOf[i], x = LW + i*CW;
+        out += `<line x1="${x}" x2="${x}" y1="4" y2="${Ht}" stroke="rgba(255,255,255,.18)"/>
+          <text x="${x+3}" y="13" font-size="10" font-weight="700" fill="rgba(255,255,255,.8)">${MES_CORTO[m]}</text>
+          <text x="${x+3}" y="25" font-size="10" fill="rgba(255,255,255,.6)"><title>Ocupación ${MES_CORTO[m]} (todos)</title>${heatPct(H.totals.months[m])}</text>`;
+      });
+      rows.forEach((row, r)=>{
+        const y = HH + r*RH;
+        out += `<text x="4" y="${y+11}" font-size="11" ${row.total ? 'font-weight="800"' : ''} fill="rgba(255,255,255,.85)">${escHtml(String(row.name).slice(0,22))}<title>${escHtml(row.name)}</title></text>`;
+        H.days.forEach((d, i)=>{
+          const fill = row.total
+            ? (isFinite(H.totals.daily[i]) ? `rgba(106,228,255,${(0.08 + 0.87*H.totals.daily[i]).toFixed(2)})` : 'rgba(255,255,255,.06)')
+            : heatFill(row, i);
+          const tip = row.total ? `Todos • ${d}: ${heatPct(H.totals.daily[i])}` : heatTip(row, H, i);
+          out += `<rect x="${LW + i*CW}" y="${y+2}" width="${CW}" height="${RH-4}" fill="${fill}"><title>${escHtml(tip)}</title></rect>`;
+        });
+        out += `<text x="${W-4}" y="${y+11}" font-size="11" text-anchor="end" font-weight="700" fill="rgba(255,255,255,.85)">${heatPct(row.total ? H.totals.occupancy : row.occupancy)}</text>`;
+      });
+      return `<svg viewBox="0 0 ${W} ${Ht}" width="${W}" height="${Ht}" role="img" aria-label="Mapa de calor de ocupación">${out}</svg>`;
+    }
+
+    // Calendario por alojamiento: meses × días, margen derecho = ocupación del mes
+    function heatGridSVG(H, row){
+      const C = 12, G = 2, LW = 30, RW = 44, HH = 18;
+      const W = LW + 31*(C+G) + RW, Ht = HH + 12*(C+G) + 16;
+      let out = `<text x="0" y="12" font-size="11" font-weight="800" fill="rgba(255,255,255,.9)">${escHtml(row.name)}</text>
+        <text x="${W-2}" y="12" font-size="11" text-anchor="end" font-weight="800" fill="rgba(255,255,255,.9)">${heatPct(row.occupancy)}</text>`;
+      MES_CORTO.forEach((m, k)=>{
+        const y = HH + k*(C+G);
+        out += `<text x="0" y="${y+10}" font-size="10" fill="rgba(255,255,255,.65)">${m}</text>
+          <text x="${W-2}" y="${y+10}" font-size="10" text-anchor="end" fill="rgba(255,255,255,.75)">${heatPct(row.months[k])}</text>`;
+      });
+      H.days.forEach((d, i)=>{
+        const k = H.monthOf[i], dd = Number(d.slice(8)) - 1;
+        out += `<rect x="${LW + dd*(C+G)}" y="${HH + k*(C+G)}" width="${C}" height="${C}" rx="2" fill="${heatFill(row, i)}"><title>${escHtml(heatTip(row, H, i))}</title></rect>`;
+      });
+      return `<svg viewBox="0 0 ${W} ${Ht}" width="${W}" height="${Ht}" role="img" aria-label="${escHtml('Calendario ' + row.name)}">${out}</svg>`;
+    }
+
+    function renderHeatmap(){
+      const sub = document.getElementById('resHeatSub');
+      const box = document.getElementById('resHeatChart');
+      if(!sub || !box) return;
+
+      const year = occupancyYear();
+      const recs = REVENUE_BASIS==='stay' ? RES_RAW : HEAT_RAW;
+      if(!recs){
+        sub.textContent = 'Cargando mapa de calor…';
+        box.innerHTML = '';
+        return;
+      }
+      const H = computeHeatmap(year, recs);
+      if(!H.rows.length){
+        sub.textContent = `${year} • sin alojamientos con los filtros actuales`;
+        box.innerHTML = '';
+        return;
+      }
+      sub.textContent = `${year} • ocupación del año ${heatPct(H.totals.occupancy)} • azul: reservada (más intenso = más unidades) • amarillo: bloqueada (tentativa o fuera de vigencia) • gris: libre`;
+      box.innerHTML = HEAT_VIEW.mode==='grid'
+        ? `<div style="display:flex;flex-wrap:wrap;gap:14px;">${H.rows.map(r=>`<div class="svgBox">${heatGridSVG(H, r)}</div>`).join('')}</div>`
+        : `<div class="svgBox" style="overflow-x:auto;">${heatDaysSVG(H)}</div>`;
+    }
+
+    function hookHeatmap(){
+      const el = document.getElementById('heatMode');
+      if(!el) return;
+      el.value = HEAT_VIEW.mode;
+      el.addEventListener('change', ()=>{ HEAT_VIEW.mode = el.value; renderHeatmap(); });
+    }
+
+    // ------------------ Reservas: huecos entre estancias (server: /api/analytics/gaps) ------------------
+    // Huecos más cortos que la estancia mínima en los próximos N días; respeta el filtro Alojamiento.
+    let RES_GAPS = null;
+    let RES_GAPS_Q = "";
+    const GAPS_VIEW = {minStay: 2, days: 90};
+
+    async function loadGaps(force=false){
+      const propsSel = [...RES_FILTER_STATE["Alojamiento"]];
+      const q = JSON.stringify({propsSel, ...GAPS_VIEW});
+      if(!force && RES_GAPS_Q === q && RES_GAPS) return false;
+
+      try{
+        const base = (APP_CONFIG.reservationsApiBase || "").replace(/\/$/,"");
+        const ep = APP_CONFIG.gapsEndpoint || "/api/analytics/gaps";
+        const url = new URL(base + ep, location.href);
+        const from = new Date().toISOString().slice(0,10);
+        const to = new Date(Date.now() + GAPS_VIEW.days*86400000).toISOString().slice(0,10);
+        url.searchParams.set("from", from);
+        url.searchParams.set("to", to);
+        url.searchParams.set("minStay", String(GAPS_VIEW.minStay));
+        if(propsSel.length) url.searchParams.set("property", propsSel.join(","));
+
+        const ctrl = new AbortController();
+        const t = setTimeout(()=>ctrl.abort(), Number(APP_CONFIG.timeoutMs||15000));
+        const res = await fetch(url.toString(), {cache:"no-store", signal: ctrl.signal});
+        clearTimeout(t);
+        if(!res.ok) throw new Error("HTTP "+res.status);
+
+        const payload = await res.json();
+        if(!payload || !Array.isArray(payload.gaps)) throw new Error("Formato inesperado en huecos");
+        RES_GAPS = payload;
+        RES_GAPS_Q = q;
+        return true;
+      }catch(e){
+        console.warn("Huecos: fetch falló", e);
+        return false;
+      }
+    }
+
+    const gapRef = (list)=> list.length
+      ? list.map(b=>`${escHtml(b.guestName || ('#' + b.id))} <span style="color:var(--muted)">${escHtml(b.channel||'')}</span>`).join('<br>')
+      : '<span style="color:var(--muted)">—</span>';
+
+    function renderGaps(){
+      const sub = document.getElementById('resGapsSub');
+      const tb = document.getElementById('tbGaps');
+      if(!sub || !tb) return;
+
+      if(!RES_GAPS){
+        sub.textContent = 'Cargando huecos…';
+        tb.innerHTML = '';
+        return;
+      }
+      const G = RES_GAPS;
+      sub.textContent = `${G.from} → ${G.to} • huecos de menos de ${G.minStay} noches: ${G.totals.gaps} `
+        + `(${G.totals.nights} noches) • pérdida estimada ${fmtMoney(G.totals.lostRevenue)} al ADR de cada alojamiento`;
+      if(!G.gaps.length){
+        tb.innerHTML = '<tr><td colspan="7" style="color:var(--muted)">Sin huecos cortos en el periodo.</td></tr>';
+        return;
+      }
+      tb.innerHTML = G.gaps.map(g=>`<tr>
+          <td>${escHtml(g.propertyName)}</td>
+          <td>${escHtml(g.arrival)} → ${escHtml(g.departure)}</td>
+          <td class="num"><span class="pill ${g.nights===1 ? 'bad' : 'warn'}">${g.nights}${g.units>1 ? ` (${g.freeUnitNights} u)` : ''}</span></td>
+          <td>${gapRef(g.before)}</td>
+          <td>${gapRef(g.after)}</td>
+          <td class="num">${g.adr===null ? '—' : fmtMoney(g.adr)}</td>
+          <td class="num">${g.lostRevenue===null ? '—' : fmtMoney(g.lostRevenue)}</td>
+        </tr>`).join('');
+    }
+
+    function hookGaps(){
+      const bind = (id, key)=>{
+        const el = document.getElementById(id);
+        if(!el) return;
+        el.value = String(GAPS_VIEW[key]);
+        el.addEventListener('change', ()=>{
+          const v = Number(el.value);
+          if(!Number.isInteger(v) || v<2) { el.value = String(GAPS_VIEW[key]); return; }
+          GAPS_VIEW[key] = v;
+          loadGaps().then(()=>renderGaps());
+        });
+      };
+      bind('gapsMinStay', 'minStay');
+      bind('gapsDays', 'days');
+    }
+
     function filteredReservations(){
       const year = selectedYearFallback();
       const props = RES_FILTER_STATE["Alojamiento"];
       const types = RES_FILTER_STATE["Tipo reserva"];
 
       return RES_RAW.filter(r=>{
-        const y = resYear(r);
-        if(year && y && y !== year) return false;
+        if(year && !recognizedInYear(r, year).inYear) return false;
         const p = resProp(r);
         const t = resType(r);
         if(props.size && p && !props.has(p)) return false;
@@ -345,29 +1120,34 @@
 
     function aggregateReservations(){
       const recs = filteredReservations();
+      const year = selectedYearFallback();
       const g = new Map();
       for(const r of recs){
         const prop = resProp(r);
         const typ  = resType(r);
-        const amount = Number(resField(r, ["total","amount","importe","monto","price","totalAmount","revenue","payout"], 0)) || 0;
-        const nights = Number(resField(r, ["nights","noches","nightCount"], "")) || nightsBetween(
-          resField(r, ["checkIn","arrival","startDate","start","desde","fechaEntrada"]),
-          resField(r, ["checkOut","departure","endDate","end","hasta","fechaSalida"])
-        ) || 0;
+        // importe y noches reconocidos en el año seleccionado (según REVENUE_BASIS)
+        const {amount, nights} = recognizedInYear(r, year);
+        // comisiones en la misma proporción que el importe reconocido
+        const gross = resAmount(r);
+        const fees = gross ? resFees(r) * amount / gross : 0;
 
         const key = prop + "||" + typ;
-        if(!g.has(key)) g.set(key, {key, prop, typ, bookings:0, nights:0, amount:0});
+        if(!g.has(key)) g.set(key, {key, prop, typ, bookings:0, nights:0, amount:0, fees:0, net:0});
         const o = g.get(key);
         o.bookings += 1;
         o.nights += (nights||0);
         o.amount += amount;
+        o.fees += fees;
+        o.net += amount - fees;
       }
 
       const rows = [...g.values()].sort((a,b)=> (b.amount-a.amount) || (b.bookings-a.bookings) || a.prop.localeCompare(b.prop,'es'));
       const totBookings = recs.length;
       const totNights = rows.reduce((a,r)=>a+r.nights,0);
       const totAmount = rows.reduce((a,r)=>a+r.amount,0);
-      return {rows, totBookings, totNights, totAmount};
+      const totFees = rows.reduce((a,r)=>a+r.fees,0);
+      const totNet = rows.reduce((a,r)=>a+r.net,0);
+      return {rows, totBookings, totNights, totAmount, totFees, totNet};
     }
 
     function renderReservationsDetails(rowKey){
@@ -387,19 +1167,29 @@
         const checkIn  = resField(r, ["checkIn","arrival","startDate","start","desde","fechaEntrada"], "");
         const checkOut = resField(r, ["checkOut","departure","endDate","end","hasta","fechaSalida"], "");
         const status   = String(resField(r, ["status","estado"], "")).trim();
-        const amount   = Number(resField(r, ["total","amount","importe","monto","price","totalAmount"], 0)) || 0;
-        const nights   = Number(resField(r, ["nights","noches","nightCount"], "")) || nightsBetween(checkIn, checkOut) || 0;
+        const nights   = resNights(r);
+        const rec      = recognizedInYear(r, selectedYearFallback());
+        const amount   = rec.amount;
+        // estancia partida entre años => "Noches: 3 de 5" (el importe es solo lo reconocido en el año)
+        const nightsTxt = (rec.nights && rec.nights !== nights) ? `Noches: ${rec.nights} de ${nights}` : "Noches: "+(nights||0);
         const guest    = String(resField(r, ["guestName","guest","huesped","cliente"], "")).trim();
         const code     = String(resField(r, ["code","bookingCode","id","reservationId"], "")).trim();
 
         const tr = document.createElement('tr');
+        // id de Lodgify => click abre el drawer con cotización y pagos (hookBookingDetail)
+        const bookingId = String(resField(r, ["id","bookingId","reservationId"], "")).trim();
+        if(/^\d+$/.test(bookingId)){
+          tr.dataset.bookingId = bookingId;
+          tr.style.cursor = 'pointer';
+          tr.title = 'Ver cotización y pagos';
+        }
         tr.innerHTML = `
           <td>${escHtml(String(checkIn||"—"))}</td>
           <td>${escHtml(String(checkOut||"—"))}</td>
           <td><span class="pill">${escHtml(status||typ)}</span></td>
           <td>${escHtml(prop)}</td>
           <td>${escHtml(guest || code || '—')}</td>
-          <td>${escHtml("Noches: "+(nights||0))}</td>
+          <td>${escHtml(nightsTxt)}</td>
           <td><span class="pill ${amount? 'good':'warn'}">${amount? 'OK':'—'}</span></td>
           <td class="num">${fmtMoney(amount)}</td>
         `;
@@ -622,13 +1412,13 @@
         const y = recYear(r) || yearFromMes(Mes);
         const Tipo = norm(r.TIPO||'').toLowerCase();
 
+        // forcedYear manda sobre el filtro de Año (el pronóstico lee años anteriores aunque no estén seleccionados)
         const ok =
-          (FILTER_STATE['Año'].size ? FILTER_STATE['Año'].has(y) : true) &&
+          (forcedYear ? y === forcedYear : (FILTER_STATE['Año'].size ? FILTER_STATE['Año'].has(y) : true)) &&
           (ignoreMes ? true : FILTER_STATE.Mes.has(Mes)) &&
           FILTER_STATE.CATEGORIA.has(Cat) &&
           FILTER_STATE.CONCEPTO.has(Con) &&
           FILTER_STATE["Cuenta bancaria"].has(Cta) &&
-          (!forcedYear || y === forcedYear) &&
           (tipo==='E' ? Tipo.includes('egr') : Tipo.includes('ing'));
 
         if(!ok) return false;
@@ -741,14 +1531,24 @@
 
     function syncTipoUI(){
       const tipo = tipoVal();
-      const tipoLabel = (tipo==='E') ? 'Egresos' : (tipo==='I') ? 'Ingresos' : 'Alertas';
+      const tipoLabel = (tipo==='E') ? 'Egresos' : (tipo==='I') ? 'Ingresos' : (tipo==='R') ? 'Reservas' : 'Alertas';
       document.getElementById('tipoPill').textContent = 'Tipo: ' + tipoLabel;
+      const occ = document.getElementById('resOcc');
+      if(occ) occ.classList.toggle('hide', tipo!=='R');
+      const pace = document.getElementById('resPace');
+      if(pace) pace.classList.toggle('hide', tipo!=='R');
+      const stats = document.getElementById('resStats');
+      if(stats) stats.classList.toggle('hide', tipo!=='R');
+      const heat = document.getElementById('resHeat');
+      if(heat) heat.classList.toggle('hide', tipo!=='R');
+      const gaps = document.getElementById('resGaps');
+      if(gaps) gaps.classList.toggle('hide', tipo!=='R');
 
       if(tipo==='A'){
         
         document.getElementById('mainTableTitle').textContent = 'Alertas (partidas fuera de umbral)';
         document.getElementById('mainTableSub').textContent = 'Selecciona una alerta para ver el detalle de la partida.';
-      } else {
+      } else if(tipo!=='R'){ // R: título/subtítulo los pone renderReservationsView
         document.getElementById('mainTableTitle').textContent = (tipo==='E')
           ? 'Egresos (Presupuesto vs Real)'
           : 'Ingresos (Esperado vs Real)';
@@ -764,10 +1564,12 @@
         cols = ['Categoría','Concepto','Mes','Real','Presupuesto','Avance','Alerta'];
       } else if(tipo==='I'){
         cols = ['Categoría','Concepto','Mes','Real'];
+      } else if(tipo==='R'){
+        cols = ['Alojamiento','Tipo','Reservas','Noches','Bruto','Comisiones','Neto'];
       } else {
         cols = ['Tipo','Categoría','Concepto','Mes','%','Severidad'];
       }
-      const numeric = new Set(['Real','Presupuesto','%']);
+      const numeric = new Set(['Real','Presupuesto','%','Reservas','Noches','Bruto','Comisiones','Neto']);
       cols.forEach(c=>{
         const th = document.createElement('th');
         th.textContent = c;
@@ -881,6 +1683,12 @@
       return 99;
     }
 
+    // "03. Marzo 2025" / "Marzo 2025" -> "2025-03" ("" si no se puede)
+    function ymOfMes(mes){
+      const y = yearFromMes(mes), k = monthOrderKey(mes);
+      return (y && k>=1 && k<=12) ? `${y}-${String(k).padStart(2,'0')}` : "";
+    }
+
     function computeMonthlySeriesForYear(yearSel){
       const eRecs = filteredRecords('E', true, yearSel);
       const iRecs = filteredRecords('I', true, yearSel);
@@ -905,14 +1713,20 @@
         return a.localeCompare(b,'es');
       });
 
+      // Reservas: ingreso reconocido por mes (REVENUE_BASIS) con los filtros de la pestaña Reservas
+      const mR = revenueByMonth(filteredReservations());
+
       const rows = months.map(m=>{
         const I = mI.get(m)||0;
         const E = mE.get(m)||0;
         const U = I - E;
         const M = I>0 ? (U/I) : NaN;
-        return {Mes:m, I, E, U, M};
+        const R = mR.get(ymOfMes(m))||0;
+        return {Mes:m, I, E, U, M, R};
       });
 
+      const hasR = rows.some(r=>r.R>0);
+      const ytdR = rows.reduce((a,r)=>a+r.R,0);
       const ytdI = rows.reduce((a,r)=>a+r.I,0);
       const ytdE = rows.reduce((a,r)=>a+r.E,0);
       const ytdU = ytdI - ytdE;
@@ -923,9 +1737,162 @@
       const avgE = nMonths? (ytdE/nMonths) : 0;
       const avgU = nMonths? (ytdU/nMonths) : 0;
 
-      return {yearSel, rows, ytdI, ytdE, ytdU, ytdM, nMonths, avgI, avgE, avgU};
+      return {yearSel, rows, ytdI, ytdE, ytdU, ytdM, nMonths, avgI, avgE, avgU, hasR, ytdR};
+    }
+
+    // ------------------ Pronóstico de ingresos (resto del año) ------------------
+    // Por cada mes que falta (incluye el mes en curso) se mezclan dos estimaciones:
+    //   B = reservado hoy (pace) × pickup histórico × k   (k = ingreso bancario / ingreso reservado, año pasado)
+    //   S = estimado anual × estacionalidad (participación del mes en años anteriores de RAW)
+    // con peso w = qué tan reservado suele estar el mes a esta misma anticipación (lastYear / lastYearFinal).
+    // pickup = lastYearFinal / lastYear en /api/analytics/pace con asOf = hoy y asOf = hoy − 1 año;
+    // la banda baja/alta usa el pickup y la estacionalidad mínimos/máximos observados.
+    let FORECAST = null;      // {year, months: [{ym, low, expected, high, otb, actual}], annual, ...}
+    let FORECAST_PACE = null; // {q, now, prev}
+    const FORECAST_MIN_BAND = 0.10; // ± sobre lo no reservado cuando solo hay un año de historia
+
+    const MES_NOMBRES = ['Enero','Febrero','Marzo','Abril','Mayo','Junio','Julio','Agosto','Septiembre','Octubre','Noviembre','Diciembre'];
+    const mesOfYm = (ym)=> `${ym.slice(5,7)}. ${MES_NOMBRES[Number(ym.slice(5,7))-1]} ${ym.slice(0,4)}`;
+
+    // Ingresos por 'YYYY-MM' del año y los anteriores: la misma serie de la tendencia
+    // (computeMonthlySeriesForYear, con los filtros activos excepto Año / Mes), año por año.
+    function incomeByYm(year){
+      const m = new Map();
+      const years = uniqSorted(RAW.map(r=>recYear(r))).filter(y=>y <= String(year));
+      for(const y of years){
+        for(const r of computeMonthlySeriesForYear(y).rows){
+          const ym = ymOfMes(r.Mes);
+          if(ym) m.set(ym, (m.get(ym)||0) + r.I);
+        }
+      }
+      return m;
+    }
+
+    async function fetchPace(asOf, months){
+      const base = (APP_CONFIG.reservationsApiBase || "").replace(/\/$/,"");
+      const url = new URL(base + (APP_CONFIG.paceEndpoint || "/api/analytics/pace"), location.href);
+      url.searchParams.set("asOf", asOf);
+      url.searchParams.set("months", String(months));
+      const ctrl = new AbortController();
+      const t = setTimeout(()=>ctrl.abort(), Number(APP_CONFIG.timeoutMs||15000));
+      const res = await fetch(url.toString(), {cache:"no-store", signal: ctrl.signal});
+      clearTimeout(t);
+      if(!res.ok) throw new Error("HTTP "+res.status);
+      return res.json();
     }
 
+    // Pace de hoy y de hace un año para los meses que faltan del año en curso
+    // (otros años => sin pace, solo estacionalidad). `today` en hora local, inyectable para pruebas.
+    async function loadForecastPace(year, today=localIsoDate()){
+      if(String(year) !== today.slice(0,4)) return false;
+      const months = 12 - Number(today.slice(5,7)) + 1;
+      const q = today + '|' + months;
+      if(FORECAST_PACE?.q === q) return false;
+      try{
+        const prevAsOf = `${Number(today.slice(0,4))-1}${today.slice(4)}`.replace(/-02-29$/, '-02-28');
+        const [now, prev] = await Promise.all([fetchPace(today, months), fetchPace(prevAsOf, months).catch(()=>null)]);
+        FORECAST_PACE = {q, now, prev};
+        return true;
+      }catch(e){
+        console.warn("Pronóstico: pace falló", e);
+        FORECAST_PACE = {q, now: null, prev: null};
+        return false;
+      }
+    }
+
+    function computeForecast(year, today=localIsoDate()){
+      const curYm = today.slice(0,7);
+      if(String(year) < today.slice(0,4)) return null; // año cerrado: no hay nada que pronosticar
+
+      const income = incomeByYm(year);
+      const months = Array.from({length:12}, (_,i)=>`${year}-${String(i+1).padStart(2,'0')}`);
+      const closed = months.filter(ym=>ym < curYm);
+      const open = months.filter(ym=>ym >= curYm);
+      const mean = (arr)=> arr.length ? arr.reduce((a,x)=>a+x,0)/arr.length : NaN;
+
+      // Estacionalidad: participación de cada mes en años anteriores completos (≥ 10 meses con ingresos)
+      const shares = months.map(()=>[]);
+      const years = [...new Set([...income.keys()].map(ym=>ym.slice(0,4)))].filter(y=>y < String(year));
+      for(const y of years){
+        const vals = months.map(ym=>income.get(y + ym.slice(4)) || 0);
+        const tot = vals.reduce((a,x)=>a+x,0);
+        if(tot<=0 || vals.filter(v=>v>0).length < 10) continue;
+        vals.forEach((v,i)=>shares[i].push(v/tot));
+      }
+      const hasSeason = shares[0].length>0;
+      const share = (i, f)=> hasSeason ? f(shares[i]) : 1/12;
+      const closedShare = closed.reduce((a,ym)=>a+share(months.indexOf(ym), mean),0);
+      const ytd = closed.reduce((a,ym)=>a+(income.get(ym)||0),0);
+      const lastFull = years.length ? months.reduce((a,ym)=>a+(income.get(String(Number(year)-1) + ym.slice(4))||0),0) : 0;
+      const annualEst = (closed.length>=2 && closedShare>0) ? ytd/closedShare : (lastFull || (closed.length ? ytd/closed.length*12 : 0));
+
+      // Pace: pickup y peso por mes
+      const fromPace = String(year) === today.slice(0,4);
+      const paceNow = fromPace ? FORECAST_PACE?.now : null, pacePrev = fromPace ? FORECAST_PACE?.prev : null;
+      // pacePrev viene de asOf − 1 año: sus meses son del año anterior => se llevan al mes equivalente de este año
+      const plusYear = (ym)=> String(Number(ym.slice(0,4)) + 1) + ym.slice(4);
+      const byMonth = (p, key=(ym)=>ym)=> new Map((p?.totals||[]).map(t=>[key(t.month), t]));
+      const pNow = byMonth(paceNow), pPrev = byMonth(pacePrev, plusYear);
+      // k: ingreso bancario del año pasado / lo que sus reservas terminaron sumando
+      let kNum = 0, kDen = 0;
+      for(const t of pNow.values()){ kNum += income.get(t.lastYearMonth)||0; kDen += t.lastYearFinal.revenue; }
+      const k = kDen>0 && kNum>0 ? Math.min(1.5, Math.max(0.3, kNum/kDen)) : 1;
+
+      const out = open.map(ym=>{
+        const i = months.indexOf(ym);
+        const S = {
+          expected: annualEst * share(i, mean),
+          low: annualEst * share(i, a=>Math.min(...a)),
+          high: annualEst * share(i, a=>Math.max(...a))
+        };
+        const t = pNow.get(ym);
+        const otb = t ? t.current.revenue * k : 0;
+        const hist = [t && [t.lastYear.revenue, t.lastYearFinal.revenue], pPrev.get(ym) && [pPrev.get(ym).lastYear.revenue, pPrev.get(ym).lastYearFinal.revenue]]
+          .filter(h=>h && h[0]>0 && h[1]>0);
+        const pickups = hist.map(([onBooks, fin])=>fin/onBooks);
+        const w = hist.length ? Math.min(1, mean(hist.map(([onBooks, fin])=>onBooks/fin))) : 0;
+
+        let low, expected, high;
+        if(t && pickups.length){
+          const B = (p)=> otb * p;
+          expected = w*B(mean(pickups)) + (1-w)*S.expected;
+          low = w*B(Math.min(...pickups)) + (1-w)*S.low;
+          high = w*B(Math.max(...pickups)) + (1-w)*S.high;
+        } else {
+          expected = Math.max(S.expected, otb);
+          low = Math.max(S.low, otb);
+          high = Math.max(S.high, otb);
+        }
+        // banda mínima sobre lo que aún no está reservado
+        const unbooked = Math.max(0, expected - otb);
+        low = Math.min(low, expected - unbooked*FORECAST_MIN_BAND);
+        high = Math.max(high, expected + unbooked*FORECAST_MIN_BAND);
+        // mes en curso: nunca menos de lo ya cobrado
+        const actual = ym===curYm ? (income.get(ym)||0) : 0;
+        return {ym, otb, actual, low: Math.max(low, actual, 0), expected: Math.max(expected, actual), high: Math.max(high, actual), weight: w};
+      });
+
+      const sum = (f)=> out.reduce((a,x)=>a+f(x),0);
+      return {
+        year: String(year), months: out, k, hasSeason, seasonYears: shares[0].length, hasPace: !!paceNow,
+        annual: {actual: ytd, low: ytd + sum(x=>x.low), expected: ytd + sum(x=>x.expected), high: ytd + sum(x=>x.high)}
+      };
+    }
+
+    // Agrega el pronóstico a la serie de la tendencia: renglón F en el mes en curso y renglones futuros
+    function withForecastRows(series, fc){
+      if(!fc || !fc.months.length) return series;
+      const rows = series.rows.slice();
+      for(const f of fc.months){
+        const idx = rows.findIndex(r=>ymOfMes(r.Mes)===f.ym);
+        if(idx>=0) rows[idx] = {...rows[idx], F: f};
+        else rows.push({Mes: mesOfYm(f.ym), I:0, E:0, U:0, M:NaN, R:0, F: f, future: true});
+      }
+      rows.sort((a,b)=> (ymOfMes(a.Mes)||'').localeCompare(ymOfMes(b.Mes)||''));
+      return {...series, rows, forecast: fc};
+    }
+
+
     function svgLine3(series){
       const rows = series.rows || [];
       const W=560, H=250, padL=52, padR=16, padT=18, padB=44;
@@ -1230,7 +2197,9 @@
       const plotW = W - padL - padR;
       const plotH = Hcss - padT - padB;
 
-      const maxV = Math.max(1, ...rows.map(r=>Math.max(r.I||0, r.E||0, Math.abs(r.U||0))));
+      const fc = series.forecast || null;
+      const expM = fc ? Number(EXPECTED_INCOME_MONTHLY||0) : 0;
+      const maxV = Math.max(1, expM, ...rows.map(r=>Math.max(r.I||0, r.E||0, Math.abs(r.U||0), series.hasR ? (r.R||0) : 0, r.F ? r.F.high : 0)));
       const xAt = (i)=> padL + (rows.length===1 ? plotW/2 : (i*(plotW/(rows.length-1))));
       const yAt = (v)=> padT + (1 - (v/maxV))*plotH;
 
@@ -1256,12 +2225,13 @@
         ctx.restore();
       });
 
-      // Helper to draw a series
+      // Helper to draw a series (los meses futuros del pronóstico no tienen datos reales)
       function drawSeries(key, strokeStyle){
         ctx.lineWidth = 2;
         ctx.strokeStyle = strokeStyle;
         ctx.beginPath();
         rows.forEach((r,i)=>{
+          if(r.future) return;
           const v = Math.max(0, Number(r[key]||0));
           const xx = xAt(i), yy = yAt(v);
           if(i===0) ctx.moveTo(xx,yy); else ctx.lineTo(xx,yy);
@@ -1271,16 +2241,56 @@
         // Points
         ctx.fillStyle = strokeStyle;
         rows.forEach((r,i)=>{
+          if(r.future) return;
           const v = Math.max(0, Number(r[key]||0));
           const xx = xAt(i), yy = yAt(v);
           ctx.beginPath(); ctx.arc(xx,yy,3,0,Math.PI*2); ctx.fill();
         });
       }
 
+      // Pronóstico: banda baja–alta + línea esperada (punteada) y el ingreso esperado mensual (parámetro)
+      function drawForecast(){
+        if(!fc) return;
+        const idx = rows.map((r,i)=>r.F ? i : -1).filter(i=>i>=0);
+        if(idx.length){
+          ctx.fillStyle = 'rgba(106,228,255,.14)';
+          ctx.beginPath();
+          idx.forEach((i,n)=>{ const xx = xAt(i), yy = yAt(rows[i].F.high); if(n===0) ctx.moveTo(xx,yy); else ctx.lineTo(xx,yy); });
+          idx.slice().reverse().forEach(i=>ctx.lineTo(xAt(i), yAt(rows[i].F.low)));
+          ctx.closePath();
+          ctx.fill();
+
+          ctx.save();
+          ctx.setLineDash([5,4]);
+          ctx.lineWidth = 2;
+          ctx.strokeStyle = 'rgba(106,228,255,.95)';
+          ctx.beginPath();
+          // arranca en el último mes real para que la línea continúe la de Ingresos
+          const start = idx[0] > 0 && !rows[idx[0]-1].future ? [idx[0]-1, ...idx] : idx;
+          start.forEach((i,n)=>{
+            const v = rows[i].F ? rows[i].F.expected : (rows[i].I||0);
+            if(n===0) ctx.moveTo(xAt(i), yAt(v)); else ctx.lineTo(xAt(i), yAt(v));
+          });
+          ctx.stroke();
+          ctx.restore();
+        }
+        if(expM>0){
+          ctx.save();
+          ctx.setLineDash([2,4]);
+          ctx.lineWidth = 1;
+          ctx.strokeStyle = 'rgba(255,140,200,.85)';
+          ctx.beginPath(); ctx.moveTo(padL, yAt(expM)); ctx.lineTo(padL+plotW, yAt(expM)); ctx.stroke();
+          ctx.restore();
+        }
+      }
+
       // Colors: consistent con el dashboard (sin depender de CSS var exacta)
       drawSeries('I','rgba(106,228,255,.95)');
       drawSeries('E','rgba(255,204,102,.95)');
       drawSeries('U','rgba(61,220,151,.95)');
+      // Reservas (ingreso reconocido según REVENUE_BASIS), solo si hay reservas cargadas
+      if(series.hasR) drawSeries('R','rgba(190,150,255,.95)');
+      drawForecast();
 
       // Legend
       const legend = [
@@ -1288,6 +2298,9 @@
         ['Egresos','rgba(255,204,102,.95)'],
         ['Utilidad','rgba(61,220,151,.95)']
       ];
+      if(series.hasR) legend.push(['Reservas','rgba(190,150,255,.95)']);
+      if(fc) legend.push(['Pronóstico','rgba(106,228,255,.45)']);
+      if(expM>0) legend.push(['Esperado','rgba(255,140,200,.85)']);
       let lx = padL, ly = padT+10;
       ctx.font = '11px system-ui, -apple-system, Segoe UI, Roboto, Arial';
       ctx.textAlign = 'left';
@@ -1343,6 +2356,8 @@
         drawSeries('I','rgba(106,228,255,.95)');
         drawSeries('E','rgba(255,204,102,.95)');
         drawSeries('U','rgba(61,220,151,.95)');
+        if(series.hasR) drawSeries('R','rgba(190,150,255,.95)');
+        drawForecast();
 
         // legend
         ctx.font = '11px system-ui, -apple-system, Segoe UI, Roboto, Arial';
@@ -1364,7 +2379,9 @@
           ['E','rgba(255,204,102,.95)'],
           ['U','rgba(61,220,151,.95)']
         ];
+        if(series.hasR) pts.push(['R','rgba(190,150,255,.95)']);
         pts.forEach(([k,col])=>{
+          if(r.future) return;
           const v = Math.max(0, Number(r[k]||0));
           const y = yAt(v);
           ctx.fillStyle = col;
@@ -1376,7 +2393,11 @@
           const html = `<div class="t">${escHtml(lab)}</div>
                         <div>Ingresos: <b>${fmtMoney(r.I||0)}</b></div>
                         <div>Egresos: <b>${fmtMoney(r.E||0)}</b></div>
-                        <div>Utilidad: <b>${fmtMoney(r.U||0)}</b></div>`;
+                        <div>Utilidad: <b>${fmtMoney(r.U||0)}</b></div>`
+                     + (series.hasR ? `<div>Reservas (${escHtml(REVENUE_BASES[REVENUE_BASIS]||'')}): <b>${fmtMoney(r.R||0)}</b></div>` : '')
+                     + (r.F ? `<div>Pronóstico: <b>${fmtMoney(r.F.expected)}</b> (${fmtMoney(r.F.low)} – ${fmtMoney(r.F.high)})</div>`
+                            + (r.F.otb ? `<div>Ya reservado: <b>${fmtMoney(r.F.otb)}</b></div>` : '') : '')
+                     + (expM>0 && r.F ? `<div>Esperado: <b>${fmtMoney(expM)}</b></div>` : '');
           tip.innerHTML = html;
           tip.style.display = 'block';
 
@@ -1444,6 +2465,7 @@ function renderFinanceModule(){
       const n = series.nMonths || 0;
       const rrI = series.avgI * 12;
       const rrE = series.avgE * 12;
+      FORECAST = computeForecast(yearSel);
 
       const setTxt = (id, val)=>{ const el=document.getElementById(id); if(el) el.textContent = val; };
 
@@ -1452,7 +2474,9 @@ function renderFinanceModule(){
       setTxt('finUtilYTD', fmtMoney(series.ytdU));
       setTxt('finMargYTD', isFinite(series.ytdM) ? fmtPct(series.ytdM) : '—');
 
-      setTxt('finIngRR', `Run-rate anual: ${fmtMoney(rrI)} (prom. ${fmtMoney(series.avgI)} / mes, ${n} meses)`);
+      setTxt('finIngRR', FORECAST
+        ? `Pronóstico anual: ${fmtMoney(FORECAST.annual.expected)} (${fmtMoney(FORECAST.annual.low)} – ${fmtMoney(FORECAST.annual.high)}) • run-rate ${fmtMoney(rrI)}`
+        : `Run-rate anual: ${fmtMoney(rrI)} (prom. ${fmtMoney(series.avgI)} / mes, ${n} meses)`);
       setTxt('finEgrRR', `Run-rate anual: ${fmtMoney(rrE)} (prom. ${fmtMoney(series.avgE)} / mes, ${n} meses)`);
       setTxt('finUtilRR', `Prom. mensual: ${fmtMoney(series.avgU)} (YTD / ${n||0})`);
 
@@ -1463,7 +2487,7 @@ function renderFinanceModule(){
           + '<canvas id="finTrendCanvas" style="width:100%;height:240px"></canvas>'
           + '<div id="finTrendTip" class="finTip" style="display:none"></div>'
           + '</div>';
-        try{ drawTrendCanvas('finTrendCanvas','finTrendTip', series); }catch(e){ console.warn('drawTrendCanvas', e); }
+        try{ drawTrendCanvas('finTrendCanvas','finTrendTip', withForecastRows(series, FORECAST)); }catch(e){ console.warn('drawTrendCanvas', e); }
       }
 
       if(c2){
@@ -1534,24 +2558,25 @@ function renderFinanceModule(){
         addAlert('warn', 'Crecimiento mensual no evaluable', 'Se requieren al menos 2 meses con movimientos.');
       }
 
-      // 3) Run-rate proyectado vs esperado ($ esperado mensual configurable)
+      // 3) Pronóstico (o run-rate si el año ya cerró) vs esperado ($ esperado mensual configurable)
       const expInp = document.getElementById('expectedIncome');
       const expMonthly = expInp ? Number(expInp.value||0) : 0;
       const expAnnual = expMonthly * 12;
       if(expAnnual > 0){
-        const ratio = rrI / expAnnual;
+        const projI = FORECAST ? FORECAST.annual.expected : rrI;
+        const what = FORECAST ? 'Pronóstico' : 'Run-rate';
+        const ratio = projI / expAnnual;
+        const detail = `${what}: ${fmtMoney(projI)}`
+          + (FORECAST ? ` (${fmtMoney(FORECAST.annual.low)} – ${fmtMoney(FORECAST.annual.high)})` : '')
+          + ` vs esperado anual: ${fmtMoney(expAnnual)} (ratio ${fmtPct(ratio)}).`;
         if(ratio < 0.75){
-          addAlert('bad', 'Run-rate de ingresos muy por debajo del esperado',
-            `Run-rate: ${fmtMoney(rrI)} vs esperado anual: ${fmtMoney(expAnnual)} (ratio ${fmtPct(ratio)}).`);
+          addAlert('bad', `${what} de ingresos muy por debajo del esperado`, detail);
         } else if(ratio < 0.90){
-          addAlert('warn', 'Run-rate de ingresos por debajo del esperado',
-            `Run-rate: ${fmtMoney(rrI)} vs esperado anual: ${fmtMoney(expAnnual)} (ratio ${fmtPct(ratio)}).`);
+          addAlert('warn', `${what} de ingresos por debajo del esperado`, detail);
         } else if(ratio > 1.10){
-          addAlert('good', 'Run-rate de ingresos por arriba del esperado',
-            `Run-rate: ${fmtMoney(rrI)} vs esperado anual: ${fmtMoney(expAnnual)} (ratio ${fmtPct(ratio)}).`);
+          addAlert('good', `${what} de ingresos por arriba del esperado`, detail);
         } else {
-          addAlert('good', 'Run-rate de ingresos en rango esperado',
-            `Run-rate: ${fmtMoney(rrI)} vs esperado anual: ${fmtMoney(expAnnual)} (ratio ${fmtPct(ratio)}).`);
+          addAlert('good', `${what} de ingresos en rango esperado`, detail);
         }
       } else {
         addAlert('warn', 'Esperado mensual de ingresos no configurado',
@@ -1599,18 +2624,1182 @@ function renderFinanceModule(){
 }
 
 
+// ------------------ Conciliación: reservas (Lodgify) vs Ingresos (RAW) ------------------
+// Empareja cada reserva con un movimiento de Ingresos por monto (tolerancia % / $), ventana de
+// fechas alrededor del check-in y Cuenta bancaria. Las decisiones (confirmar / rechazar) se guardan
+// en el server (/api/reconciliation/decisions); las tolerancias, en este navegador.
+const RECON_PARAMS_KEY = 'recon_params_v1';
+let RECON_PARAMS = {
+  amountTolPct: 3,      // % del monto de la reserva
+  amountTolAbs: 50,     // $ mínimo de tolerancia
+  daysBefore: 30,       // depósito hasta N días antes del check-in (anticipos)
+  daysAfter: 15,        // ... o N días después (payout de Airbnb/Booking)
+  accounts: '',         // cuentas a considerar (coma); vacío = todas
+  channelAccounts: ''   // canal=cuenta; ej. "Airbnb=BBVA; Booking.com=Santander"
+};
+let RECON_DECISIONS = new Map(); // "<bookingId>|<movementKey>" -> {decision, ...}
+let RECON_RESULT = null;
+
+function loadReconParams(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(RECON_PARAMS_KEY) || 'null');
+    if(saved && typeof saved === 'object') RECON_PARAMS = {...RECON_PARAMS, ...saved};
+  }catch(e){}
+}
+function saveReconParams(){
+  try{ localStorage.setItem(RECON_PARAMS_KEY, JSON.stringify(RECON_PARAMS)); }catch(e){}
+}
+
+function reconApi(path){
+  return (APP_CONFIG.reservationsApiBase || "").replace(/\/$/,"") + path;
+}
+
+// Escrituras protegidas con REGISTRY_TOKEN en el server: el token se pide la primera vez que el
+// server responde 401 y se guarda en este navegador.
+const API_TOKEN_KEY = 'api_write_token_v1';
+
+async function apiWrite(path, method, body){
+  const send = ()=>{
+    let token = '';
+    try{ token = localStorage.getItem(API_TOKEN_KEY) || ''; }catch(e){}
+    return fetch(reconApi(path), {
+      method,
+      headers: {"Content-Type":"application/json", ...(token ? {Authorization: "Bearer " + token} : {})},
+      body: JSON.stringify(body)
+    });
+  };
+  let res = await send();
+  if(res.status === 401){
+    const token = (prompt('Token de escritura del servidor (REGISTRY_TOKEN):') || '').trim();
+    if(token){
+      try{ localStorage.setItem(API_TOKEN_KEY, token); }catch(e){}
+      res = await send();
+    }
+  }
+  return res;
+}
+
+async function loadReconDecisions(){
+  try{
+    const res = await fetch(reconApi("/api/reconciliation/decisions"), {cache:"no-store"});
+    if(!res.ok) throw new Error("HTTP "+res.status);
+    const payload = await res.json();
+    RECON_DECISIONS = new Map((payload.items||[]).map(d=>[d.bookingId + "|" + d.movementKey, d]));
+    return true;
+  }catch(e){
+    console.warn("Conciliación: no se pudieron leer decisiones", e);
+    return false;
+  }
+}
+
+async function saveReconDecision(bookingId, mv, decision){
+  const res = await apiWrite("/api/reconciliation/decisions", "POST", {
+    bookingId, movementKey: mv.key, decision,
+    movement: {Mes: mv.Mes, Fecha: mv.date || "", Monto: mv.amount, "Cuenta bancaria": mv.account, CONCEPTO: mv.concept}
+  });
+  const payload = await res.json().catch(()=>({}));
+  if(!res.ok) throw new Error(payload.message || ("HTTP "+res.status));
+  const k = String(bookingId) + "|" + mv.key;
+  if(decision === 'pending') RECON_DECISIONS.delete(k);
+  else RECON_DECISIONS.set(k, payload.item);
+}
+
+// Hash corto y estable (FNV-1a) para identificar movimientos de RAW (no traen id)
+function fnv1a(str){
+  let h = 0x811c9dc5;
+  for(let i=0;i<str.length;i++){ h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h>>>0).toString(36);
+}
+
+// Fecha del movimiento: columna Fecha (ISO o dd/mm/aaaa) si existe
+function movementDate(r){
+  const raw = norm(r.Fecha ?? r.FECHA ?? r.fecha ?? '');
+  if(!raw) return '';
+  let m = raw.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if(m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = raw.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})/);
+  if(m) return `${m[3]}-${m[2].padStart(2,'0')}-${m[1].padStart(2,'0')}`;
+  return '';
+}
+
+// Movimientos de Ingresos del año como objetos planos con key estable (duplicados exactos => #n)
+function reconMovements(year){
+  const seen = new Map();
+  const accounts = String(RECON_PARAMS.accounts||'').split(',').map(canon).filter(Boolean);
+  const out = [];
+  for(const r of RAW){
+    if(!norm(r.TIPO||'').toLowerCase().includes('ing')) continue;
+    const y = recYear(r) || yearFromMes(r.Mes);
+    if(year && y !== year) continue;
+    const account = norm(r['Cuenta bancaria']||'');
+    if(accounts.length && !accounts.some(a=>canon(account).includes(a))) continue;
+    const amount = Math.abs(Number(r.Monto||0));
+    if(!amount) continue;
+
+    const base = fnv1a(JSON.stringify([norm(r.Mes), norm(r.Fecha ?? r.FECHA ?? ''), account, amount, norm(r.CATEGORIA), norm(r.CONCEPTO), norm(r.DESCRIPCION || r.Descripcion || '')]));
+    const n = (seen.get(base)||0) + 1;
+    seen.set(base, n);
+    out.push({
+      key: n>1 ? `${base}#${n}` : base,
+      Mes: norm(r.Mes), ym: ymOfMes(r.Mes), date: movementDate(r),
+      account, amount, concept: norm(r.CONCEPTO), category: norm(r.CATEGORIA),
+      desc: norm(r.DESCRIPCION || r.Descripcion || r.DESCRIPCIÓN || '')
+    });
+  }
+  return out;
+}
+
+function reconBookings(year){
+  return RES_RAW
+    .filter(r=>!/declin|cancel/i.test(String(resField(r, ["status","estado"], ""))))
+    .filter(r=>!year || recognizedInYear(r, year).inYear)
+    .map(r=>({
+      id: String(resField(r, ["id","code","bookingCode","reservationId"], "")),
+      prop: resProp(r), channel: resType(r), guest: String(resField(r, ["guestName","guest","huesped"], "")),
+      // el depósito de una OTA es el payout (neto de comisiones), no el total
+      checkIn: resCheckIn(r), checkOut: resCheckOut(r), amount: resNet(r)
+    }))
+    .filter(b=>b.id && b.amount>0 && /^\d{4}-\d{2}-\d{2}$/.test(b.checkIn));
+}
+
+function addDaysIso(iso, n){
+  const d = new Date(iso + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0,10);
+}
+
+// Distancia en días del movimiento a la ventana [from, to]; sin Fecha se usa el mes completo. null = fuera.
+function reconDateDistance(mv, b, from, to){
+  if(mv.date){
+    if(mv.date < from || mv.date > to) return null;
+    return Math.abs((Date.parse(mv.date) - Date.parse(b.checkIn)) / 86400000);
+  }
+  if(!mv.ym || mv.ym < from.slice(0,7) || mv.ym > to.slice(0,7)) return null;
+  return mv.ym === b.checkIn.slice(0,7) ? 0 : 15;
+}
+
+function reconAccountFor(channel){
+  for(const part of String(RECON_PARAMS.channelAccounts||'').split(/[;\n]/)){
+    const [ch, acc] = part.split('=').map(x=>canon(x||''));
+    if(ch && acc && ch === canon(channel)) return acc;
+  }
+  return '';
+}
+
+function reconcile(year){
+  const P = RECON_PARAMS;
+  const bookings = reconBookings(year);
+  const movements = reconMovements(year);
+  const bById = new Map(bookings.map(b=>[b.id, b]));
+  const mByKey = new Map(movements.map(m=>[m.key, m]));
+  const usedB = new Set(), usedM = new Set();
+
+  // 1) Confirmados (si siguen existiendo ambos lados)
+  const confirmed = [];
+  for(const d of RECON_DECISIONS.values()){
+    if(d.decision !== 'confirmed') continue;
+    const b = bById.get(d.bookingId), m = mByKey.get(d.movementKey);
+    if(!b || !m || usedB.has(b.id) || usedM.has(m.key)) continue;
+    usedB.add(b.id); usedM.add(m.key);
+    confirmed.push({b, m, diff: m.amount - b.amount});
+  }
+
+  // 2) Candidatos: monto dentro de tolerancia, fecha en ventana, cuenta del canal (si está mapeada)
+  const cands = [];
+  for(const b of bookings){
+    if(usedB.has(b.id)) continue;
+    const tol = Math.max(Number(P.amountTolAbs)||0, b.amount * (Number(P.amountTolPct)||0) / 100);
+    const from = addDaysIso(b.checkIn, -(Number(P.daysBefore)||0));
+    const to = addDaysIso(b.checkIn, Number(P.daysAfter)||0);
+    const acc = reconAccountFor(b.channel);
+    for(const m of movements){
+      if(usedM.has(m.key)) continue;
+      const diff = m.amount - b.amount;
+      if(Math.abs(diff) > tol) continue;
+      if(acc && !canon(m.account).includes(acc)) continue;
+      const dist = reconDateDistance(m, b, from, to);
+      if(dist === null) continue;
+      if(RECON_DECISIONS.get(b.id + "|" + m.key)?.decision === 'rejected') continue;
+      const score = Math.abs(diff) / Math.max(tol, 1) + dist / Math.max(1, (Number(P.daysBefore)||0) + (Number(P.daysAfter)||0));
+      cands.push({b, m, diff, score});
+    }
+  }
+
+  // 3) Greedy por score (1 a 1)
+  cands.sort((x,y)=> x.score - y.score);
+  const suggested = [];
+  for(const c of cands){
+    if(usedB.has(c.b.id) || usedM.has(c.m.key)) continue;
+    usedB.add(c.b.id); usedM.add(c.m.key);
+    suggested.push(c);
+  }
+
+  const unmatchedBookings = bookings.filter(b=>!usedB.has(b.id)).sort((a,b)=>a.checkIn.localeCompare(b.checkIn));
+  const unmatchedIncome = movements.filter(m=>!usedM.has(m.key)).sort((a,b)=>(a.date||a.ym).localeCompare(b.date||b.ym));
+  return {year, confirmed, suggested, unmatchedBookings, unmatchedIncome, bookings: bookings.length, movements: movements.length};
+}
+
+function renderReconciliation(){
+  const box = document.getElementById('recModule');
+  if(!box) return;
+  const year = selectedYearFallback();
+  RECON_RESULT = reconcile(year);
+  const R = RECON_RESULT;
+  const sum = (arr, f)=> arr.reduce((a,x)=>a+f(x),0);
+  const setTxt = (id, val)=>{ const el=document.getElementById(id); if(el) el.textContent = val; };
+
+  setTxt('recYearPill', 'Año: ' + (year || 'todos'));
+  setTxt('recConf', R.confirmed.length.toLocaleString('es-MX'));
+  setTxt('recConfS', fmtMoney(sum(R.confirmed, x=>x.m.amount)));
+  setTxt('recSug', R.suggested.length.toLocaleString('es-MX'));
+  setTxt('recSugS', fmtMoney(sum(R.suggested, x=>x.m.amount)));
+  setTxt('recUB', R.unmatchedBookings.length.toLocaleString('es-MX'));
+  setTxt('recUBS', fmtMoney(sum(R.unmatchedBookings, b=>b.amount)) + ' sin depositar');
+  setTxt('recUI', R.unmatchedIncome.length.toLocaleString('es-MX'));
+  setTxt('recUIS', fmtMoney(sum(R.unmatchedIncome, m=>m.amount)) + ' sin reserva');
+  setTxt('recInfo', `${R.bookings} reservas • ${R.movements} movimientos de Ingresos` + (RES_RAW.length ? '' : ' • (sin reservas cargadas)'));
+
+  const bookingCell = (b)=> `<b>${escHtml(b.prop)}</b> • ${escHtml(b.channel)}<div class="small">${escHtml(b.checkIn)} → ${escHtml(b.checkOut)} • ${escHtml(b.guest || b.id)}</div>`;
+  const mvCell = (m)=> `<b>${escHtml(m.account || '—')}</b> • ${escHtml(m.date || m.Mes)}<div class="small">${escHtml(m.concept || m.category)}${m.desc ? ' • ' + escHtml(m.desc) : ''}</div>`;
+
+  const pairRows = (tbId, list, actions)=>{
+    const tb = document.getElementById(tbId);
+    if(!tb) return;
+    tb.innerHTML = '';
+    for(const x of list){
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${bookingCell(x.b)}</td>
+        <td class="num">${fmtMoney(x.b.amount)}</td>
+        <td>${mvCell(x.m)}</td>
+        <td class="num">${fmtMoney(x.m.amount)}</td>
+        <td class="num"><span class="pill ${Math.abs(x.diff)<1 ? 'good' : 'warn'}">${fmtMoney(x.diff)}</span></td>
+        <td style="white-space:nowrap">${actions.map(([d,lbl])=>`<button type="button" data-d="${d}">${lbl}</button>`).join(' ')}</td>
+      `;
+      tr.querySelectorAll('button').forEach(btn=>btn.addEventListener('click', async ()=>{
+        btn.disabled = true;
+        try{
+          await saveReconDecision(x.b.id, x.m, btn.dataset.d);
+        }catch(e){
+          console.warn('Conciliación: no se guardó la decisión', e);
+          alert('No se pudo guardar la decisión: ' + e.message);
+        }
+        renderReconciliation();
+      }));
+      tb.appendChild(tr);
+    }
+    if(!list.length) tb.innerHTML = '<tr><td colspan="6" class="small" style="color:var(--muted)">—</td></tr>';
+  };
+  pairRows('tbRecSug', R.suggested, [['confirmed','✓ Confirmar'],['rejected','✕ Rechazar']]);
+  pairRows('tbRecConf', R.confirmed, [['pending','Deshacer']]);
+
+  const tbB = document.getElementById('tbRecUB');
+  if(tbB){
+    tbB.innerHTML = R.unmatchedBookings.map(b=>`<tr><td>${bookingCell(b)}</td><td class="num">${fmtMoney(b.amount)}</td></tr>`).join('')
+      || '<tr><td colspan="2" class="small" style="color:var(--muted)">—</td></tr>';
+  }
+  const tbI = document.getElementById('tbRecUI');
+  if(tbI){
+    tbI.innerHTML = R.unmatchedIncome.map(m=>`<tr><td>${mvCell(m)}</td><td class="num">${fmtMoney(m.amount)}</td></tr>`).join('')
+      || '<tr><td colspan="2" class="small" style="color:var(--muted)">—</td></tr>';
+  }
+}
+
+function hookReconciliation(){
+  const btn = document.getElementById('btnRecWin');
+  const overlay = document.getElementById('recOverlay');
+  const btnClose = document.getElementById('btnRecClose');
+  if(!btn || !overlay) return;
+
+  loadReconParams();
+  const inputs = {recTolPct:'amountTolPct', recTolAbs:'amountTolAbs', recDaysBefore:'daysBefore', recDaysAfter:'daysAfter', recAccounts:'accounts', recChanAcc:'channelAccounts'};
+  for(const [id, key] of Object.entries(inputs)){
+    const inp = document.getElementById(id);
+    if(!inp) continue;
+    inp.value = String(RECON_PARAMS[key] ?? '');
+    inp.addEventListener('change', ()=>{
+      RECON_PARAMS[key] = inp.type === 'number' ? Math.max(0, Number(inp.value||0)) : inp.value;
+      saveReconParams();
+      renderReconciliation();
+    });
+  }
+
+  const close = ()=>{ overlay.classList.remove('show'); overlay.setAttribute('aria-hidden','true'); };
+  btn.addEventListener('click', async ()=>{
+    overlay.classList.add('show');
+    overlay.setAttribute('aria-hidden','false');
+    renderReconciliation();
+    await Promise.all([loadReservations(), loadReconDecisions()]);
+    if(overlay.classList.contains('show')) renderReconciliation();
+  });
+  if(btnClose) btnClose.addEventListener('click', close);
+  overlay.addEventListener('click', (e)=>{ if(e.target === overlay) close(); });
+  document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape') close(); });
+}
+
+
+// ------------------ P&L por alojamiento ------------------
+// Ingresos: reservas (RES_RAW) reconocidas por mes según REVENUE_BASIS, menos comisiones del canal.
+// Gastos: Egresos de RAW del año, asignados en este orden:
+//   1) columna Alojamiento / Propiedad del movimiento
+//   2) aliases del registro (CATEGORIA / CONCEPTO)
+//   3) regla de reparto (/api/pnl/rules): por noches reservadas del mes, por unidades o % fijo
+//   4) lo que no cae en nada => "Sin asignar"
+const PNL_UNASSIGNED = 'Sin asignar';
+const PNL_METHOD_LABELS = {nights:'noches', units:'unidades'};
+let PNL_RULES = [];
+let PNL_RESULT = null;
+let PNL_SELECTED = null;  // {name, ym}
+// Reservas del año completo, sin los filtros de la pestaña R: el reparto por noches y los ingresos
+// de cada alojamiento no pueden depender de lo que esté filtrado en pantalla
+let PNL_BOOKINGS = {year: '', basis: '', items: [], error: null};
+
+async function loadPnlBookings(year){
+  if(!year) return false;
+  try{
+    PNL_BOOKINGS = {year, basis: REVENUE_BASIS, items: await fetchReservations({year}), error: null};
+    return true;
+  }catch(e){
+    console.warn("P&L: reservas fallaron", e);
+    PNL_BOOKINGS = {year, basis: REVENUE_BASIS, items: [], error: e.message};
+    return false;
+  }
+}
+
+async function loadPnlRules(){
+  try{
+    const res = await fetch(reconApi("/api/pnl/rules"), {cache:"no-store"});
+    if(!res.ok) throw new Error("HTTP "+res.status);
+    const payload = await res.json();
+    PNL_RULES = Array.isArray(payload.rules) ? payload.rules : [];
+    return true;
+  }catch(e){
+    console.warn("P&L: no se pudieron leer las reglas", e);
+    return false;
+  }
+}
+
+async function savePnlRules(rules){
+  const res = await apiWrite("/api/pnl/rules", "PUT", {rules});
+  const payload = await res.json().catch(()=>({}));
+  if(!res.ok) throw new Error(payload.message || ("HTTP "+res.status));
+  PNL_RULES = payload.rules || rules;
+}
+
+// Reglas <-> texto, una por renglón:
+//   LUZ = noches
+//   INTERNET = unidades: Casa Centro, Loft República
+//   CONTADOR = Casa Centro 60%, Loft República 40%
+function pnlRulesToText(rules){
+  return rules.map(r=>{
+    if(r.method==='fixed') return `${r.match} = ` + Object.entries(r.shares||{}).map(([n,p])=>`${n} ${p}%`).join(', ');
+    const props = (r.properties||[]).length ? ': ' + r.properties.join(', ') : '';
+    return `${r.match} = ${PNL_METHOD_LABELS[r.method] || r.method}${props}`;
+  }).join('\n');
+}
+
+function parsePnlRules(text){
+  const rules = [], errors = [];
+  String(text||'').split('\n').map(s=>s.trim()).filter(s=>s && !s.startsWith('#')).forEach((line, i)=>{
+    const eq = line.indexOf('=');
+    if(eq<1){ errors.push(`Renglón ${i+1}: falta "="`); return; }
+    const match = line.slice(0, eq).trim();
+    const rhs = line.slice(eq+1).trim();
+    const m = rhs.match(/^(noches|unidades)\s*(?::\s*(.*))?$/i);
+    if(m){
+      const method = m[1].toLowerCase()==='noches' ? 'nights' : 'units';
+      rules.push({match, method, properties: String(m[2]||'').split(',').map(s=>s.trim()).filter(Boolean)});
+      return;
+    }
+    const shares = {};
+    for(const part of rhs.split(',').map(s=>s.trim()).filter(Boolean)){
+      const pm = part.match(/^(.+?)\s+(\d+(?:\.\d+)?)\s*%$/);
+      if(!pm){ errors.push(`Renglón ${i+1}: "${part}" no es "Alojamiento NN%"`); continue; }
+      shares[pm[1].trim()] = Number(pm[2]);
+    }
+    rules.push({match, method:'fixed', shares});
+  });
+  return {rules, errors};
+}
+
+function pnlMonthRange(ym){
+  const [y, m] = ym.split('-').map(Number);
+  return {from: `${ym}-01`, to: `${ym}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2,'0')}`};
+}
+const pnlActiveIn = (p, ym)=>{
+  if(!p) return true;
+  const {from, to} = pnlMonthRange(ym);
+  return !(p.activeFrom && p.activeFrom > to) && !(p.activeTo && p.activeTo < from);
+};
+
+function computePnl(year, bookings){
+  const months = Array.from({length:12}, (_,i)=>`${year}-${String(i+1).padStart(2,'0')}`);
+  const newRow = (name, p=null)=>({
+    name, group: p?.group || '', units: Number(p?.units||1) || 1, p,
+    months: new Map(months.map(ym=>[ym, {revenue:0, fees:0, direct:0, allocated:0}])),
+    movements: []
+  });
+  const rows = new Map();
+  const row = (name, p=null)=>{
+    if(!rows.has(name)) rows.set(name, newRow(name, p));
+    return rows.get(name);
+  };
+
+  // Alojamientos: registro vigente en el año (+ los que aparezcan en reservas)
+  const byCanon = new Map();
+  const aliasCat = new Map(), aliasCon = new Map();
+  for(const p of PROP_REGISTRY){
+    if(!registryActiveInYear(p, year)) continue;
+    row(p.name, p.registered ? p : null);
+    for(const k of [p.name, p.id, p.lodgifyId, p.lodgifyName]) if(k) byCanon.set(canon(k), p.name);
+    for(const a of p.aliases?.categoria || []) aliasCat.set(canon(a), p.name);
+    for(const a of p.aliases?.concepto || []) aliasCon.set(canon(a), p.name);
+  }
+
+  // Ingresos + noches por mes (base del reparto "noches")
+  const nightsBy = new Map(months.map(ym=>[ym, new Map()]));
+  for(const r of bookings){
+    if(/declin|cancel/i.test(String(resField(r, ["status","estado"], "")))) continue;
+    const name = resProp(r);
+    const gross = resAmount(r);
+    const feeRatio = gross ? resFees(r)/gross : 0;
+    for(const part of recognizeReservation(r)){
+      if(!part.ym.startsWith(year + '-')) continue;
+      const cell = row(name).months.get(part.ym);
+      cell.revenue += part.amount;
+      cell.fees += part.amount * feeRatio;
+      const nm = nightsBy.get(part.ym);
+      nm.set(name, (nm.get(name)||0) + part.nights);
+    }
+    if(!byCanon.has(canon(name))) byCanon.set(canon(name), name);
+  }
+
+  const resolve = (label)=> byCanon.get(canon(label)) || null;
+  const candidates = (rule, ym)=>{
+    const names = (rule.properties||[]).length
+      ? rule.properties.map(resolve).filter(Boolean)
+      : [...rows.values()].filter(x=>pnlActiveIn(x.p, ym)).map(x=>x.name);
+    return [...new Set(names)];
+  };
+  const split = (amount, weights)=>{
+    const tot = weights.reduce((a,[,w])=>a+w,0);
+    return tot>0 ? weights.filter(([,w])=>w>0).map(([name,w])=>({name, amount: amount*w/tot})) : [];
+  };
+
+  // Un movimiento => [{name, amount, via}] (lo que no se reparte queda sin asignar)
+  const assign = (r, ym, amount)=>{
+    const tag = norm(r.Alojamiento ?? r.ALOJAMIENTO ?? r.Propiedad ?? r.PROPIEDAD ?? '');
+    if(tag && resolve(tag)) return [{name: resolve(tag), amount, via: 'Alojamiento'}];
+    const Cat = canon(r.CATEGORIA), Con = canon(r.CONCEPTO);
+    const alias = aliasCon.get(Con) || aliasCat.get(Cat);
+    if(alias) return [{name: alias, amount, via: 'Alias'}];
+
+    const rule = PNL_RULES.find(x=>{ const k = canon(x.match); return k===Cat || k===Con; });
+    if(!rule || !ym) return [];
+    const via = 'Regla: ' + rule.match;
+    if(rule.method==='fixed'){
+      return Object.entries(rule.shares||{})
+        .map(([n,pct])=>({name: resolve(n), amount: amount*Number(pct)/100, via}))
+        .filter(x=>x.name);
+    }
+    const names = candidates(rule, ym);
+    const byUnits = ()=> split(amount, names.map(n=>[n, rows.get(n)?.units || 1]));
+    if(rule.method==='nights'){
+      const parts = split(amount, names.map(n=>[n, nightsBy.get(ym)?.get(n) || 0]));
+      // mes sin noches reservadas => por unidades
+      return (parts.length ? parts : byUnits()).map(x=>({...x, via}));
+    }
+    return byUnits().map(x=>({...x, via}));
+  };
+
+  const unassigned = newRow(PNL_UNASSIGNED);
+  for(const r of RAW){
+    if(!norm(r.TIPO||'').toLowerCase().includes('egr')) continue;
+    if((recYear(r) || yearFromMes(r.Mes)) !== year) continue;
+    const amount = Math.abs(Number(r.Monto||0));
+    if(!amount) continue;
+    const ym = ymOfMes(r.Mes);
+    // Mes ilegible o fuera del año: no hay columna donde cargarlo => sin asignar (solo en movimientos)
+    const validYm = months.includes(ym);
+    const parts = validYm ? assign(r, ym, amount) : [];
+    let rest = amount;
+    for(const x of parts){
+      const target = row(x.name);
+      const cell = target.months.get(ym);
+      if(x.via==='Alojamiento' || x.via==='Alias') cell.direct += x.amount;
+      else cell.allocated += x.amount;
+      target.movements.push({r, ym, total: amount, amount: x.amount, via: x.via});
+      rest -= x.amount;
+    }
+    if(rest > 0.005){
+      const cell = unassigned.months.get(ym);
+      if(cell) cell.direct += rest;
+      unassigned.movements.push({r, ym, total: amount, amount: rest, via: validYm ? '—' : 'Mes inválido'});
+    }
+  }
+
+  const finish = (x)=>{
+    const t = {revenue:0, fees:0, direct:0, allocated:0};
+    for(const c of x.months.values()){
+      c.net = c.revenue - c.fees;
+      c.expenses = c.direct + c.allocated;
+      c.margin = c.net - c.expenses;
+      for(const k in t) t[k] += c[k];
+    }
+    t.net = t.revenue - t.fees;
+    t.expenses = t.direct + t.allocated;
+    t.margin = t.net - t.expenses;
+    t.marginPct = t.net ? t.margin / t.net : NaN;
+    return {...x, totals: t};
+  };
+  const list = [...rows.values()].map(finish)
+    .filter(x=>x.p || x.totals.revenue || x.totals.expenses)
+    .sort((a,b)=> (!a.group - !b.group) || a.group.localeCompare(b.group,'es') || a.name.localeCompare(b.name,'es'));
+  const un = finish(unassigned);
+  const sum = (k)=> list.reduce((a,x)=>a+x.totals[k],0);
+  return {
+    year, months, rows: list, unassigned: un,
+    totals: {net: sum('net'), expenses: sum('expenses'), margin: sum('margin'), unassigned: un.totals.expenses}
+  };
+}
+
+function renderPnl(){
+  const box = document.getElementById('pnlModule');
+  if(!box) return;
+  const year = selectedYearFallback();
+  const setTxt = (id, val)=>{ const el=document.getElementById(id); if(el) el.textContent = val; };
+  setTxt('pnlYearPill', 'Año: ' + (year || '—'));
+  if(!year){ setTxt('pnlInfo', 'Selecciona un año.'); return; }
+
+  const loaded = PNL_BOOKINGS.year === year && PNL_BOOKINGS.basis === REVENUE_BASIS;
+  const bookings = loaded ? PNL_BOOKINGS.items : [];
+  PNL_RESULT = computePnl(year, bookings);
+  const P = PNL_RESULT;
+  setTxt('pnlNet', fmtMoney(P.totals.net));
+  setTxt('pnlExp', fmtMoney(P.totals.expenses));
+  setTxt('pnlMargin', fmtMoney(P.totals.margin));
+  setTxt('pnlMarginS', P.totals.net ? fmtPct(P.totals.margin / P.totals.net) + ' del ingreso neto' : '—');
+  setTxt('pnlUn', fmtMoney(P.totals.unassigned));
+  const note = !loaded ? ' • (cargando reservas…)'
+    : PNL_BOOKINGS.error ? ` • (no se pudieron cargar las reservas: ${PNL_BOOKINGS.error})`
+    : bookings.length ? '' : ' • (sin reservas en el año)';
+  setTxt('pnlInfo', `${P.rows.length} alojamientos • ${bookings.length} reservas • base: ${REVENUE_BASES[REVENUE_BASIS]}` + note);
+
+  const head = document.getElementById('pnlHead');
+  if(head){
+    head.innerHTML = '<th>Alojamiento</th>' + P.months.map(ym=>`<th class="num">${escHtml(occMonthLabel(ym).split(' ')[0])}</th>`).join('')
+      + '<th class="num">Ingreso neto</th><th class="num">Gastos</th><th class="num">Margen</th><th class="num">%</th>';
+  }
+  const tb = document.getElementById('tbPnl');
+  if(tb){
+    tb.innerHTML = '';
+    let lastGroup = null;
+    for(const x of [...P.rows, P.unassigned]){
+      if(x.name!==PNL_UNASSIGNED && x.group && x.group!==lastGroup){
+        lastGroup = x.group;
+        tb.insertAdjacentHTML('beforeend', `<tr><td colspan="${P.months.length+5}" class="small" style="color:var(--muted)">${escHtml(x.group)}</td></tr>`);
+      }
+      const isUn = x.name===PNL_UNASSIGNED;
+      const tr = document.createElement('tr');
+      tr.tabIndex = 0;
+      if(PNL_SELECTED?.name===x.name) tr.classList.add('selected');
+      tr.innerHTML = `<td>${escHtml(x.name)}</td>`
+        + P.months.map(ym=>{ const c = x.months.get(ym); return `<td class="num"${c.margin<0 ? ' style="color:var(--bad)"' : ''}>${(c.net||c.expenses) ? fmtMoney(isUn ? -c.expenses : c.margin) : '—'}</td>`; }).join('')
+        + `<td class="num">${fmtMoney(x.totals.net)}</td><td class="num">${fmtMoney(x.totals.expenses)}</td>`
+        + `<td class="num"><b>${fmtMoney(isUn ? -x.totals.expenses : x.totals.margin)}</b></td>`
+        + `<td class="num">${isFinite(x.totals.marginPct) ? fmtPct(x.totals.marginPct) : '—'}</td>`;
+      tr.addEventListener('click', ()=>{ PNL_SELECTED = {name: x.name, ym: ''}; renderPnl(); });
+      tr.addEventListener('keydown', (e)=>{ if(e.key==='Enter' || e.key===' '){ e.preventDefault(); tr.click(); } });
+      tb.appendChild(tr);
+    }
+  }
+  renderPnlDetail();
+}
+
+// Detalle del alojamiento: mes a mes y los movimientos detrás de sus gastos (click en un mes => solo ese mes)
+function renderPnlDetail(){
+  const P = PNL_RESULT;
+  const x = P && PNL_SELECTED && [...P.rows, P.unassigned].find(r=>r.name===PNL_SELECTED.name);
+  const setHtml = (id, html)=>{ const el=document.getElementById(id); if(el) el.innerHTML = html; };
+  const empty = (cols)=> `<tr><td colspan="${cols}" class="small" style="color:var(--muted)">—</td></tr>`;
+  if(!x){
+    setHtml('pnlSel', 'Selecciona un alojamiento para ver su detalle.');
+    setHtml('tbPnlMonths', empty(7));
+    setHtml('tbPnlMov', empty(6));
+    return;
+  }
+  const ymSel = PNL_SELECTED.ym;
+  setHtml('pnlSel', `<span class="pill">${escHtml(x.name)}</span>` + (ymSel ? ` <span class="pill">${escHtml(occMonthLabel(ymSel))}</span>` : ''));
+
+  const tbM = document.getElementById('tbPnlMonths');
+  if(tbM){
+    tbM.innerHTML = '';
+    for(const ym of P.months){
+      const c = x.months.get(ym);
+      const tr = document.createElement('tr');
+      tr.tabIndex = 0;
+      if(ym===ymSel) tr.classList.add('selected');
+      tr.innerHTML = `<td>${escHtml(occMonthLabel(ym))}</td><td class="num">${fmtMoney(c.revenue)}</td><td class="num">${fmtMoney(c.fees)}</td>
+        <td class="num">${fmtMoney(c.direct)}</td><td class="num">${fmtMoney(c.allocated)}</td>
+        <td class="num"${c.margin<0 ? ' style="color:var(--bad)"' : ''}><b>${fmtMoney(c.margin)}</b></td>
+        <td class="num">${c.net ? fmtPct(c.margin / c.net) : '—'}</td>`;
+      tr.addEventListener('click', ()=>{ PNL_SELECTED = {name: x.name, ym: ymSel===ym ? '' : ym}; renderPnlDetail(); });
+      tbM.appendChild(tr);
+    }
+  }
+
+  const movs = x.movements.filter(m=>!ymSel || m.ym===ymSel).sort((a,b)=> a.ym.localeCompare(b.ym) || b.amount-a.amount);
+  setHtml('tbPnlMov', movs.map(m=>`<tr>
+      <td>${escHtml(norm(m.r.Mes))}</td><td>${escHtml(norm(m.r.CATEGORIA))}</td><td>${escHtml(norm(m.r.CONCEPTO))}</td>
+      <td><span class="pill">${escHtml(m.via)}</span></td>
+      <td class="num">${fmtMoney(m.total)}</td><td class="num">${fmtMoney(m.amount)}</td>
+    </tr>`).join('') || empty(6));
+}
+
+function hookPnl(){
+  const btn = document.getElementById('btnPnlWin');
+  const overlay = document.getElementById('pnlOverlay');
+  const btnClose = document.getElementById('btnPnlClose');
+  if(!btn || !overlay) return;
+
+  const txt = document.getElementById('pnlRules');
+  const btnSave = document.getElementById('btnPnlRulesSave');
+  const status = document.getElementById('pnlRulesStatus');
+  if(btnSave && txt){
+    btnSave.addEventListener('click', async ()=>{
+      const {rules, errors} = parsePnlRules(txt.value);
+      if(errors.length){ status.textContent = errors.join(' • '); return; }
+      btnSave.disabled = true;
+      try{
+        await savePnlRules(rules);
+        txt.value = pnlRulesToText(PNL_RULES);
+        status.textContent = `Guardado (${PNL_RULES.length} reglas).`;
+        renderPnl();
+      }catch(e){
+        status.textContent = 'No se pudo guardar: ' + e.message;
+      }
+      btnSave.disabled = false;
+    });
+  }
+
+  const close = ()=>{ overlay.classList.remove('show'); overlay.setAttribute('aria-hidden','true'); };
+  btn.addEventListener('click', async ()=>{
+    overlay.classList.add('show');
+    overlay.setAttribute('aria-hidden','false');
+    renderPnl();
+    await Promise.all([loadPnlBookings(selectedYearFallback()), loadPropertyRegistry(), loadPnlRules()]);
+    if(txt) txt.value = pnlRulesToText(PNL_RULES);
+    if(overlay.classList.contains('show')) renderPnl();
+  });
+  if(btnClose) btnClose.addEventListener('click', close);
+  overlay.addEventListener('click', (e)=>{ if(e.target === overlay) close(); });
+  document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape') close(); });
+}
+
+// ------------------ Estados de cuenta a propietarios ------------------
+// Por propietario (campo owner del registro) y mes: reservas de sus alojamientos, comisiones de canal,
+// comisión de administración (managementFeePct sobre el ingreso neto de canal) y los gastos que el P&L
+// le asigna a cada alojamiento. "Emitir" congela el estado en el server (/api/owner-statements).
+let OWN_CURRENT = null;   // {item} emitido o {draft} sin emitir
+let OWN_LIST = [];
+
+function ownerNames(){
+  return [...new Set(PROP_REGISTRY.filter(p=>p.registered && norm(p.owner)).map(p=>norm(p.owner)))]
+    .sort((a,b)=>a.localeCompare(b,'es'));
+}
+
+async function buildOwnerStatement(owner, ym){
+  const year = ym.slice(0,4);
+  // año completo sin filtros de la pestaña R (el reparto por noches necesita todos los alojamientos)
+  const bookings = await fetchReservations({year});
+  const pnl = computePnl(year, bookings);
+  const props = PROP_REGISTRY.filter(p=>p.registered && canon(p.owner)===canon(owner) && pnlActiveIn(p, ym));
+
+  const properties = props.map(p=>{
+    const lines = [];
+    for(const r of bookings){
+      if(resProp(r)!==p.name || /declin|cancel/i.test(String(resField(r, ["status","estado"], "")))) continue;
+      const part = recognizeReservation(r).find(x=>x.ym===ym);
+      if(!part) continue;
+      const gross = resAmount(r);
+      const channelFees = gross ? resFees(r) * part.amount / gross : 0;
+      lines.push({
+        id: String(resField(r, ["id","code","bookingCode","reservationId"], "")),
+        channel: resType(r), guest: String(resField(r, ["guestName","guest","huesped"], "")),
+        checkIn: resCheckIn(r), checkOut: resCheckOut(r), nights: part.nights,
+        gross: part.amount, channelFees, net: part.amount - channelFees
+      });
+    }
+    lines.sort((a,b)=>a.checkIn.localeCompare(b.checkIn));
+
+    const pnlRow = pnl.rows.find(x=>x.name===p.name);
+    const expenses = (pnlRow?.movements || []).filter(m=>m.ym===ym).map(m=>({
+      Mes: norm(m.r.Mes), category: norm(m.r.CATEGORIA), concept: norm(m.r.CONCEPTO), via: m.via, amount: m.amount
+    }));
+
+    const sum = (arr, k)=> arr.reduce((a,x)=>a+x[k],0);
+    const managementFeePct = Number(p.managementFeePct||0);
+    const net = sum(lines, 'net');
+    const totals = {
+      bookings: lines.length, nights: sum(lines, 'nights'),
+      gross: sum(lines, 'gross'), channelFees: sum(lines, 'channelFees'), net,
+      managementFee: net * managementFeePct / 100,
+      expenses: sum(expenses, 'amount')
+    };
+    totals.payout = totals.net - totals.managementFee - totals.expenses;
+    return {id: p.id, name: p.name, managementFeePct, bookings: lines, expenses, totals};
+  });
+
+  const totals = {};
+  for(const k of ['bookings','nights','gross','channelFees','net','managementFee','expenses','payout']){
+    totals[k] = properties.reduce((a,x)=>a+x.totals[k],0);
+  }
+  return {basis: REVENUE_BASIS, generatedAt: new Date().toISOString(), properties, totals};
+}
+
+async function loadOwnerStatements(owner){
+  try{
+    const url = new URL(reconApi("/api/owner-statements"), location.href);
+    if(owner) url.searchParams.set("owner", owner);
+    const res = await fetch(url.toString(), {cache:"no-store"});
+    if(!res.ok) throw new Error("HTTP "+res.status);
+    OWN_LIST = (await res.json()).items || [];
+  }catch(e){
+    console.warn("Estados de cuenta: no se pudo leer el historial", e);
+    OWN_LIST = [];
+  }
+}
+
+async function issueOwnerStatement(draft){
+  const res = await apiWrite("/api/owner-statements", "POST", {owner: draft.owner, month: draft.month, statement: draft.statement});
+  const payload = await res.json().catch(()=>({}));
+  if(!res.ok) throw new Error(payload.message || ("HTTP "+res.status));
+  return payload.item;
+}
+
+async function openOwnerStatement(id){
+  const res = await fetch(reconApi("/api/owner-statements/" + encodeURIComponent(id)), {cache:"no-store"});
+  const payload = await res.json().catch(()=>({}));
+  if(!res.ok) throw new Error(payload.message || ("HTTP "+res.status));
+  return payload.item;
+}
+
+// Cuerpo del estado (mismo HTML en pantalla y en la ventana de impresión)
+function ownerStatementBody(doc){
+  const st = doc.statement;
+  const money = (n)=> escHtml(fmtMoney(n));
+  const summary = (t, pct)=> `<table class="t sum">
+      <tr><td>Ingreso bruto (${t.bookings} reservas, ${t.nights} noches)</td><td class="num">${money(t.gross)}</td></tr>
+      <tr><td>− Comisiones de canal</td><td class="num">${money(t.channelFees)}</td></tr>
+      <tr><td>= Ingreso neto</td><td class="num">${money(t.net)}</td></tr>
+      <tr><td>− Comisión de administración${pct!==undefined ? ` (${pct}%)` : ''}</td><td class="num">${money(t.managementFee)}</td></tr>
+      <tr><td>− Gastos del alojamiento</td><td class="num">${money(t.expenses)}</td></tr>
+      <tr class="tot"><td>Pago al propietario</td><td class="num">${money(t.payout)}</td></tr>
+    </table>`;
+  const props = st.properties.map(p=>`
+    <div class="card">
+      <div class="h2">${escHtml(p.name)}</div>
+      ${summary(p.totals, p.managementFeePct)}
+      <div class="h3">Reservas</div>
+      <table class="t">
+        <thead><tr><th>Check-in</th><th>Check-out</th><th>Huésped</th><th>Canal</th><th class="num">Noches</th><th class="num">Bruto</th><th class="num">Comisión canal</th><th class="num">Neto</th></tr></thead>
+        <tbody>${p.bookings.map(b=>`<tr><td>${escHtml(b.checkIn)}</td><td>${escHtml(b.checkOut)}</td><td>${escHtml(b.guest || b.id)}</td><td>${escHtml(b.channel)}</td>
+          <td class="num">${b.nights}</td><td class="num">${money(b.gross)}</td><td class="num">${money(b.channelFees)}</td><td class="num">${money(b.net)}</td></tr>`).join('')
+          || '<tr><td colspan="8">Sin reservas en el mes.</td></tr>'}</tbody>
+      </table>
+      <div class="h3">Gastos</div>
+      <table class="t">
+        <thead><tr><th>Mes</th><th>Categoría</th><th>Concepto</th><th>Vía</th><th class="num">Monto</th></tr></thead>
+        <tbody>${p.expenses.map(x=>`<tr><td>${escHtml(x.Mes)}</td><td>${escHtml(x.category)}</td><td>${escHtml(x.concept)}</td><td>${escHtml(x.via)}</td><td class="num">${money(x.amount)}</td></tr>`).join('')
+          || '<tr><td colspan="5">Sin gastos en el mes.</td></tr>'}</tbody>
+      </table>
+    </div>`).join('');
+  return `${st.properties.length>1 ? `<div class="card"><div class="h2">Resumen</div>${summary(st.totals)}</div>` : ''}${props || '<div class="card">Sin alojamientos vigentes para este propietario.</div>'}`;
+}
+
+function ownerStatementStamp(doc){
+  return doc.id
+    ? `Emitido ${new Date(doc.createdAt).toLocaleString('es-MX')} • ${doc.id} • sha256 ${doc.hash.slice(0,12)}…`
+    : 'BORRADOR (no emitido)';
+}
+
+function buildOwnerStatementHTML(doc){
+  const title = `Estado de cuenta — ${doc.owner} — ${occMonthLabel(doc.month)}`;
+  return `<!doctype html><html lang="es"><head>
+<meta charset="utf-8"/>
+<title>${escHtml(title)}</title>
+<style>
+  *{box-sizing:border-box}
+  body{margin:24px;color:#111;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:12px;}
+  .h1{font-size:20px;font-weight:800;}
+  .h2{font-size:15px;font-weight:800;margin-bottom:6px;}
+  .h3{font-size:12px;font-weight:800;margin:10px 0 4px;}
+  .muted{color:#666}
+  .card{border:1px solid #ddd;border-radius:10px;padding:12px;margin-top:12px;page-break-inside:avoid;}
+  table.t{width:100%;border-collapse:collapse;}
+  .t th,.t td{padding:4px 6px;border-bottom:1px solid #eee;text-align:left;}
+  .t .num{text-align:right;white-space:nowrap;}
+  .sum{max-width:420px;}
+  .sum .tot td{font-weight:800;border-top:2px solid #111;}
+  .foot{margin-top:14px;color:#666;font-size:11px;}
+</style></head><body>
+  <div class="h1">${escHtml(title)}</div>
+  <div class="muted">Base de reconocimiento: ${escHtml(REVENUE_BASES[doc.statement.basis] || doc.statement.basis)} • ${escHtml(ownerStatementStamp(doc))}</div>
+  ${ownerStatementBody(doc)}
+  <div class="foot">Sugerencia: en el diálogo de impresión selecciona “Guardar como PDF”. Tamaño: Carta.</div>
+</body></html>`;
+}
+
+// Misma mecánica que downloadPDF(): ventana nueva + print()
+function printOwnerStatement(doc){
+  const w = window.open('', '_blank');
+  if(!w){
+    alert('Tu navegador bloqueó la ventana emergente. Permite popups para este sitio y vuelve a intentar.');
+    return;
+  }
+  w.document.open();
+  w.document.write(buildOwnerStatementHTML(doc));
+  w.document.close();
+  setTimeout(()=>{ try{ w.focus(); w.print(); }catch(e){} }, 350);
+}
+
+function exportOwnerStatementJSON(doc){
+  const name = (doc.id || `borrador-${doc.owner}-${doc.month}`).replace(/[^\w.-]+/g,'_') + '.json';
+  const blob = new Blob([JSON.stringify(doc, null, 2)], {type:'application/json'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+}
+
+function renderOwnerStatements(){
+  const doc = OWN_CURRENT;
+  const setHtml = (id, html)=>{ const el=document.getElementById(id); if(el) el.innerHTML = html; };
+  setHtml('ownStamp', doc ? escHtml(ownerStatementStamp(doc)) : 'Elige propietario y mes, y genera el estado.');
+  setHtml('ownBody', doc ? ownerStatementBody(doc) : '');
+  for(const id of ['btnOwnIssue','btnOwnPrint','btnOwnJson']){
+    const b = document.getElementById(id);
+    if(b) b.disabled = !doc || (id==='btnOwnIssue' && !!doc.id);
+  }
+
+  const tb = document.getElementById('tbOwnHist');
+  if(!tb) return;
+  tb.innerHTML = OWN_LIST.map(s=>`<tr data-id="${escHtml(s.id)}" tabindex="0"${doc?.id===s.id ? ' class="selected"' : ''}>
+      <td>${escHtml(occMonthLabel(s.month))}</td><td>v${s.version}</td><td>${escHtml(new Date(s.createdAt).toLocaleString('es-MX'))}</td>
+      <td class="num">${fmtMoney(s.totals?.payout)}</td></tr>`).join('')
+    || '<tr><td colspan="4" class="small" style="color:var(--muted)">Sin estados emitidos.</td></tr>';
+  tb.querySelectorAll('tr[data-id]').forEach(tr=>tr.addEventListener('click', async ()=>{
+    try{
+      OWN_CURRENT = await openOwnerStatement(tr.dataset.id);
+    }catch(e){
+      alert('No se pudo abrir el estado: ' + e.message);
+    }
+    renderOwnerStatements();
+  }));
+}
+
+function hookOwnerStatements(){
+  const btn = document.getElementById('btnOwnWin');
+  const overlay = document.getElementById('ownOverlay');
+  const btnClose = document.getElementById('btnOwnClose');
+  const selOwner = document.getElementById('ownOwner');
+  const inpMonth = document.getElementById('ownMonth');
+  if(!btn || !overlay || !selOwner || !inpMonth) return;
+
+  const status = (txt)=>{ const el = document.getElementById('ownStatus'); if(el) el.textContent = txt || ''; };
+  const refreshHistory = async ()=>{ await loadOwnerStatements(selOwner.value); renderOwnerStatements(); };
+
+  selOwner.addEventListener('change', ()=>{ OWN_CURRENT = null; refreshHistory(); });
+  inpMonth.addEventListener('change', ()=>{ OWN_CURRENT = null; renderOwnerStatements(); });
+
+  document.getElementById('btnOwnGen')?.addEventListener('click', async ()=>{
+    const owner = selOwner.value, month = inpMonth.value;
+    if(!owner || !/^\d{4}-\d{2}$/.test(month)){ status('Elige propietario y mes.'); return; }
+    status('Generando…');
+    try{
+      await loadPnlRules();
+      OWN_CURRENT = {owner, month, statement: await buildOwnerStatement(owner, month)};
+      status('');
+    }catch(e){
+      console.warn('Estados de cuenta: no se pudo generar', e);
+      status('No se pudo generar: ' + e.message);
+    }
+    renderOwnerStatements();
+  });
+  document.getElementById('btnOwnIssue')?.addEventListener('click', async ()=>{
+    if(!OWN_CURRENT || OWN_CURRENT.id) return;
+    try{
+      OWN_CURRENT = await issueOwnerStatement(OWN_CURRENT);
+      status(`Emitido como ${OWN_CURRENT.id}.`);
+      await refreshHistory();
+    }catch(e){
+      status('No se pudo emitir: ' + e.message);
+    }
+  });
+  document.getElementById('btnOwnPrint')?.addEventListener('click', ()=>{ if(OWN_CURRENT) printOwnerStatement(OWN_CURRENT); });
+  document.getElementById('btnOwnJson')?.addEventListener('click', ()=>{ if(OWN_CURRENT) exportOwnerStatementJSON(OWN_CURRENT); });
+
+  const close = ()=>{ overlay.classList.remove('show'); overlay.setAttribute('aria-hidden','true'); };
+  btn.addEventListener('click', async ()=>{
+    overlay.classList.add('show');
+    overlay.setAttribute('aria-hidden','false');
+    if(!inpMonth.value){
+      // mes anterior; día 1 para que el 31 no se desborde al mes en curso
+      const d = new Date();
+      inpMonth.value = localIsoDate(new Date(d.getFullYear(), d.getMonth()-1, 1)).slice(0,7);
+    }
+    await loadPropertyRegistry();
+    const owners = ownerNames();
+    const prev = selOwner.value;
+    selOwner.innerHTML = owners.map(o=>`<option>${escHtml(o)}</option>`).join('') || '<option value="">(sin propietarios en el registro)</option>';
+    if(owners.includes(prev)) selOwner.value = prev;
+    await refreshHistory();
+  });
+  if(btnClose) btnClose.addEventListener('click', close);
+  overlay.addEventListener('click', (e)=>{ if(e.target === overlay) close(); });
+  document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape') close(); });
+}
+
+// ------------------ Operaciones: llegadas, salidas y cambios (server: /api/operations/turnovers) ------------------
+// Hoja diaria para recepción y limpieza; el mismo HTML se usa en pantalla y al imprimir
+// (un día por página).
+let OPS_DATA = null;
+
+async function loadTurnovers(from, days){
+  const url = new URL(reconApi(APP_CONFIG.turnoversEndpoint || "/api/operations/turnovers"), location.href);
+  url.searchParams.set("from", from);
+  url.searchParams.set("days", String(days));
+  const ctrl = new AbortController();
+  const t = setTimeout(()=>ctrl.abort(), Number(APP_CONFIG.timeoutMs||15000));
+  const res = await fetch(url.toString(), {cache:"no-store", signal: ctrl.signal});
+  clearTimeout(t);
+  const payload = await res.json().catch(()=>({}));
+  if(!res.ok) throw new Error(payload.message || ("HTTP "+res.status));
+  return payload;
+}
+
+const opsDayLabel = (iso)=> new Date(iso + "T00:00:00Z").toLocaleDateString('es-MX', {weekday:'long', day:'numeric', month:'long', year:'numeric', timeZone:'UTC'});
+
+// Huésped • personas • canal (+ saldo pendiente si hay)
+function opsGuest(e){
+  const due = Number(e.balance||0) > 0
+    ? ` <span class="due">Saldo ${escHtml(fmtMoney(e.balance))}</span>`
+    : ' <span class="paid">Pagado</span>';
+  return `<div class="g"><b>${escHtml(e.guestName || ('Reserva ' + e.id))}</b>`
+    + ` <span class="m">${e.guests ? `${e.guests} huésp. • ` : ''}${escHtml(e.channel || '—')}${e.roomType ? ` • ${escHtml(e.roomType)}` : ''}</span>${due}</div>`;
+}
+
+function opsDayBody(day){
+  const c = day.counts;
+  const rows = day.properties.map(p=>`<tr${p.turnover ? ' class="turn"' : ''}>
+      <td><b>${escHtml(p.propertyName)}</b>${p.turnover ? ' <span class="tag">Cambio</span>' : ''}</td>
+      <td>${p.departures.map(e=>opsGuest(e)).join('') || '<span class="m">—</span>'}</td>
+      <td>${p.arrivals.map(e=>opsGuest(e)).join('') || '<span class="m">—</span>'}</td>
+      <td class="chk"></td>
+    </tr>`).join('');
+  return `<div class="card opsDay">
+      <div class="h2">${escHtml(opsDayLabel(day.date))}</div>
+      <div class="m">${c.arrivals} llegada${c.arrivals===1 ? '' : 's'} • ${c.departures} salida${c.departures===1 ? '' : 's'} • ${c.turnovers} cambio${c.turnovers===1 ? '' : 's'} el mismo día</div>
+      ${rows ? `<table class="t">
+        <thead><tr><th>Alojamiento</th><th>Salidas</th><th>Llegadas</th><th class="chk">Listo</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : '<div class="m" style="margin-top:6px">Sin movimientos.</div>'}
+    </div>`;
+}
+
+function buildOperationsHTML(data){
+  const title = data.from===data.to ? `Operaciones — ${opsDayLabel(data.from)}` : `Operaciones — ${data.from} a ${data.to}`;
+  return `<!doctype html><html lang="es"><head>
+<meta charset="utf-8"/>
+<title>${escHtml(title)}</title>
+<style>
+  *{box-sizing:border-box}
+  body{margin:24px;color:#111;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;font-size:12px;}
+  .h1{font-size:18px;font-weight:800;}
+  .h2{font-size:15px;font-weight:800;text-transform:capitalize;}
+  .m{color:#666}
+  .card{margin-top:12px;page-break-after:always;}
+  .card:last-of-type{page-break-after:auto;}
+  table.t{width:100%;border-collapse:collapse;margin-top:8px;}
+  .t th,.t td{padding:6px;border:1px solid #ccc;text-align:left;vertical-align:top;}
+  .t tr.turn td{background:#fff6e0;}
+  .tag{font-size:10px;font-weight:800;border:1px solid #c80;color:#a60;border-radius:6px;padding:0 4px;}
+  .g{margin:2px 0;}
+  .due{font-weight:800;color:#b00;}
+  .paid{color:#080;}
+  .chk{width:60px;}
+</style></head><body>
+  <div class="h1">${escHtml(title)}</div>
+  <div class="m">Generado ${escHtml(new Date().toLocaleString('es-MX'))} • ${data.totals.arrivals} llegadas • ${data.totals.departures} salidas • ${data.totals.turnovers} cambios</div>
+  ${data.days.map(opsDayBody).join('')}
+</body></html>`;
+}
+
+// Misma mecánica que printOwnerStatement(): ventana nueva + print()
+function printOperations(data){
+  const w = window.open('', '_blank');
+  if(!w){
+    alert('Tu navegador bloqueó la ventana emergente. Permite popups para este sitio y vuelve a intentar.');
+    return;
+  }
+  w.document.open();
+  w.document.write(buildOperationsHTML(data));
+  w.document.close();
+  setTimeout(()=>{ try{ w.focus(); w.print(); }catch(e){} }, 350);
+}
+
+function renderOperations(){
+  const body = document.getElementById('opsBody');
+  const sub = document.getElementById('opsSub');
+  const btnPrint = document.getElementById('btnOpsPrint');
+  if(btnPrint) btnPrint.disabled = !OPS_DATA;
+  if(!body) return;
+  if(!OPS_DATA){ body.innerHTML = ''; return; }
+  const t = OPS_DATA.totals;
+  if(sub) sub.textContent = `${OPS_DATA.from} → ${OPS_DATA.to} • ${t.arrivals} llegadas • ${t.departures} salidas • ${t.turnovers} cambios el mismo día`;
+  body.innerHTML = OPS_DATA.days.map(opsDayBody).join('');
+}
+
+function hookOperations(){
+  const btn = document.getElementById('btnOpsWin');
+  const overlay = document.getElementById('opsOverlay');
+  const inpFrom = document.getElementById('opsFrom');
+  const selDays = document.getElementById('opsDays');
+  if(!btn || !overlay || !inpFrom || !selDays) return;
+
+  const status = (txt)=>{ const el = document.getElementById('opsStatus'); if(el) el.textContent = txt || ''; };
+  const refresh = async ()=>{
+    status('Cargando…');
+    try{
+      OPS_DATA = await loadTurnovers(inpFrom.value, Number(selDays.value)||7);
+      status('');
+    }catch(e){
+      console.warn('Operaciones: fetch falló', e);
+      OPS_DATA = null;
+      status('No se pudo cargar: ' + e.message);
+    }
+    renderOperations();
+  };
+
+  inpFrom.addEventListener('change', refresh);
+  selDays.addEventListener('change', refresh);
+  document.getElementById('btnOpsReload')?.addEventListener('click', refresh);
+  document.getElementById('btnOpsPrint')?.addEventListener('click', ()=>{ if(OPS_DATA) printOperations(OPS_DATA); });
+
+  const close = ()=>{ overlay.classList.remove('show'); overlay.setAttribute('aria-hidden','true'); };
+  btn.addEventListener('click', ()=>{
+    overlay.classList.add('show');
+    overlay.setAttribute('aria-hidden','false');
+    if(!inpFrom.value) inpFrom.value = new Date().toISOString().slice(0,10);
+    refresh();
+  });
+  document.getElementById('btnOpsClose')?.addEventListener('click', close);
+  overlay.addEventListener('click', (e)=>{ if(e.target === overlay) close(); });
+  document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape') close(); });
+}
+
+// ------------------ Detalle de reserva (server: /api/lodgify/bookings/:id) ------------------
+// Drawer lateral al hacer click en un renglón del detalle de reservas: qué se le cobró al huésped
+// (cotización de Lodgify), qué ha pagado y cuánto falta.
+const BK_KIND_LABEL = {room:'Hospedaje', fee:'Cargo', tax:'Impuesto', discount:'Descuento', addon:'Extra', other:'Otro'};
+let BK_REQ = 0;
+
+async function loadBookingDetail(id){
+  const url = new URL(reconApi((APP_CONFIG.bookingDetailEndpoint || "/api/lodgify/bookings") + "/" + encodeURIComponent(id)), location.href);
+  const ctrl = new AbortController();
+  const t = setTimeout(()=>ctrl.abort(), Number(APP_CONFIG.timeoutMs||15000));
+  const res = await fetch(url.toString(), {cache:"no-store", signal: ctrl.signal});
+  clearTimeout(t);
+  const payload = await res.json().catch(()=>({}));
+  if(!res.ok) throw new Error(payload.message || ("HTTP "+res.status));
+  return payload;
+}
+
+function bookingDetailHTML(d){
+  const b = d.booking, q = d.quote;
+  const nights = b.nights ? ` • ${b.nights} noche${b.nights===1 ? '' : 's'}` : '';
+  const lines = q.lines.map(l=>`<tr>
+      <td>${escHtml(l.description)}</td>
+      <td><span class="pill">${escHtml(BK_KIND_LABEL[l.kind] || l.kind)}</span></td>
+      <td class="num">${escHtml(fmtMoney(l.amount))}</td>
+    </tr>`).join('');
+  // La cotización no siempre cuadra con el total de la reserva (ajustes manuales en Lodgify)
+  const diff = Math.abs(Number(q.total||0) - Number(b.total||0)) > 0.01
+    ? `<div class="m">La cotización suma ${escHtml(fmtMoney(q.total))}; la reserva registra ${escHtml(fmtMoney(b.total))}.</div>` : '';
+  const noQuote = q.source === 'total' ? '<div class="m">Lodgify no regresó desglose para esta reserva.</div>' : '';
+  const pays = d.payments.map(p=>`<tr>
+      <td>${escHtml(p.date || '—')}</td>
+      <td>${escHtml([p.type, p.method].filter(Boolean).join(' • '))}${p.status ? ` <span class="m">${escHtml(p.status)}</span>` : ''}</td>
+      <td class="num">${escHtml(fmtMoney(p.amount))}</td>
+    </tr>`).join('');
+  return `<div class="h2">${escHtml(b.guestName || ('Reserva ' + b.id))}</div>
+    <div class="m">${escHtml(b.propertyName)}${b.roomType ? ` • ${escHtml(b.roomType)}` : ''}</div>
+    <div class="m">${escHtml(b.arrival || '—')} → ${escHtml(b.departure || '—')}${nights}${b.guests ? ` • ${b.guests} huésp.` : ''}</div>
+    <div class="m">${escHtml(b.channel || '—')} • <span class="pill">${escHtml(b.status || '—')}</span> • Reserva ${escHtml(String(b.id))}</div>
+
+    <div class="sec">Cotización</div>
+    <table class="t">
+      <tbody>${lines}</tbody>
+      <tfoot><tr><td colspan="2"><b>Total</b></td><td class="num"><b>${escHtml(fmtMoney(q.total))}</b></td></tr></tfoot>
+    </table>
+    ${noQuote}${diff}
+
+    <div class="sec">Pagos</div>
+    ${pays ? `<table class="t"><tbody>${pays}</tbody></table>` : '<div class="m">Sin pagos registrados.</div>'}
+    <div class="tot"><span>Pagado</span><b>${escHtml(fmtMoney(b.paid))}</b></div>
+    <div class="tot"><span>Saldo pendiente</span><b class="${Number(b.balance||0) > 0 ? 'due' : 'paid'}">${escHtml(fmtMoney(b.balance))}</b></div>`;
+}
+
+async function openBookingDetail(id){
+  const drawer = document.getElementById('bkDrawer');
+  const body = document.getElementById('bkBody');
+  if(!drawer || !body) return;
+  drawer.classList.add('show');
+  drawer.setAttribute('aria-hidden','false');
+  body.innerHTML = '<div class="m">Cargando…</div>';
+  // clicks rápidos en varios renglones: solo pinta la última respuesta
+  const req = ++BK_REQ;
+  try{
+    const d = await loadBookingDetail(id);
+    if(req === BK_REQ) body.innerHTML = bookingDetailHTML(d);
+  }catch(e){
+    console.warn('Detalle de reserva: fetch falló', e);
+    if(req === BK_REQ) body.innerHTML = `<div class="m">No se pudo cargar la reserva ${escHtml(String(id))}: ${escHtml(e.message)}</div>`;
+  }
+}
+
+function hookBookingDetail(){
+  const drawer = document.getElementById('bkDrawer');
+  const tb = document.getElementById('tbD');
+  if(!drawer || !tb) return;
+
+  // tbD también lo usa el detalle de finanzas: solo los renglones con data-booking-id abren el drawer
+  tb.addEventListener('click', (e)=>{
+    const tr = e.target.closest('tr[data-booking-id]');
+    if(tr) openBookingDetail(tr.dataset.bookingId);
+  });
+
+  const close = ()=>{ drawer.classList.remove('show'); drawer.setAttribute('aria-hidden','true'); BK_REQ++; };
+  document.getElementById('btnBkClose')?.addEventListener('click', close);
+  drawer.addEventListener('click', (e)=>{ if(e.target === drawer) close(); });
+  document.addEventListener('keydown', (e)=>{ if(e.key === 'Escape') close(); });
+}
+
 function renderReservationsView(){
   // KPIs: reutilizamos los existentes para mostrar resumen rápido
   const agg = aggregateReservations();
 
   // Título/subtítulo
   document.getElementById('mainTableTitle').textContent = 'Reservas históricas (por alojamiento y tipo)';
-  document.getElementById('mainTableSub').textContent = 'Datos desde Cloud Run. Click en un renglón para ver el detalle.';
+  document.getElementById('mainTableSub').textContent = 'Datos desde Cloud Run. Neto = bruto − comisiones del canal (/api/channel-fees). Click en un renglón para ver el detalle.';
 
   // KPIs (se muestran en la barra superior ya existente)
-  // Egresos KPI -> total importe reservas
-  document.getElementById('kRealE').textContent = fmtMoney(agg.totAmount);
-  document.getElementById('kRowsE').textContent = agg.rows.length + ' grupos';
+  // Egresos KPI -> total importe reservas (neto de comisiones; bruto y comisiones abajo)
+  document.getElementById('kRealE').textContent = fmtMoney(agg.totNet);
+  document.getElementById('kRowsE').textContent = `Bruto ${fmtMoney(agg.totAmount)} − comisiones ${fmtMoney(agg.totFees)} • ${agg.rows.length} grupos`;
   // Ingresos KPI -> total reservas / noches
   document.getElementById('kRealI').textContent = agg.totBookings.toLocaleString('es-MX') + ' reservas';
   document.getElementById('kRowsI').textContent = agg.totNights.toLocaleString('es-MX') + ' noches';
@@ -1637,6 +3826,8 @@ function renderReservationsView(){
       <td class="num">${r.bookings.toLocaleString('es-MX')}</td>
       <td class="num">${r.nights.toLocaleString('es-MX')}</td>
       <td class="num">${fmtMoney(r.amount)}</td>
+      <td class="num">${fmtMoney(r.fees)}</td>
+      <td class="num">${fmtMoney(r.net)}</td>
     `;
     tr.addEventListener('click', ()=>{
       SELECTED_KEY = r.key;
@@ -1661,6 +3852,17 @@ function renderReservationsView(){
   if(SELECTED_KEY) renderReservationsDetails(SELECTED_KEY);
   else renderReservationsDetails(null);
 
+  // Ocupación mensual: se vuelve a pedir solo si cambió Año / Alojamiento / Tipo
+  renderOccupancyKpis();
+  loadOccupancy().then(changed=>{ if(changed && tipoVal()==='R') renderOccupancyKpis(); });
+  renderPace();
+  loadPace().then(changed=>{ if(changed && tipoVal()==='R') renderPace(); });
+  renderBookingStats();
+  renderHeatmap();
+  loadHeatmap().then(changed=>{ if(changed && tipoVal()==='R') renderHeatmap(); });
+  renderGaps();
+  loadGaps().then(changed=>{ if(changed && tipoVal()==='R') renderGaps(); });
+
   // Actualiza etiquetas del drawer (si aplica)
   try{ renderResFilterPanels(); }catch(e){}
 }
@@ -1920,6 +4122,10 @@ function render(){
         finOverlay.setAttribute('aria-hidden','false');
         // Re-render para ajustar gráficas al tamaño visible
         try{ renderFinanceModule(); }catch(e){}
+        // Reservas (serie "Reservas" de la tendencia): si cambiaron filtros/año, recarga y re-dibuja
+        loadReservations().then(ok=>{ if(ok && finOverlay.classList.contains('show')){ try{ renderFinanceModule(); }catch(e){} } });
+        // Pronóstico: pace de hoy / hace un año (solo año en curso)
+        loadForecastPace(selectedYearFallback()).then(ok=>{ if(ok && finOverlay.classList.contains('show')){ try{ renderFinanceModule(); }catch(e){} } });
       }
       function closeFin(){
         if(!finOverlay) return;
@@ -1969,6 +4175,16 @@ function render(){
       // no autorefresh; only initialize from current data
       await loadLive();
       loadExpectedIncomeParam();
+      loadRevenueBasisParam();
+      hookReconciliation();
+      hookPnl();
+      hookOwnerStatements();
+      hookOperations();
+      hookPace();
+      hookBookingStats();
+      hookHeatmap();
+      hookGaps();
+      hookBookingDetail();
       setDefaultAll();
       initFilterPanels();
       setTipo('E');
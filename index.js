@@ -1,5 +1,9 @@
 import express from "express";
 import cors from "cors";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -30,7 +34,7 @@ const corsOptions = {
     // Rechaza limpio, sin lanzar error
     return cb(null, false);
   },
-  methods: ["GET", "POST", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Accept", "Authorization", "Cache-Control", "Pragma"],
   credentials: false,
   optionsSuccessStatus: 204,
@@ -38,7 +42,15 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 app.options("*", cors(corsOptions));
-app.use(express.json());
+app.use(
+  express.json({
+    limit: "2mb",
+    // Guardamos el body crudo: los webhooks de Lodgify se firman sobre los bytes exactos
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Health
 app.get("/", (req, res) => res.send("ok"));
@@ -70,15 +82,18 @@ app.get("/api/data", async (req, res) => {
 });
 
 // ---------- LODGIFY PROXY ----------
-const LODGIFY_API_BASE = "https://api.lodgify.com";
+// Override solo para tests (upstream stub local)
+const LODGIFY_API_BASE = process.env.LODGIFY_API_BASE || "https://api.lodgify.com";
 const LODGIFY_API_KEY = process.env.LODGIFY_API_KEY || "";
 const LODGIFY_TIMEOUT_MS = Number(process.env.LODGIFY_TIMEOUT_MS || 20000);
+// live (default) | mock (fixtures locales, sin red ni API key) | record (live + graba fixtures)
+const LODGIFY_MODE = String(process.env.LODGIFY_MODE || "live").toLowerCase();
 
 // Algunas APIs se portan mejor con User-Agent explícito
 const USER_AGENT = process.env.USER_AGENT || "checkinn-proxy/1.0";
 
 function requireLodgifyKey(res) {
-  if (!LODGIFY_API_KEY) {
+  if (!LODGIFY_API_KEY && LODGIFY_MODE !== "mock") {
     res.status(500).json({
       ok: false,
       error: "missing_lodgify_key",
@@ -101,6 +116,89 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 15000) {
   }
 }
 
+function lodgifyHeaders() {
+  return {
+    "X-ApiKey": LODGIFY_API_KEY,
+    "Accept": "application/json",
+    "User-Agent": USER_AGENT,
+  };
+}
+
+// ---------- LODGIFY: reintentos (429 / 5xx / timeouts) ----------
+/**
+ * Todas las llamadas a Lodgify son GET idempotentes => se pueden reintentar.
+ * - Backoff exponencial con jitter (LODGIFY_RETRY_BASE_MS * 2^n).
+ * - Si Lodgify manda Retry-After (segundos o fecha HTTP), se respeta.
+ * - `budget` es compartido por todas las llamadas de una misma operación (p.ej. un crawl
+ *   completo), así un 429 persistente no alarga la petición indefinidamente.
+ */
+const LODGIFY_MAX_RETRIES = Math.max(0, Number(process.env.LODGIFY_MAX_RETRIES || 4));
+const LODGIFY_RETRY_BASE_MS = Math.max(1, Number(process.env.LODGIFY_RETRY_BASE_MS || 500));
+const LODGIFY_RETRY_BUDGET_MS = Math.max(0, Number(process.env.LODGIFY_RETRY_BUDGET_MS || 30000));
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function newRetryBudget() {
+  return { remainingMs: LODGIFY_RETRY_BUDGET_MS, retries: 0 };
+}
+
+function retryAfterMs(r) {
+  const h = r?.headers?.get?.("retry-after");
+  if (!h) return null;
+  const secs = Number(h);
+  if (isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(h);
+  return isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/**
+ * GET a Lodgify con reintentos. Regresa la Response final (ok o no reintentable / agotada).
+ * Si el último intento falla por red/timeout, lanza ese error (con `attempts`).
+ */
+async function lodgifyRequest(target, budget = newRetryBudget()) {
+  if (LODGIFY_MODE === "mock") return mockLodgifyResponse(target);
+
+  for (let attempt = 1; ; attempt++) {
+    let r = null;
+    let err = null;
+    try {
+      r = await fetchWithTimeout(target, { headers: lodgifyHeaders() }, LODGIFY_TIMEOUT_MS);
+    } catch (e) {
+      err = e;
+    }
+
+    const retryable = err ? true : RETRYABLE_STATUS.has(r.status);
+    const backoff = LODGIFY_RETRY_BASE_MS * 2 ** (attempt - 1);
+    const wait = retryAfterMs(r) ?? Math.round(backoff / 2 + Math.random() * (backoff / 2));
+
+    if (!retryable || attempt > LODGIFY_MAX_RETRIES || wait > budget.remainingMs) {
+      if (err) {
+        err.attempts = attempt;
+        throw err;
+      }
+      r.attempts = attempt;
+      if (LODGIFY_MODE === "record" && r.ok) await recordLodgifyResponse(target, r.clone());
+      return r;
+    }
+
+    console.warn(
+      `[lodgify] retry ${attempt}/${LODGIFY_MAX_RETRIES} in ${wait}ms (${err ? err.name || "fetch_error" : r.status}) ${target}`
+    );
+    if (r) await r.text().catch(() => {}); // libera el body antes de reintentar
+    budget.remainingMs -= wait;
+    budget.retries += 1;
+    await sleep(wait);
+  }
+}
+
+function setNoStore(res) {
+  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+}
+
 // Helper básico: proxy directo
 async function lodgifyGet(path, query, res) {
   const url = new URL(LODGIFY_API_BASE + path);
@@ -111,9 +209,7 @@ async function lodgifyGet(path, query, res) {
   }
 
   // Anti-cache (muy importante para GH Pages)
-  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
-  res.setHeader("Pragma", "no-cache");
-  res.setHeader("Expires", "0");
+  setNoStore(res);
 
   const target = url.toString();
   const started = Date.now();
@@ -121,17 +217,7 @@ async function lodgifyGet(path, query, res) {
 
   let r;
   try {
-    r = await fetchWithTimeout(
-      target,
-      {
-        headers: {
-          "X-ApiKey": LODGIFY_API_KEY,
-          "Accept": "application/json",
-          "User-Agent": USER_AGENT,
-        },
-      },
-      LODGIFY_TIMEOUT_MS
-    );
+    r = await lodgifyRequest(target);
   } catch (e) {
     const ms = Date.now() - started;
     const isAbort = e?.name === "AbortError";
@@ -159,14 +245,229 @@ async function lodgifyGet(path, query, res) {
   }
 }
 
+// ---------- LODGIFY: modo mock / record (fixtures) ----------
+/**
+ * LODGIFY_MODE=mock   => lodgifyRequest() responde desde fixtures locales (sin red ni API key).
+ * LODGIFY_MODE=record => llamadas reales; las respuestas OK se agregan a las fixtures.
+ *
+ * Fixtures: LODGIFY_FIXTURES_DIR/<set>/ (set = LODGIFY_FIXTURES, default "default")
+ * - properties.json: respuesta de /v2/properties ({ count, items } o array)
+ * - bookings.json:   array de reservas crudas (formato /v2/reservations/bookings)
+ * - options.json:    opcional { base: "<set>", ignorePage: true }
+ *     base: set del que se toman los archivos que falten
+ *     ignorePage: emula el upstream que ignora `page` (siempre regresa la 1a página) para
+ *       probar la detección de estancamiento + fallback offset/limit (usar size < total)
+ *
+ * El modo record escribe en LODGIFY_RECORD_SET (default "recorded"): trae datos reales de
+ * huéspedes; está en .gitignore y .dockerignore, no commitear ni meter a la imagen.
+ */
+const LODGIFY_FIXTURES_DIR = process.env.LODGIFY_FIXTURES_DIR || "./fixtures/lodgify";
+const LODGIFY_FIXTURES = process.env.LODGIFY_FIXTURES || "default";
+const LODGIFY_RECORD_SET = process.env.LODGIFY_RECORD_SET || "recorded";
+
+const fixtureSets = new Map(); // set -> Promise<{ properties, bookings, ignorePage }>
+
+async function readFixtureJson(set, file) {
+  const text = await readFileOrNull(path.join(LODGIFY_FIXTURES_DIR, set, file));
+  return text === null ? null : JSON.parse(text);
+}
+
+const fixtureItems = (data) => (Array.isArray(data) ? data : (Array.isArray(data?.items) ? data.items : []));
+
+function loadFixtureSet(set, seen = new Set()) {
+  if (!fixtureSets.has(set)) {
+    if (seen.has(set)) throw new Error(`Fixture set cycle: ${[...seen, set].join(" -> ")}`);
+    seen.add(set);
+    const p = (async () => {
+      const options = (await readFixtureJson(set, "options.json")) || {};
+      const base = options.base ? await loadFixtureSet(options.base, seen) : null;
+      const properties = await readFixtureJson(set, "properties.json");
+      const bookings = await readFixtureJson(set, "bookings.json");
+      if (!base && properties === null && bookings === null) {
+        throw new Error(`Fixture set not found: ${path.join(LODGIFY_FIXTURES_DIR, set)}`);
+      }
+      return {
+        properties: properties !== null ? fixtureItems(properties) : (base?.properties || []),
+        bookings: bookings !== null ? fixtureItems(bookings) : (base?.bookings || []),
+        ignorePage: Boolean(options.ignorePage ?? base?.ignorePage),
+      };
+    })();
+    p.catch(() => fixtureSets.delete(set));
+    fixtureSets.set(set, p);
+  }
+  return fixtureSets.get(set);
+}
+
+// page/size u offset/limit, igual que Lodgify (offset gana si viene)
+function paginateFixture(items, params, { ignorePage = false } = {}) {
+  if (params.has("offset") || params.has("limit")) {
+    const offset = Math.max(0, Number(params.get("offset") || 0));
+    const limit = Math.max(1, Number(params.get("limit") || 50));
+    return items.slice(offset, offset + limit);
+  }
+  const size = Math.max(1, Number(params.get("size") || 50));
+  const page = ignorePage ? 1 : Math.max(1, Number(params.get("page") || 1));
+  return items.slice((page - 1) * size, page * size);
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", "X-Lodgify-Mock": LODGIFY_FIXTURES },
+  });
+}
+
+async function mockLodgifyResponse(target) {
+  const url = new URL(target);
+  const params = url.searchParams;
+  const fx = await loadFixtureSet(LODGIFY_FIXTURES);
+  console.log(`[lodgify:mock] GET ${url.pathname}${url.search}`);
+
+  if (url.pathname === "/v2/properties") {
+    return jsonResponse(200, { count: fx.properties.length, items: paginateFixture(fx.properties, params) });
+  }
+
+  if (url.pathname === "/v2/reservations/bookings") {
+    const filters = Object.fromEntries(BOOKING_FILTER_KEYS.filter((k) => params.has(k)).map((k) => [k, params.get(k)]));
+    const items = filterRawBookings(fx.bookings, filters);
+    return jsonResponse(200, {
+      count: isFlag(filters.includeCount) ? items.length : null,
+      items: paginateFixture(items, params, fx),
+    });
+  }
+
+  const m = url.pathname.match(/^\/v2\/reservations\/bookings\/([^/]+)$/);
+  if (m) {
+    const b = fx.bookings.find((x) => String(x.id) === decodeURIComponent(m[1]));
+    return b ? jsonResponse(200, b) : jsonResponse(404, { message: "Booking not found" });
+  }
+
+  return jsonResponse(404, { message: `No mock fixture for ${url.pathname}` });
+}
+
+// Agrega (upsert por id) lo que regresó Lodgify a las fixtures del set de grabación
+let recordQueue = Promise.resolve();
+
+function recordLodgifyResponse(target, response) {
+  const job = async () => {
+    const { pathname } = new URL(target);
+    const isBookings = pathname.startsWith("/v2/reservations/bookings");
+    if (!isBookings && pathname !== "/v2/properties") return;
+
+    const data = JSON.parse(await response.text());
+    const incoming = /^\/v2\/reservations\/bookings\/[^/]+$/.test(pathname) ? [data] : fixtureItems(data);
+    if (!incoming.length) return;
+    const file = isBookings ? "bookings.json" : "properties.json";
+    const byId = new Map(fixtureItems(await readFixtureJson(LODGIFY_RECORD_SET, file)).map((x) => [String(x.id), x]));
+    for (const item of incoming) {
+      if (item?.id !== undefined && item?.id !== null) byId.set(String(item.id), { ...byId.get(String(item.id)), ...item });
+    }
+    const items = [...byId.values()];
+    const body = isBookings ? items : { count: items.length, items };
+    await writeFileAtomic(path.join(LODGIFY_FIXTURES_DIR, LODGIFY_RECORD_SET, file), JSON.stringify(body, null, 1));
+    console.log(`[lodgify:record] ${incoming.length} -> ${LODGIFY_RECORD_SET}/${file} (${items.length} total)`);
+  };
+  recordQueue = recordQueue.then(job).catch((e) => console.warn("[lodgify:record] failed", target, e.message));
+  return recordQueue;
+}
+
+// ---------- CACHE (en memoria, stale-while-revalidate) ----------
+/**
+ * Cada apertura del overlay / pestaña R dispara un crawl completo a Lodgify.
+ * Guardamos el último resultado por query normalizada:
+ * - edad < TTL                 => HIT   (se sirve tal cual)
+ * - TTL <= edad < TTL + STALE  => STALE (se sirve al instante y se refresca en segundo plano)
+ * - sin entrada / muy viejo    => MISS  (se espera a Lodgify)
+ * `?fresh=1` ignora el cache (y lo actualiza con la respuesta nueva).
+ * Solo es cache del servidor: al navegador se le sigue mandando no-store.
+ */
+const CACHE_TTL_PROPERTIES_MS = Number(process.env.CACHE_TTL_PROPERTIES_MS || 6 * 60 * 60 * 1000);
+const CACHE_TTL_BOOKINGS_MS = Number(process.env.CACHE_TTL_BOOKINGS_MS || 15 * 60 * 1000);
+const CACHE_STALE_MS = Number(process.env.CACHE_STALE_MS || 24 * 60 * 60 * 1000);
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 200);
+
+const responseCache = new Map(); // key -> { value, storedAt, refreshing }
+const inflight = new Map(); // key -> Promise (evita 2 crawls iguales en paralelo)
+
+const isFlag = (v) => ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+
+const splitList = (v) =>
+  String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const lowerTrim = (s) => String(s ?? "").trim().toLowerCase();
+
+// Llave estable: scope + parámetros ordenados (sin fresh/_ts)
+function cacheKey(scope, params = {}) {
+  const entries = Object.entries(params)
+    .filter(([k, v]) => k !== "fresh" && k !== "_ts" && v !== undefined && v !== null && String(v).length > 0)
+    .map(([k, v]) => [k, String(v)])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return scope + "?" + new URLSearchParams(entries).toString();
+}
+
+function cacheStore(key, value) {
+  responseCache.delete(key); // re-inserta al final (orden = antigüedad)
+  responseCache.set(key, { value, storedAt: Date.now(), refreshing: null });
+  while (responseCache.size > CACHE_MAX_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+}
+
+function loadOnce(key, loader) {
+  if (!inflight.has(key)) {
+    const p = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        cacheStore(key, value);
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+  }
+  return inflight.get(key);
+}
+
+/**
+ * Regresa { value, cache: "HIT"|"MISS"|"STALE", ageMs }.
+ */
+async function cached(key, ttlMs, loader, { fresh = false } = {}) {
+  const entry = responseCache.get(key);
+  if (!fresh && entry) {
+    const ageMs = Date.now() - entry.storedAt;
+    if (ageMs < ttlMs) return { value: entry.value, cache: "HIT", ageMs };
+    if (ageMs < ttlMs + CACHE_STALE_MS) {
+      if (!entry.refreshing) {
+        entry.refreshing = loadOnce(key, loader).catch((e) => {
+          console.warn(`[cache] background refresh failed ${key}:`, e.message);
+          entry.refreshing = null;
+        });
+      }
+      return { value: entry.value, cache: "STALE", ageMs };
+    }
+  }
+  const value = await loadOnce(key, loader);
+  return { value, cache: "MISS", ageMs: 0 };
+}
+
 // ---------- PROPERTIES ----------
 app.get("/api/lodgify/properties", async (req, res) => {
   if (!requireLodgifyKey(res)) return;
   try {
-    await lodgifyGet("/v2/properties", req.query, res);
+    const { fresh, _ts, ...query } = req.query;
+    const { value, cache } = await cached(
+      cacheKey("properties", query),
+      CACHE_TTL_PROPERTIES_MS,
+      () => lodgifyFetchJson("/v2/properties", query),
+      { fresh: isFlag(fresh) }
+    );
+    setNoStore(res);
+    res.setHeader("X-Cache", cache);
+    res.json(value);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, error: "lodgify_properties_failed", message: e.message });
+    sendLodgifyError(res, e, "lodgify_properties_failed");
   }
 });
 
@@ -182,155 +483,2541 @@ app.get("/api/lodgify/properties", async (req, res) => {
  *   A) intentar con page/size
  *   B) si detectamos que no avanza (misma respuesta), probamos offset/limit
  */
-app.get("/api/lodgify/bookings", async (req, res) => {
-  if (!requireLodgifyKey(res)) return;
 
-  try {
-    const from = req.query.from;
-    const to = req.query.to;
+// Error de Lodgify con status/cuerpo original (para reenviarlo tal cual al cliente)
+class LodgifyHttpError extends Error {
+  constructor(status, body) {
+    super(`Lodgify responded ${status}`);
+    this.name = "LodgifyHttpError";
+    this.status = status;
+    this.body = body;
+  }
+}
 
-    // Controles
-    const size = Math.min(500, Math.max(1, Number(req.query.size || 200)));
-    const clientPage = req.query.page ? Number(req.query.page) : null;
+// GET a Lodgify (con reintentos) que regresa JSON parseado (o lanza LodgifyHttpError)
+async function lodgifyFetchJson(path, query, budget) {
+  const url = new URL(LODGIFY_API_BASE + path);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v !== undefined && v !== null && String(v).length > 0) {
+      url.searchParams.set(k, String(v));
+    }
+  }
+  const r = await lodgifyRequest(url.toString(), budget);
+  const txt = await r.text();
+  if (!r.ok) {
+    const err = new LodgifyHttpError(r.status, txt);
+    err.attempts = r.attempts;
+    throw err;
+  }
+  return JSON.parse(txt);
+}
 
-    // anti-cache
-    res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
-    res.setHeader("Pragma", "no-cache");
-    res.setHeader("Expires", "0");
+// Filtros de Lodgify que se reenvían en modo agregado (todo lo demás se ignora)
+const BOOKING_FILTER_KEYS = [
+  "from",
+  "to",
+  "propertyId",
+  "status",
+  "stayFilter",
+  "stayFilterDate",
+  "updatedSince",
+  "trash",
+  "includeCount",
+  "includeTransactions",
+  "includeExternal",
+  "includeQuoteDetails",
+];
 
-    // 1) Si piden una página específica: proxy normal
-    if (clientPage) {
-      return await lodgifyGet("/v2/reservations/bookings", { ...req.query, page: clientPage, size }, res);
+function pickBookingFilters(query) {
+  const filters = {};
+  for (const k of BOOKING_FILTER_KEYS) {
+    const v = query?.[k];
+    if (v !== undefined && v !== null && String(v).length > 0) filters[k] = String(v);
+  }
+  return filters;
+}
+
+// Respuesta de error común para rutas que agregan varias llamadas a Lodgify.
+// Si el crawl falló a medias, incluye `progress` (qué se alcanzó a traer antes de rendirse).
+function sendLodgifyError(res, e, fallbackError) {
+  if (e?.progress) {
+    const isAbort = e?.name === "AbortError";
+    const status = e instanceof LodgifyHttpError ? e.status : 504;
+    console.error(`[lodgify] aggregate failed (${status})`, e.progress);
+    return res.status(status).json({
+      ok: false,
+      error: e instanceof LodgifyHttpError ? "lodgify_aggregate_failed" : (isAbort ? "lodgify_timeout" : "lodgify_fetch_failed"),
+      message: e.message,
+      upstream: e instanceof LodgifyHttpError ? String(e.body || "").slice(0, 500) : undefined,
+      progress: e.progress,
+    });
+  }
+  if (e instanceof LodgifyHttpError) {
+    return res.status(e.status).type("text/plain").send(e.body);
+  }
+  if (e?.name === "AbortError") {
+    return res.status(504).json({
+      ok: false,
+      error: "lodgify_timeout",
+      message: `Lodgify request timed out after ${LODGIFY_TIMEOUT_MS}ms`,
+    });
+  }
+  console.error(e);
+  return res.status(500).json({ ok: false, error: fallbackError, message: e.message });
+}
+
+/**
+ * Trae TODAS las reservas de UNA ventana (page/size con fallback offset/limit, secuencial).
+ * `filters` se reenvía igual en cada página (ver BOOKING_FILTER_KEYS).
+ * Regresa { mode, items }. Lanza LodgifyHttpError si Lodgify responde != 2xx.
+ */
+async function fetchBookingsWindow({ filters = {}, size, budget = newRetryBudget() }) {
+  // ----- A) Intento 1: page/size -----
+  let page = 1;
+  let all = [];
+  let lastFirstId = null;
+  let stagnationHits = 0;
+
+  console.log(`[bookings] aggregate mode filters=${JSON.stringify(filters)} size=${size}`);
+
+  while (true) {
+    let data;
+    try {
+      data = await lodgifyFetchJson("/v2/reservations/bookings", { ...filters, page, size }, budget);
+    } catch (e) {
+      if (e instanceof LodgifyHttpError) {
+        console.error("[bookings] lodgify error:", e.status, e.body?.slice?.(0, 200));
+      }
+      e.window = { mode: "page/size", page, itemsCollected: all.length };
+      throw e;
     }
+    const items = Array.isArray(data.items) ? data.items : [];
 
-    // 2) Si no piden page: agregamos TODO
-    const headers = {
-      "X-ApiKey": LODGIFY_API_KEY,
-      "Accept": "application/json",
-      "User-Agent": USER_AGENT,
-    };
+    const firstId = items?.[0]?.id ?? null;
+    console.log(`[bookings] page/size page=${page} got=${items.length} firstId=${firstId}`);
 
-    // ----- A) Intento 1: page/size -----
-    let page = 1;
-    let all = [];
-    let lastFirstId = null;
-    let stagnationHits = 0;
+    // Si Lodgify ignora "page" y siempre regresa lo mismo, detectamos estancamiento
+    if (firstId && lastFirstId && firstId === lastFirstId) {
+      stagnationHits += 1;
+    } else {
+      stagnationHits = 0;
+    }
+    lastFirstId = firstId;
 
-    console.log(`[bookings] aggregate mode from=${from} to=${to} size=${size}`);
+    all.push(...items);
 
-    while (true) {
-      const url = new URL(LODGIFY_API_BASE + "/v2/reservations/bookings");
-      if (from) url.searchParams.set("from", from);
-      if (to) url.searchParams.set("to", to);
-      url.searchParams.set("page", String(page));
-      url.searchParams.set("size", String(size));
+    // Cortes normales
+    if (items.length === 0) break;
+    if (items.length < size) break;
 
-      const target = url.toString();
-      const r = await fetchWithTimeout(target, { headers }, LODGIFY_TIMEOUT_MS);
-      const txt = await r.text();
+    // Si se estanca 2 veces seguidas, saltamos a estrategia offset/limit
+    if (stagnationHits >= 2) {
+      console.warn("[bookings] page/size seems ignored -> switching to offset/limit fallback");
+      all = []; // reseteamos y reintentamos con offset
+      break;
+    }
 
-      if (!r.ok) {
-        console.error("[bookings] lodgify error:", r.status, txt?.slice?.(0, 200));
-        return res.status(r.status).type("text/plain").send(txt);
-      }
+    page += 1;
+    if (page > 5000) {
+      console.warn("[bookings] safety break page>5000");
+      break;
+    }
+  }
 
-      const data = JSON.parse(txt);
-      const items = Array.isArray(data.items) ? data.items : [];
+  // Si ya juntamos algo y no fue fallback, devolvemos
+  if (all.length > 0) return { mode: "page/size", items: all };
 
-      const firstId = items?.[0]?.id ?? null;
-      console.log(`[bookings] page/size page=${page} got=${items.length} firstId=${firstId}`);
+  // ----- B) Fallback: offset/limit -----
+  let offset = 0;
+  let limit = size;
+  let all2 = [];
+  let safety = 0;
 
-      // Si Lodgify ignora "page" y siempre regresa lo mismo, detectamos estancamiento
-      if (firstId && lastFirstId && firstId === lastFirstId) {
-        stagnationHits += 1;
-      } else {
-        stagnationHits = 0;
+  while (true) {
+    let data;
+    try {
+      data = await lodgifyFetchJson("/v2/reservations/bookings", { ...filters, offset, limit }, budget);
+    } catch (e) {
+      if (e instanceof LodgifyHttpError) {
+        console.error("[bookings] lodgify error (offset):", e.status, e.body?.slice?.(0, 200));
       }
-      lastFirstId = firstId;
+      e.window = { mode: "offset/limit", offset, itemsCollected: all2.length };
+      throw e;
+    }
+    const items = Array.isArray(data.items) ? data.items : [];
+
+    const firstId = items?.[0]?.id ?? null;
+    console.log(`[bookings] offset/limit offset=${offset} got=${items.length} firstId=${firstId}`);
+
+    all2.push(...items);
+
+    if (items.length === 0) break;
+    if (items.length < limit) break;
+
+    offset += limit;
+
+    safety += 1;
+    if (safety > 20000) {
+      console.warn("[bookings] safety break (offset)");
+      break;
+    }
+  }
+
+  return { mode: "offset/limit", items: all2 };
+}
+
+// ---------- BOOKINGS: ventanas mensuales en paralelo ----------
+/**
+ * Para rangos largos (historial multi-año) el crawl secuencial rebasa el límite de Cloud Run.
+ * Si vienen `from` y `to`, partimos el rango en meses calendario, traemos cada mes con
+ * fetchBookingsWindow() en un pool acotado (LODGIFY_CONCURRENCY) y de-duplicamos por id
+ * (una estancia que cruza meses puede venir en dos ventanas).
+ */
+const LODGIFY_CONCURRENCY = Math.max(1, Number(process.env.LODGIFY_CONCURRENCY || 4));
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// [{from, to}] por mes calendario (fechas inclusivas YYYY-MM-DD)
+function monthlyChunks(from, to) {
+  const chunks = [];
+  let cur = new Date(from + "T00:00:00Z");
+  const end = new Date(to + "T00:00:00Z");
+  while (cur <= end && chunks.length < 600) {
+    const monthEnd = new Date(Date.UTC(cur.getUTCFullYear(), cur.getUTCMonth() + 1, 0));
+    const chunkEnd = monthEnd < end ? monthEnd : end;
+    chunks.push({ from: cur.toISOString().slice(0, 10), to: chunkEnd.toISOString().slice(0, 10) });
+    cur = new Date(Date.UTC(cur.getUTCFullYear(), cur.getUTCMonth() + 1, 1));
+  }
+  return chunks;
+}
+
+// Ejecuta fn(item) para cada item con máximo `limit` promesas en vuelo; respeta el orden
+async function mapPool(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
 
-      all.push(...items);
+/**
+ * Trae TODAS las reservas que cumplen `filters`.
+ * Regresa { mode, items, chunks: [{from, to, mode, count, ms}], ms, retries }.
+ *
+ * Si una ventana falla aun después de reintentar, el error lleva `progress` con lo que sí se
+ * alcanzó a traer (ventanas completas, reservas acumuladas, ventana que falló).
+ */
+async function fetchAllBookings({ filters = {}, size }) {
+  const started = Date.now();
+  const budget = newRetryBudget();
+  const { from, to } = filters;
 
-      // Cortes normales
-      if (items.length === 0) break;
-      if (items.length < size) break;
+  const windows =
+    ISO_DATE_RE.test(from || "") && ISO_DATE_RE.test(to || "") && from <= to
+      ? monthlyChunks(from, to)
+      : [{ from: from || null, to: to || null }];
+  const chunked = windows.length > 1 || windows[0].from !== (from || null) || windows[0].to !== (to || null);
+  if (chunked) {
+    console.log(`[bookings] chunked ${from}..${to} -> ${windows.length} chunks (concurrency=${LODGIFY_CONCURRENCY})`);
+  }
 
-      // Si se estanca 2 veces seguidas, saltamos a estrategia offset/limit
-      if (stagnationHits >= 2) {
-        console.warn("[bookings] page/size seems ignored -> switching to offset/limit fallback");
-        all = []; // reseteamos y reintentamos con offset
-        break;
+  const done = [];
+  let results;
+  try {
+    results = await mapPool(windows, LODGIFY_CONCURRENCY, async (w) => {
+      const t0 = Date.now();
+      const range = w.from ? w : {};
+      try {
+        const { mode, items } = await fetchBookingsWindow({ filters: { ...filters, ...range }, size, budget });
+        const result = { ...w, mode, items, ms: Date.now() - t0 };
+        done.push(result);
+        return result;
+      } catch (e) {
+        e.failedChunk = { ...w, ...(e.window || {}), ms: Date.now() - t0 };
+        throw e;
       }
+    });
+  } catch (e) {
+    e.progress = {
+      chunksTotal: windows.length,
+      chunksDone: done.length,
+      itemsCollected: done.reduce((acc, r) => acc + r.items.length, 0),
+      failedChunk: e.failedChunk || null,
+      attempts: e.attempts ?? null,
+      retries: budget.retries,
+      ms: Date.now() - started,
+    };
+    throw e;
+  }
 
-      page += 1;
-      if (page > 5000) {
-        console.warn("[bookings] safety break page>5000");
-        break;
+  const seen = new Set();
+  const items = [];
+  for (const r of results) {
+    for (const b of r.items) {
+      const key = b?.id !== undefined && b?.id !== null ? String(b.id) : null;
+      if (key !== null) {
+        if (seen.has(key)) continue;
+        seen.add(key);
       }
+      items.push(b);
     }
+  }
 
-    // Si ya juntamos algo y no fue fallback, devolvemos
-    if (all.length > 0) {
-      return res.json({ ok: true, mode: "page/size", items: all, total: all.length });
-    }
+  const ms = Date.now() - started;
+  if (chunked) console.log(`[bookings] chunked done: ${items.length} unique bookings in ${ms}ms`);
+  return {
+    mode: windows.length > 1 ? "chunked" : results[0].mode,
+    items,
+    chunks: results.map(({ items: chunkItems, ...meta }) => ({ ...meta, count: chunkItems.length })),
+    ms,
+    retries: budget.retries,
+  };
+}
+
+// ---------- BOOKING STORE (persistente, sync incremental) ----------
+/**
+ * Copia local de las reservas crudas de Lodgify en un archivo JSON-lines (una reserva por
+ * línea) dentro de DATA_DIR (en Cloud Run: un volumen montado).
+ *
+ * - Sync delta: pide a Lodgify solo lo modificado desde el último sync (`updatedSince`).
+ * - Sync completo (`full`): vuelve a bajar todo el historial y reconstruye el archivo.
+ * - Las lecturas en modo agregado salen del store; si está viejo se lanza un delta en segundo
+ *   plano. Si nunca se ha sincronizado, se responde en vivo y se lanza un sync completo.
+ */
+const DATA_DIR = process.env.DATA_DIR || "./data";
+const BOOKING_STORE_ENABLED = (process.env.BOOKING_STORE || "true").toLowerCase() === "true";
+const BOOKING_STORE_FILE = path.join(DATA_DIR, "bookings.jsonl");
+const BOOKING_STORE_META_FILE = path.join(DATA_DIR, "bookings.meta.json");
+const BOOKING_STORE_SYNC_INTERVAL_MS = Number(process.env.BOOKING_STORE_SYNC_INTERVAL_MS || 15 * 60 * 1000);
+// Traslape al pedir `updatedSince` (relojes desfasados / escrituras en curso en Lodgify)
+const BOOKING_STORE_OVERLAP_MS = 5 * 60 * 1000;
+const SYNC_TOKEN = process.env.SYNC_TOKEN || "";
+
+const bookingStore = {
+  byId: new Map(), // id -> reserva cruda de Lodgify
+  meta: { lastSyncAt: null, lastFullSyncAt: null, lastResult: null },
+  loaded: null, // Promise de la primera carga desde disco
+  syncing: null, // Promise del sync en curso
+};
 
-    // ----- B) Fallback: offset/limit -----
-    let offset = 0;
-    let limit = size;
-    let all2 = [];
-    let safety = 0;
+const isCancelledBooking = (b) => /declin|cancel/i.test(String(b?.status || ""));
 
-    while (true) {
-      const url = new URL(LODGIFY_API_BASE + "/v2/reservations/bookings");
-      if (from) url.searchParams.set("from", from);
-      if (to) url.searchParams.set("to", to);
-      url.searchParams.set("offset", String(offset));
-      url.searchParams.set("limit", String(limit));
+// ¿`a` se modificó después que `b`? (por updated_at; sin fecha => no)
+const newerBooking = (a, b) => Date.parse(a?.updated_at || "") > Date.parse(b?.updated_at || "");
+
+// Escritura atómica: archivo temporal (único por llamada) + rename. Las escrituras al mismo
+// archivo se encadenan: un persist de webhook y uno de sync no se pisan ni llegan en desorden.
+const fileWrites = new Map(); // file -> Promise de la última escritura encolada
+
+function writeFileAtomic(file, content) {
+  const job = async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tmp, content, "utf8");
+      await fs.rename(tmp, file);
+    } catch (e) {
+      await fs.rm(tmp, { force: true });
+      throw e;
+    }
+  };
+  const next = (fileWrites.get(file) || Promise.resolve()).then(job, job);
+  fileWrites.set(file, next);
+  next.finally(() => {
+    if (fileWrites.get(file) === next) fileWrites.delete(file);
+  }).catch(() => {});
+  return next;
+}
 
-      const target = url.toString();
-      const r = await fetchWithTimeout(target, { headers }, LODGIFY_TIMEOUT_MS);
-      const txt = await r.text();
+async function readFileOrNull(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
 
-      if (!r.ok) {
-        console.error("[bookings] lodgify error (offset):", r.status, txt?.slice?.(0, 200));
-        return res.status(r.status).type("text/plain").send(txt);
+function loadBookingStore() {
+  if (!bookingStore.loaded) {
+    bookingStore.loaded = (async () => {
+      const meta = await readFileOrNull(BOOKING_STORE_META_FILE);
+      if (meta) bookingStore.meta = { ...bookingStore.meta, ...JSON.parse(meta) };
+      const lines = (await readFileOrNull(BOOKING_STORE_FILE)) || "";
+      for (const line of lines.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const b = JSON.parse(line);
+          if (b?.id !== undefined && b?.id !== null) bookingStore.byId.set(String(b.id), b);
+        } catch {
+          console.warn("[store] skipping malformed line in", BOOKING_STORE_FILE);
+        }
       }
+      console.log(`[store] loaded ${bookingStore.byId.size} bookings (lastSyncAt=${bookingStore.meta.lastSyncAt})`);
+    })().catch((e) => {
+      bookingStore.loaded = null;
+      throw e;
+    });
+  }
+  return bookingStore.loaded;
+}
 
-      const data = JSON.parse(txt);
-      const items = Array.isArray(data.items) ? data.items : [];
+async function persistBookingStore() {
+  const lines = [...bookingStore.byId.values()].map((b) => JSON.stringify(b)).join("\n");
+  await writeFileAtomic(BOOKING_STORE_FILE, lines ? lines + "\n" : "");
+  await writeFileAtomic(BOOKING_STORE_META_FILE, JSON.stringify(bookingStore.meta, null, 2));
+}
 
-      const firstId = items?.[0]?.id ?? null;
-      console.log(`[bookings] offset/limit offset=${offset} got=${items.length} firstId=${firstId}`);
+function invalidateBookingsCache() {
+  for (const key of responseCache.keys()) {
+    if (key.startsWith("bookings?")) responseCache.delete(key);
+  }
+}
 
-      all2.push(...items);
+/**
+ * Sync delta (default) o completo. Solo corre uno a la vez; llamadas concurrentes se unen al
+ * que ya está en curso. Regresa { mode, inserted, updated, cancelled, removed, unchanged, total, ms }.
+ */
+function syncBookingStore({ full = false } = {}) {
+  if (bookingStore.syncing) return bookingStore.syncing;
 
-      if (items.length === 0) break;
-      if (items.length < limit) break;
+  bookingStore.syncing = (async () => {
+    await loadBookingStore();
+    const started = Date.now();
+    const prev = bookingStore.byId;
+    const isFull = full || !bookingStore.meta.lastSyncAt;
+    const filters = isFull
+      ? {}
+      : { updatedSince: new Date(Date.parse(bookingStore.meta.lastSyncAt) - BOOKING_STORE_OVERLAP_MS).toISOString() };
 
-      offset += limit;
+    console.log(`[store] ${isFull ? "full" : "delta"} sync start`, filters);
+    const { items } = await fetchAllBookings({ filters, size: 200 });
 
-      safety += 1;
-      if (safety > 20000) {
-        console.warn("[bookings] safety break (offset)");
-        break;
+    // `prev` es el mapa vivo: ya incluye los webhooks aplicados mientras bajaba el snapshot.
+    // Se fusiona por updated_at en vez de sobrescribir, para no perder esos cambios.
+    const next = isFull ? new Map() : new Map(prev);
+    const counts = { inserted: 0, updated: 0, cancelled: 0, unchanged: 0, removed: 0 };
+    for (const b of items) {
+      if (b?.id === undefined || b?.id === null) continue;
+      const id = String(b.id);
+      const old = prev.get(id);
+      if (old && newerBooking(old, b)) {
+        next.set(id, old);
+        counts.unchanged += 1;
+        continue;
+      }
+      if (!old) counts.inserted += 1;
+      else if (JSON.stringify(old) !== JSON.stringify(b)) counts.updated += 1;
+      else counts.unchanged += 1;
+      if (isCancelledBooking(b) && !isCancelledBooking(old)) counts.cancelled += 1;
+      next.set(id, b);
+    }
+    if (isFull) {
+      for (const [id, old] of prev) {
+        if (next.has(id)) continue;
+        // llegó (por webhook) después de pedir el snapshot: se conserva
+        if (Date.parse(old.updated_at || "") >= started) next.set(id, old);
+        else counts.removed += 1;
       }
     }
 
-    return res.json({ ok: true, mode: "offset/limit", items: all2, total: all2.length });
+    const syncedAt = new Date(started).toISOString();
+    const result = { mode: isFull ? "full" : "delta", ...counts, total: next.size, ms: Date.now() - started, syncedAt };
+    bookingStore.byId = next;
+    bookingStore.meta = {
+      lastSyncAt: syncedAt,
+      lastFullSyncAt: isFull ? syncedAt : bookingStore.meta.lastFullSyncAt,
+      lastResult: result,
+    };
+    await persistBookingStore();
+    invalidateBookingsCache();
+    console.log("[store] sync done", result);
+    return result;
+  })().finally(() => {
+    bookingStore.syncing = null;
+  });
+
+  return bookingStore.syncing;
+}
+
+// Lanza un delta en segundo plano si el store está viejo (no bloquea la respuesta)
+function maybeBackgroundSync() {
+  const last = Date.parse(bookingStore.meta.lastSyncAt || "");
+  if (bookingStore.syncing) return;
+  if (isFinite(last) && Date.now() - last < BOOKING_STORE_SYNC_INTERVAL_MS) return;
+  syncBookingStore({ full: !isFinite(last) }).catch((e) => console.error("[store] background sync failed:", e.message));
+}
+
+/**
+ * Filtra el store localmente con los mismos filtros que se mandarían a Lodgify.
+ * from/to: estancias que se traslapan con [from, to] (fechas inclusivas).
+ */
+function queryBookingStore(filters = {}) {
+  return filterRawBookings(bookingStore.byId.values(), filters);
+}
+
+// Filtros tipo Lodgify sobre reservas crudas (store local y fixtures del modo mock)
+function filterRawBookings(list, filters = {}) {
+  const from = ISO_DATE_RE.test(filters.from || "") ? filters.from : "";
+  const to = ISO_DATE_RE.test(filters.to || "") ? filters.to : "";
+  const propertyIds = splitList(filters.propertyId);
+  const statuses = splitList(filters.status).map(lowerTrim);
+  const updatedSince = Date.parse(filters.updatedSince || "");
+  const includeTrash = isFlag(filters.trash);
+
+  return [...list].filter((b) => {
+    const arrival = dateOnly(b.arrival);
+    const departure = dateOnly(b.departure) || arrival;
+    if (from && departure && departure < from) return false;
+    if (to && arrival && arrival > to) return false;
+    if (propertyIds.length && !propertyIds.includes(String(b.property_id ?? ""))) return false;
+    if (statuses.length && !statuses.includes(lowerTrim(b.status))) return false;
+    if (isFinite(updatedSince) && !(Date.parse(b.updated_at || "") >= updatedSince)) return false;
+    if (!includeTrash && b.is_deleted === true) return false;
+    return true;
+  });
+}
+
+// ¿Se puede leer del store? (habilitado y con al menos un sync)
+async function bookingStoreReady() {
+  if (!BOOKING_STORE_ENABLED) return false;
+  await loadBookingStore();
+  maybeBackgroundSync();
+  return Boolean(bookingStore.meta.lastSyncAt);
+}
 
+/**
+ * POST /api/sync            => sync delta
+ * POST /api/sync?full=1     => reconstruye el store desde cero
+ * (body JSON { full: true } también funciona)
+ * Si SYNC_TOKEN está definido, requiere `Authorization: Bearer <SYNC_TOKEN>`.
+ */
+app.post("/api/sync", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+  if (!BOOKING_STORE_ENABLED) {
+    return res.status(409).json({ ok: false, error: "store_disabled", message: "BOOKING_STORE=false" });
+  }
+  if (SYNC_TOKEN && req.get("Authorization") !== `Bearer ${SYNC_TOKEN}`) {
+    return res.status(401).json({ ok: false, error: "unauthorized" });
+  }
+  try {
+    const full = isFlag(req.query.full) || req.body?.full === true;
+    const result = await syncBookingStore({ full });
+    setNoStore(res);
+    res.json({ ok: true, ...result });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, error: "lodgify_bookings_failed", message: e.message });
+    sendLodgifyError(res, e, "sync_failed");
   }
 });
 
-// ✅ Error handler (incluye errores de CORS)
-app.use((err, req, res, next) => {
-  console.error("[express error]", err);
-  res.status(500).json({
-    ok: false,
-    error: "server_error",
-    message: err?.message || "Unknown error",
-  });
+app.get("/api/sync", async (req, res) => {
+  try {
+    await loadBookingStore();
+    setNoStore(res);
+    res.json({
+      ok: true,
+      enabled: BOOKING_STORE_ENABLED,
+      syncing: Boolean(bookingStore.syncing),
+      bookings: bookingStore.byId.size,
+      ...bookingStore.meta,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "store_failed", message: e.message });
+  }
 });
 
-app.listen(PORT, "0.0.0.0", () => console.log(`Listening on ${PORT}`));
+// ---------- WEBHOOKS DE LODGIFY ----------
+/**
+ * POST /api/webhooks/lodgify
+ * Lodgify avisa de reservas nuevas, cambios, cancelaciones y pagos. Cada evento se aplica al
+ * booking store (mismo dato que lee el dashboard), así no hay que esperar al siguiente sync.
+ *
+ * Seguridad (LODGIFY_WEBHOOK_SECRET):
+ * - Firma HMAC-SHA256 del body crudo en `ms-signature` / `x-lodgify-signature` (hex, opcional "sha256="), o
+ * - el secreto tal cual en `X-Webhook-Secret` (para pruebas / proxies). Nunca en el query string:
+ *   las URLs quedan en los logs de acceso de Cloud Run y de los proxies.
+ * Sin secreto configurado se rechaza todo (503): no queremos un endpoint abierto que escriba datos.
+ * Con BOOKING_STORE=false se responde 409 store_disabled: las lecturas no usan el store, así que
+ * aplicar el evento no llegaría al dashboard (Lodgify reintenta; los cambios entran por Lodgify en vivo).
+ *
+ * De-duplicación: por `x-lodgify-event-id` si viene, si no por hash del body.
+ * Bitácora: DATA_DIR/webhooks.log.jsonl, visible en GET /api/webhooks/log.
+ */
+const LODGIFY_WEBHOOK_SECRET = process.env.LODGIFY_WEBHOOK_SECRET || "";
+const WEBHOOK_LOG_FILE = path.join(DATA_DIR, "webhooks.log.jsonl");
+const WEBHOOK_LOG_MAX = Number(process.env.WEBHOOK_LOG_MAX || 1000);
+
+const webhookLog = {
+  entries: [], // más viejo -> más nuevo
+  seen: new Set(), // llaves de eventos ya aplicados
+  loaded: null,
+};
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function verifyWebhook(req) {
+  const raw = req.rawBody || Buffer.from("");
+  const sig = String(req.get("ms-signature") || req.get("x-lodgify-signature") || "").replace(/^sha256=/i, "");
+  if (sig) {
+    const expected = crypto.createHmac("sha256", LODGIFY_WEBHOOK_SECRET).update(raw).digest("hex");
+    return safeEqual(sig.toLowerCase(), expected);
+  }
+  const token = req.get("X-Webhook-Secret") || "";
+  return Boolean(token) && safeEqual(token, LODGIFY_WEBHOOK_SECRET);
+}
+
+function loadWebhookLog() {
+  if (!webhookLog.loaded) {
+    webhookLog.loaded = (async () => {
+      const lines = (await readFileOrNull(WEBHOOK_LOG_FILE)) || "";
+      for (const line of lines.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          webhookLog.entries.push(entry);
+          if (entry.result === "applied") webhookLog.seen.add(entry.key);
+        } catch {
+          console.warn("[webhooks] skipping malformed log line");
+        }
+      }
+      webhookLog.entries = webhookLog.entries.slice(-WEBHOOK_LOG_MAX);
+    })().catch((e) => {
+      webhookLog.loaded = null;
+      throw e;
+    });
+  }
+  return webhookLog.loaded;
+}
+
+async function appendWebhookLog(entry) {
+  webhookLog.entries.push(entry);
+  if (webhookLog.entries.length > WEBHOOK_LOG_MAX) {
+    webhookLog.entries = webhookLog.entries.slice(-WEBHOOK_LOG_MAX);
+    await writeFileAtomic(WEBHOOK_LOG_FILE, webhookLog.entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  } else {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.appendFile(WEBHOOK_LOG_FILE, JSON.stringify(entry) + "\n", "utf8");
+  }
+}
+
+// Evento de Lodgify -> cambios sobre la reserva cruda (formato v2 del store)
+function webhookBookingPatch(event, b) {
+  const patch = { id: b.id };
+  const set = (k, v) => {
+    if (v !== undefined && v !== null) patch[k] = v;
+  };
+  set("property_id", b.property_id ?? b.propertyId);
+  set("arrival", dateOnly(b.arrival ?? b.date_arrival) || undefined);
+  set("departure", dateOnly(b.departure ?? b.date_departure) || undefined);
+  set("status", b.status);
+  set("source", b.source);
+  set("source_text", b.source_text);
+  set("currency_code", b.currency_code);
+  set("total_amount", b.total_amount ?? b.total);
+  set("amount_paid", b.amount_paid);
+  set("amount_due", b.amount_due);
+  set("guest", b.guest);
+  set("rooms", b.rooms);
+  set("created_at", b.created_at ?? b.date_created);
+  patch.updated_at = b.updated_at ?? b.date_updated ?? new Date().toISOString();
+  if (/declined|cancel/i.test(event) && !patch.status) patch.status = "Declined";
+  return patch;
+}
+
+// Aplica un evento; regresa { result, bookingId, message }
+async function applyWebhookEvent(ev, key) {
+  const event = String(ev?.action ?? ev?.event ?? ev?.type ?? "unknown");
+  const booking = ev?.booking ?? ev?.reservation ?? ev?.data?.booking ?? null;
+  const bookingId = booking?.id ?? ev?.booking_id ?? null;
+
+  if (webhookLog.seen.has(key)) return { event, result: "duplicate", bookingId };
+  if (bookingId === null || bookingId === undefined) {
+    return { event, result: "ignored", bookingId: null, message: "event without booking" };
+  }
+
+  await loadBookingStore();
+  const id = String(bookingId);
+  const prev = bookingStore.byId.get(id);
+  const patch = webhookBookingPatch(event, { ...(booking || {}), id: bookingId });
+  bookingStore.byId.set(id, { ...(prev || {}), ...patch });
+  await persistBookingStore();
+  invalidateBookingsCache();
+  webhookLog.seen.add(key);
+  return { event, result: "applied", bookingId, message: prev ? "updated" : "inserted" };
+}
+
+app.post("/api/webhooks/lodgify", async (req, res) => {
+  if (!LODGIFY_WEBHOOK_SECRET) {
+    return res.status(503).json({ ok: false, error: "webhooks_disabled", message: "Missing LODGIFY_WEBHOOK_SECRET" });
+  }
+  if (!verifyWebhook(req)) {
+    console.warn("[webhooks] rejected: bad signature/secret");
+    return res.status(401).json({ ok: false, error: "invalid_signature" });
+  }
+  if (!BOOKING_STORE_ENABLED) {
+    return res.status(409).json({ ok: false, error: "store_disabled", message: "BOOKING_STORE=false" });
+  }
+
+  try {
+    await loadWebhookLog();
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    const headerId = req.get("x-lodgify-event-id");
+    const results = [];
+
+    for (const [i, ev] of events.entries()) {
+      const key = headerId
+        ? `${headerId}:${i}`
+        : crypto.createHash("sha256").update(JSON.stringify(ev ?? null)).digest("hex");
+      const r = await applyWebhookEvent(ev, key);
+      const entry = { receivedAt: new Date().toISOString(), key, ...r };
+      await appendWebhookLog(entry);
+      console.log(`[webhooks] ${r.event} booking=${r.bookingId} -> ${r.result}`);
+      results.push(entry);
+    }
+
+    res.json({ ok: true, results });
+  } catch (e) {
+    console.error("[webhooks] failed:", e);
+    res.status(500).json({ ok: false, error: "webhook_failed", message: e.message });
+  }
+});
+
+// GET /api/webhooks/log?limit=100 (más recientes primero)
+app.get("/api/webhooks/log", async (req, res) => {
+  try {
+    await loadWebhookLog();
+    const limit = Math.min(WEBHOOK_LOG_MAX, Math.max(1, Number(req.query.limit || 100)));
+    setNoStore(res);
+    res.json({ ok: true, total: webhookLog.entries.length, entries: webhookLog.entries.slice(-limit).reverse() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "webhook_log_failed", message: e.message });
+  }
+});
+
+// ---------- PROPERTY REGISTRY (metadatos de alojamientos) ----------
+/**
+ * Datos que ni /v2/properties ni la hoja de finanzas traen de forma consistente.
+ * Un registro por alojamiento (id = id de Lodgify si está ligado, si no un slug):
+ *
+ *   { id, lodgifyId, name, group, units, maxGuests, owner, managementFeePct,
+ *     activeFrom, activeTo, aliases: { categoria: [], concepto: [] }, createdAt, updatedAt }
+ *
+ * - name: nombre a mostrar; si hay lodgifyId, reemplaza al nombre de Lodgify en todo el API.
+ * - aliases: etiquetas CATEGORIA / CONCEPTO de los movimientos de finanzas que son de este alojamiento.
+ * - units: unidades rentables (noches disponibles = días activos × units).
+ *
+ * GET    /api/properties          registro + alojamientos de Lodgify aún sin registrar (registered: false)
+ * GET    /api/properties/:id
+ * POST   /api/properties          crea (409 si ya existe)
+ * PUT    /api/properties/:id      crea o actualiza (los campos omitidos se conservan)
+ * DELETE /api/properties/:id
+ * Escritura: requiere `Authorization: Bearer <REGISTRY_TOKEN>` (o SYNC_TOKEN si no hay REGISTRY_TOKEN).
+ *   Sin ninguno de los dos configurado la escritura queda cerrada: 503 `writes_disabled`.
+ */
+const PROPERTY_REGISTRY_FILE = process.env.PROPERTY_REGISTRY_FILE || path.join(DATA_DIR, "properties.json");
+const REGISTRY_TOKEN = process.env.REGISTRY_TOKEN || SYNC_TOKEN;
+
+const propertyRegistry = {
+  byId: new Map(),
+  loaded: null,
+};
+
+function loadPropertyRegistry() {
+  if (!propertyRegistry.loaded) {
+    propertyRegistry.loaded = (async () => {
+      const text = await readFileOrNull(PROPERTY_REGISTRY_FILE);
+      const items = text ? JSON.parse(text) : [];
+      for (const p of Array.isArray(items) ? items : []) {
+        if (p?.id) propertyRegistry.byId.set(String(p.id), p);
+      }
+      console.log(`[registry] loaded ${propertyRegistry.byId.size} properties`);
+    })().catch((e) => {
+      propertyRegistry.loaded = null;
+      throw e;
+    });
+  }
+  return propertyRegistry.loaded;
+}
+
+async function persistPropertyRegistry() {
+  const items = [...propertyRegistry.byId.values()].sort((a, b) => a.name.localeCompare(b.name, "es"));
+  await writeFileAtomic(PROPERTY_REGISTRY_FILE, JSON.stringify(items, null, 2));
+}
+
+function registryByLodgifyId(lodgifyId) {
+  for (const p of propertyRegistry.byId.values()) {
+    if (p.lodgifyId !== null && String(p.lodgifyId) === String(lodgifyId)) return p;
+  }
+  return null;
+}
+
+const slugify = (s) =>
+  String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const listOfStrings = (v) => (Array.isArray(v) ? v.map((x) => String(x).trim()).filter(Boolean) : splitList(v));
+
+/**
+ * Valida/normaliza un registro (input = lo existente + lo que manda el cliente).
+ * Regresa { entry } o { errors: [..] }.
+ */
+function validatePropertyEntry(input) {
+  const errors = [];
+  const optInt = (key, min) => {
+    const v = input[key];
+    if (v === undefined || v === null || v === "") return null;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min) errors.push(`${key} must be an integer >= ${min}`);
+    return n;
+  };
+  const optDate = (key) => {
+    const v = input[key];
+    if (v === undefined || v === null || v === "") return null;
+    if (!ISO_DATE_RE.test(String(v))) errors.push(`${key} must be YYYY-MM-DD`);
+    return String(v);
+  };
+
+  const name = String(input.name ?? "").trim();
+  if (!name) errors.push("name is required");
+
+  const lodgifyId = input.lodgifyId === undefined || input.lodgifyId === null || input.lodgifyId === "" ? null : String(input.lodgifyId);
+  const units = optInt("units", 1) ?? 1;
+  const maxGuests = optInt("maxGuests", 1);
+
+  let managementFeePct = null;
+  if (input.managementFeePct !== undefined && input.managementFeePct !== null && input.managementFeePct !== "") {
+    managementFeePct = Number(input.managementFeePct);
+    if (!isFinite(managementFeePct) || managementFeePct < 0 || managementFeePct > 100) {
+      errors.push("managementFeePct must be a number between 0 and 100");
+    }
+  }
+
+  const activeFrom = optDate("activeFrom");
+  const activeTo = optDate("activeTo");
+  if (activeFrom && activeTo && activeFrom > activeTo) errors.push("activeFrom must be <= activeTo");
+
+  const aliases = input.aliases || {};
+  const id = String(input.id || lodgifyId || slugify(name));
+  if (!id && name) errors.push("id is required");
+
+  if (errors.length) return { errors };
+  return {
+    entry: {
+      id,
+      lodgifyId,
+      name,
+      group: String(input.group ?? "").trim(),
+      units,
+      maxGuests,
+      owner: String(input.owner ?? "").trim(),
+      managementFeePct,
+      activeFrom,
+      activeTo,
+      aliases: { categoria: listOfStrings(aliases.categoria), concepto: listOfStrings(aliases.concepto) },
+    },
+  };
+}
+
+// ¿El alojamiento está activo en algún día de [from, to]?
+function registryActiveIn(p, from, to) {
+  if (!p) return true;
+  if (p.activeFrom && to && p.activeFrom > to) return false;
+  if (p.activeTo && from && p.activeTo < from) return false;
+  return true;
+}
+
+function requireRegistryToken(req, res) {
+  if (!REGISTRY_TOKEN) {
+    res.status(503).json({ ok: false, error: "writes_disabled", message: "Missing REGISTRY_TOKEN / SYNC_TOKEN" });
+    return false;
+  }
+  if (req.get("Authorization") !== `Bearer ${REGISTRY_TOKEN}`) {
+    res.status(401).json({ ok: false, error: "unauthorized" });
+    return false;
+  }
+  return true;
+}
+
+function sendInvalidProperty(res, errors) {
+  return res.status(400).json({ ok: false, error: "invalid_property", message: errors.join("; "), details: errors });
+}
+
+app.get("/api/properties", async (req, res) => {
+  try {
+    await loadPropertyRegistry();
+    setNoStore(res);
+    const items = [...propertyRegistry.byId.values()].map((p) => ({ ...p, registered: true }));
+
+    // Alojamientos de Lodgify sin registro (best-effort: sin key / Lodgify caído => solo el registro)
+    let lodgifyError = null;
+    if (LODGIFY_API_KEY || LODGIFY_MODE === "mock") {
+      try {
+        const { value } = await cached("properties:index", CACHE_TTL_PROPERTIES_MS, fetchPropertyIndex, {
+          fresh: isFlag(req.query.fresh),
+        });
+        for (const [lodgifyId, lodgifyName] of value.names) {
+          const reg = items.find((p) => p.lodgifyId === lodgifyId);
+          if (reg) reg.lodgifyName = lodgifyName;
+          else {
+            const { entry } = validatePropertyEntry({ lodgifyId, name: lodgifyName || `Propiedad ${lodgifyId}` });
+            items.push({ ...entry, lodgifyName, registered: false });
+          }
+        }
+      } catch (e) {
+        console.warn("[registry] lodgify properties unavailable:", e.message);
+        lodgifyError = e.message;
+      }
+    }
+
+    // Con grupo primero (por grupo), luego sin grupo; dentro, por nombre
+    items.sort((a, b) => !a.group - !b.group || a.group.localeCompare(b.group, "es") || a.name.localeCompare(b.name, "es"));
+    res.json({ ok: true, total: items.length, items, lodgifyError });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "registry_failed", message: e.message });
+  }
+});
+
+app.get("/api/properties/:id", async (req, res) => {
+  try {
+    await loadPropertyRegistry();
+    const p = propertyRegistry.byId.get(req.params.id);
+    if (!p) return res.status(404).json({ ok: false, error: "not_found" });
+    setNoStore(res);
+    res.json({ ok: true, item: p });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "registry_failed", message: e.message });
+  }
+});
+
+app.post("/api/properties", async (req, res) => {
+  if (!requireRegistryToken(req, res)) return;
+  try {
+    await loadPropertyRegistry();
+    const { entry, errors } = validatePropertyEntry(req.body || {});
+    if (errors) return sendInvalidProperty(res, errors);
+    if (propertyRegistry.byId.has(entry.id)) {
+      return res.status(409).json({ ok: false, error: "already_exists", message: `Property ${entry.id} already exists` });
+    }
+    if (entry.lodgifyId && registryByLodgifyId(entry.lodgifyId)) {
+      return res.status(409).json({ ok: false, error: "already_exists", message: `Lodgify property ${entry.lodgifyId} already registered` });
+    }
+    const now = new Date().toISOString();
+    const item = { ...entry, createdAt: now, updatedAt: now };
+    propertyRegistry.byId.set(item.id, item);
+    await persistPropertyRegistry();
+    res.status(201).json({ ok: true, item });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "registry_failed", message: e.message });
+  }
+});
+
+app.put("/api/properties/:id", async (req, res) => {
+  if (!requireRegistryToken(req, res)) return;
+  try {
+    await loadPropertyRegistry();
+    const prev = propertyRegistry.byId.get(req.params.id);
+    const body = req.body || {};
+    const { entry, errors } = validatePropertyEntry({
+      ...prev,
+      ...body,
+      aliases: { ...prev?.aliases, ...body.aliases },
+      id: req.params.id,
+    });
+    if (errors) return sendInvalidProperty(res, errors);
+    const other = entry.lodgifyId && registryByLodgifyId(entry.lodgifyId);
+    if (other && other.id !== entry.id) {
+      return res.status(409).json({ ok: false, error: "already_exists", message: `Lodgify property ${entry.lodgifyId} already registered as ${other.id}` });
+    }
+    const now = new Date().toISOString();
+    const item = { ...entry, createdAt: prev?.createdAt || now, updatedAt: now };
+    propertyRegistry.byId.set(item.id, item);
+    await persistPropertyRegistry();
+    res.status(prev ? 200 : 201).json({ ok: true, item });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "registry_failed", message: e.message });
+  }
+});
+
+app.delete("/api/properties/:id", async (req, res) => {
+  if (!requireRegistryToken(req, res)) return;
+  try {
+    await loadPropertyRegistry();
+    if (!propertyRegistry.byId.delete(req.params.id)) return res.status(404).json({ ok: false, error: "not_found" });
+    await persistPropertyRegistry();
+    res.json({ ok: true, deleted: req.params.id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "registry_failed", message: e.message });
+  }
+});
+
+// ---------- COMISIONES POR CANAL (bruto -> neto) ----------
+/**
+ * Modelo de comisiones por canal que normalizeBooking aplica a cada reserva:
+ *
+ *   comisión      = total × pct / 100 + fixed      (fixed = cargo fijo por reserva)
+ *   iva comisión  = comisión × taxPct / 100
+ *   fees          = comisión + iva comisión
+ *   net           = total - fees
+ *
+ * Se guarda en CHANNEL_FEES_FILE: { default: {pct, fixed, taxPct}, channels: { "<canal>": {...} }, updatedAt }
+ * Las llaves de `channels` son las etiquetas de channelLabel() (Airbnb, Booking.com, Directo...);
+ * un canal sin entrada usa `default`.
+ *
+ * GET /api/channel-fees   modelo vigente + canales conocidos
+ * PUT /api/channel-fees   { default?, channels? } reemplaza el modelo (mismo token que el registro)
+ */
+const CHANNEL_FEES_FILE = process.env.CHANNEL_FEES_FILE || path.join(DATA_DIR, "channel-fees.json");
+
+// Punto de partida (tarifas públicas típicas; cada operación ajusta las suyas)
+const DEFAULT_CHANNEL_FEES = {
+  default: { pct: 0, fixed: 0, taxPct: 0 },
+  channels: {
+    Airbnb: { pct: 15.5, fixed: 0, taxPct: 16 },
+    "Booking.com": { pct: 15, fixed: 0, taxPct: 16 },
+    Expedia: { pct: 18, fixed: 0, taxPct: 16 },
+    Vrbo: { pct: 8, fixed: 0, taxPct: 16 },
+    Directo: { pct: 0, fixed: 0, taxPct: 0 },
+    "Directo (web)": { pct: 0, fixed: 0, taxPct: 0 },
+  },
+};
+
+const channelFees = {
+  model: DEFAULT_CHANNEL_FEES,
+  updatedAt: null,
+  loaded: null,
+};
+
+function loadChannelFees() {
+  if (!channelFees.loaded) {
+    channelFees.loaded = (async () => {
+      const text = await readFileOrNull(CHANNEL_FEES_FILE);
+      if (!text) return;
+      const saved = JSON.parse(text);
+      channelFees.model = { default: saved.default, channels: saved.channels };
+      channelFees.updatedAt = saved.updatedAt ?? null;
+    })().catch((e) => {
+      channelFees.loaded = null;
+      throw e;
+    });
+  }
+  return channelFees.loaded;
+}
+
+// Valida { pct, fixed, taxPct }; regresa { fee } o { errors }
+function validateChannelFee(input, label) {
+  const errors = [];
+  const fee = {};
+  for (const [field, max] of [["pct", 100], ["fixed", Infinity], ["taxPct", 100]]) {
+    const raw = input?.[field];
+    const n = raw === undefined || raw === null || raw === "" ? 0 : Number(raw);
+    if (!isFinite(n) || n < 0 || n > max) {
+      errors.push(`${label}.${field} must be a number between 0 and ${max === Infinity ? "∞" : max}`);
+    }
+    fee[field] = n;
+  }
+  return errors.length ? { errors } : { fee };
+}
+
+function channelFeeFor(model, channel) {
+  const channels = model?.channels || {};
+  if (channels[channel]) return channels[channel];
+  const lower = String(channel || "").toLowerCase();
+  const key = Object.keys(channels).find((k) => k.toLowerCase() === lower);
+  return key ? channels[key] : model?.default || DEFAULT_CHANNEL_FEES.default;
+}
+
+function applyChannelFees(total, channel, model = channelFees.model) {
+  const f = channelFeeFor(model, channel);
+  // reserva sin importe (bloqueo, cortesía) => sin cargo fijo
+  const commission = total ? round2((total * f.pct) / 100 + f.fixed) : 0;
+  const commissionTax = round2((commission * f.taxPct) / 100);
+  const fees = round2(commission + commissionTax);
+  return { commission, commissionTax, fees, net: round2(total - fees) };
+}
+
+app.get("/api/channel-fees", async (req, res) => {
+  try {
+    await loadChannelFees();
+    setNoStore(res);
+    const known = [...new Set([...Object.values(CHANNEL_LABELS), ...Object.keys(channelFees.model.channels || {})])];
+    res.json({ ok: true, ...channelFees.model, updatedAt: channelFees.updatedAt, known });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "channel_fees_failed", message: e.message });
+  }
+});
+
+app.put("/api/channel-fees", async (req, res) => {
+  if (!requireRegistryToken(req, res)) return;
+  try {
+    await loadChannelFees();
+    const body = req.body || {};
+    const errors = [];
+
+    const def = validateChannelFee(body.default ?? channelFees.model.default, "default");
+    if (def.errors) errors.push(...def.errors);
+
+    const channels = {};
+    const input = body.channels ?? channelFees.model.channels;
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+      errors.push("channels must be an object keyed by channel name");
+    } else {
+      for (const [name, fee] of Object.entries(input)) {
+        const label = String(name).trim();
+        if (!label) continue;
+        const v = validateChannelFee(fee, label);
+        if (v.errors) errors.push(...v.errors);
+        else channels[label] = v.fee;
+      }
+    }
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: "invalid_channel_fees", message: errors.join("; "), details: errors });
+    }
+
+    channelFees.model = { default: def.fee, channels };
+    channelFees.updatedAt = new Date().toISOString();
+    await writeFileAtomic(
+      CHANNEL_FEES_FILE,
+      JSON.stringify({ ...channelFees.model, updatedAt: channelFees.updatedAt }, null, 2)
+    );
+    res.json({ ok: true, ...channelFees.model, updatedAt: channelFees.updatedAt });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "channel_fees_failed", message: e.message });
+  }
+});
+
+// ---------- BOOKING CANÓNICO ----------
+/**
+ * Esquema único de reserva que consumen todas las vistas (pestaña R, overlay de reservas).
+ * Lodgify cambia nombres de campos según endpoint/versión; aquí se resuelven UNA sola vez.
+ *
+ * Booking:
+ *   {
+ *     id:            number|string  // id de la reserva en Lodgify
+ *     propertyId:    number|null
+ *     propertyName:  string         // resuelto vía /v2/properties
+ *     roomType:      string         // nombre del tipo de habitación (o id si no hay nombre)
+ *     arrival:       "YYYY-MM-DD"   // check-in
+ *     departure:     "YYYY-MM-DD"   // check-out
+ *     nights:        number
+ *     status:        string         // tal cual Lodgify (Booked, Tentative, Declined, Open...)
+ *     channel:       string         // Airbnb, Booking.com, Directo...
+ *     guestName:     string
+ *     guests:        number
+ *     currency:      string
+ *     total:         number         // importe total (bruto)
+ *     commission:    number         // comisión del canal (pct + cargo fijo), ver COMISIONES POR CANAL
+ *     commissionTax: number         // impuesto sobre la comisión
+ *     fees:          number         // commission + commissionTax
+ *     net:           number         // total - fees (lo que realmente queda)
+ *     paid:          number         // importe pagado
+ *     balance:       number         // saldo pendiente
+ *     createdAt:     string|null    // ISO
+ *     updatedAt:     string|null    // ISO
+ *   }
+ */
+
+// Códigos de origen de Lodgify -> etiqueta legible
+const CHANNEL_LABELS = {
+  airbnbintegration: "Airbnb",
+  airbnb: "Airbnb",
+  bookingcom: "Booking.com",
+  "booking.com": "Booking.com",
+  expedia: "Expedia",
+  homeaway: "Vrbo",
+  vrbo: "Vrbo",
+  manual: "Directo",
+  oh: "Directo (web)",
+  website: "Directo (web)",
+};
+
+function channelLabel(b) {
+  const raw = String(b.source_text || b.source || b.channel || "").trim();
+  if (!raw) return "Directo";
+  return CHANNEL_LABELS[raw.toLowerCase()] || raw;
+}
+
+function dateOnly(v) {
+  const s = String(v || "").trim();
+  return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : "";
+}
+
+function nightsBetween(arrival, departure) {
+  const a = Date.parse(arrival);
+  const d = Date.parse(departure);
+  if (!isFinite(a) || !isFinite(d)) return 0;
+  return Math.max(0, Math.round((d - a) / 86400000));
+}
+
+const toNum = (v) => {
+  const n = Number(v);
+  return isFinite(n) ? n : 0;
+};
+
+// Índice de propiedades desde /v2/properties (todas las páginas):
+// { names: Map(propertyId -> name), roomTypes: Map(roomTypeId -> name) }
+async function fetchPropertyIndex() {
+  const names = new Map();
+  const roomTypes = new Map();
+  let page = 1;
+  while (page <= 50) {
+    const data = await lodgifyFetchJson("/v2/properties", { page, size: 50 });
+    const items = Array.isArray(data?.items) ? data.items : (Array.isArray(data) ? data : []);
+    for (const p of items) {
+      if (p?.id === undefined || p?.id === null) continue;
+      names.set(String(p.id), String(p.name ?? p.internal_name ?? ""));
+      for (const rt of Array.isArray(p.rooms) ? p.rooms : []) {
+        if (rt?.id !== undefined && rt?.id !== null) roomTypes.set(String(rt.id), String(rt.name ?? ""));
+      }
+    }
+    if (items.length < 50) break;
+    page += 1;
+  }
+  return { names, roomTypes };
+}
+
+// Índice de Lodgify con los nombres del registro encima (el registro manda),
+// más el modelo de comisiones: todo lo que normalizeBooking necesita
+async function getPropertyIndex({ fresh = false } = {}) {
+  const [{ value }] = await Promise.all([
+    cached("properties:index", CACHE_TTL_PROPERTIES_MS, fetchPropertyIndex, { fresh }),
+    loadPropertyRegistry(),
+    loadChannelFees(),
+  ]);
+  const names = new Map(value.names);
+  for (const p of propertyRegistry.byId.values()) {
+    if (p.lodgifyId) names.set(p.lodgifyId, p.name);
+  }
+  return { ...value, names, channelFees: channelFees.model };
+}
+
+/**
+ * Reservas crudas para el modo agregado; regresa { value, cache, source }.
+ * - source "store": desde el booking store local (cache = null)
+ * - source "lodgify": fetchAllBookings() con cache en memoria
+ * `live` fuerza ir a Lodgify aunque el store esté listo.
+ */
+async function getAllBookings({ filters = {}, size, fresh = false, live = false }) {
+  if (!live && (await bookingStoreReady())) {
+    const items = queryBookingStore(filters);
+    return {
+      value: { mode: "store", items, chunks: [], ms: 0, retries: 0, syncedAt: bookingStore.meta.lastSyncAt },
+      cache: null,
+      source: "store",
+    };
+  }
+  const { value, cache } = await cached(
+    cacheKey("bookings", { ...filters, size }),
+    CACHE_TTL_BOOKINGS_MS,
+    () => fetchAllBookings({ filters, size }),
+    { fresh }
+  );
+  return { value, cache, source: "lodgify" };
+}
+
+function normalizeBooking(b, propertyIndex = { names: new Map(), roomTypes: new Map() }) {
+  const propertyId = b.property_id ?? b.propertyId ?? b.property?.id ?? null;
+  const arrival = dateOnly(b.arrival ?? b.checkIn ?? b.date_arrival);
+  const departure = dateOnly(b.departure ?? b.checkOut ?? b.date_departure);
+  const rooms = Array.isArray(b.rooms) ? b.rooms : [];
+  const roomTypeId = rooms[0]?.room_type_id ?? b.room_type_id ?? null;
+
+  const guests = rooms.reduce((acc, r) => {
+    const gb = r.guest_breakdown;
+    const n = gb ? toNum(gb.adults) + toNum(gb.children) + toNum(gb.infants) : toNum(r.people);
+    return acc + n;
+  }, 0) || toNum(b.people ?? b.guests);
+
+  const total = toNum(b.total_amount ?? b.total);
+  const paid = toNum(b.amount_paid ?? b.paid);
+  const due = b.amount_due ?? b.balance;
+  const channel = channelLabel(b);
+
+  return {
+    id: b.id,
+    propertyId,
+    propertyName:
+      propertyIndex.names.get(String(propertyId)) ||
+      b.property_name ||
+      b.property?.name ||
+      (propertyId ? `Propiedad ${propertyId}` : "—"),
+    roomType:
+      (roomTypeId !== null && propertyIndex.roomTypes.get(String(roomTypeId))) ||
+      rooms[0]?.name ||
+      (roomTypeId !== null ? String(roomTypeId) : ""),
+    arrival,
+    departure,
+    nights: nightsBetween(arrival, departure),
+    status: String(b.status || ""),
+    channel,
+    guestName: String(b.guest?.name ?? b.guest_name ?? ""),
+    guests,
+    currency: String(b.currency_code ?? b.currency ?? ""),
+    total,
+    ...applyChannelFees(total, channel, propertyIndex.channelFees),
+    paid,
+    balance: due !== undefined && due !== null ? toNum(due) : Math.max(0, total - paid),
+    createdAt: b.created_at ?? b.date_created ?? null,
+    updatedAt: b.updated_at ?? b.date_updated ?? null,
+  };
+}
+
+app.get("/api/lodgify/bookings", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+
+  try {
+    // Controles
+    const size = Math.min(500, Math.max(1, Number(req.query.size || 200)));
+    const clientPage = req.query.page ? Number(req.query.page) : null;
+
+    // anti-cache
+    setNoStore(res);
+
+    // normalized=1 => items en el esquema canónico (normalizeBooking)
+    const normalized = isFlag(req.query.normalized);
+    const fresh = isFlag(req.query.fresh);
+    const propertyIndexP = normalized ? getPropertyIndex({ fresh }) : null;
+
+    // 1) Si piden una página específica: proxy normal
+    if (clientPage) {
+      if (!normalized) {
+        return await lodgifyGet("/v2/reservations/bookings", { ...req.query, page: clientPage, size }, res);
+      }
+      const { normalized: _n, fresh: _f, ...query } = req.query;
+      const [propertyIndex, data] = await Promise.all([
+        propertyIndexP,
+        lodgifyFetchJson("/v2/reservations/bookings", { ...query, page: clientPage, size }),
+      ]);
+      const items = (Array.isArray(data.items) ? data.items : []).map((b) => normalizeBooking(b, propertyIndex));
+      return res.json({ ok: true, mode: "page", page: clientPage, items, total: items.length, count: data.count ?? null });
+    }
+
+    // 2) Si no piden page: agregamos TODO
+    const filters = pickBookingFilters(req.query);
+    // source=live => ignora el booking store y va directo a Lodgify
+    const live = lowerTrim(req.query.source) === "live";
+    const [propertyIndex, { value, cache, source }] = await Promise.all([
+      propertyIndexP,
+      getAllBookings({ filters, size, fresh, live }),
+    ]);
+    const { mode, items, chunks, ms, retries, syncedAt } = value;
+    if (cache) res.setHeader("X-Cache", cache);
+    const out = normalized ? items.map((b) => normalizeBooking(b, propertyIndex)) : items;
+    // filters: lo que realmente se aplicó (la UI lo muestra)
+    // chunks: tiempos por ventana mensual (diagnóstico); retries: reintentos usados
+    return res.json({
+      ok: true,
+      mode,
+      source,
+      syncedAt: syncedAt ?? null,
+      normalized,
+      filters,
+      items: out,
+      total: out.length,
+      chunks,
+      ms,
+      retries,
+    });
+
+  } catch (e) {
+    sendLodgifyError(res, e, "lodgify_bookings_failed");
+  }
+});
+
+// ---------- BOOKING: detalle (cotización y pagos) ----------
+/**
+ * GET /api/lodgify/bookings/:id
+ *
+ * Una reserva completa de Lodgify (includeQuoteDetails + includeTransactions) para el drawer de detalle:
+ * "¿qué se le cobró a este huésped?".
+ *
+ * Respuesta: { ok, booking, quote: { source, lines, subtotals, total }, payments }
+ * - booking: esquema canónico (normalizeBooking) => total, paid y balance (saldo pendiente) salen de ahí.
+ * - quote.lines: [{ kind, description, amount }] con kind room | fee | tax | discount | addon | other.
+ *   Los descuentos van en negativo, así que la suma de las líneas es quote.total.
+ * - quote.source: "quote" (desglose de Lodgify), "subtotals" (solo subtotales) o "total" (sin desglose:
+ *   una sola línea con el total de la reserva).
+ * - payments: [{ id, date, type, method, status, amount }] ordenados por fecha; reembolsos en negativo.
+ *
+ * Errores: id no numérico => 400 invalid_booking_id; Lodgify 404 => 404 booking_not_found.
+ */
+const asList = (v) => (Array.isArray(v) ? v : []);
+
+// El tipo de Lodgify manda; si no dice nada útil, se clasifica por la descripción. El orden importa:
+// "Cleaning fee" es cargo aunque diga "clean", "Tax on fees" es impuesto.
+const QUOTE_KINDS = [
+  ["discount", /promo|discount|descuento|coupon|cup[oó]n/i],
+  ["tax", /tax|vat|\biva\b|\bish\b|impuesto/i],
+  ["fee", /fee|clean|limpieza|cargo|comisi[oó]n/i],
+  ["addon", /add-?on|extra|servicio/i],
+  ["room", /room|rate|stay|night|noche|tarifa|hospedaje/i],
+];
+
+function quoteKind(...labels) {
+  for (const label of labels) {
+    const txt = String(label ?? "");
+    const hit = txt && QUOTE_KINDS.find(([, re]) => re.test(txt));
+    if (hit) return hit[0];
+  }
+  return "other";
+}
+
+function quoteLines(b) {
+  const lines = [];
+  const push = (type, p, fallbackDescription) => {
+    const amount = toNum(p.amount ?? p.total ?? p.subtotal ?? p.price);
+    if (!amount) return;
+    const description = String(p.description ?? p.name ?? fallbackDescription ?? type ?? "").trim();
+    const kind = quoteKind(type, p.type, description);
+    lines.push({ kind, description: description || kind, amount: round2(kind === "discount" ? -Math.abs(amount) : amount) });
+  };
+
+  const q = b.quote ?? b.quote_details ?? null;
+  if (q) {
+    for (const rt of asList(q.room_types)) {
+      for (const pt of asList(rt.price_types)) {
+        const prices = asList(pt.prices);
+        if (prices.length) prices.forEach((p) => push(pt.type, p));
+        else push(pt.type, { amount: pt.subtotal }, pt.type);
+      }
+    }
+    for (const it of asList(q.other_items ?? q.items)) push(it.type, it);
+  }
+  if (lines.length) return { source: "quote", lines };
+
+  // Sin desglose: los subtotales de la reserva (si vienen)
+  const s = b.subtotals;
+  if (s) {
+    const parts = [
+      ["stay", "room", "Estancia"],
+      ["fees", "fee", "Cargos"],
+      ["addons", "addon", "Extras"],
+      ["vat", "tax", "Impuestos"],
+      ["promotions", "discount", "Descuentos"],
+    ];
+    for (const [key, type, label] of parts) push(type, { amount: s[key] }, label);
+    if (lines.length) return { source: "subtotals", lines };
+  }
+
+  push("room", { amount: b.total_amount ?? b.total }, "Total de la reserva");
+  return { source: "total", lines };
+}
+
+function bookingPayments(b) {
+  return asList(b.transactions ?? b.payments)
+    .map((t) => {
+      const type = String(t.type ?? t.transaction_type ?? "Payment");
+      const amount = toNum(t.amount ?? t.total);
+      return {
+        id: t.id ?? null,
+        date: dateOnly(t.date ?? t.date_received ?? t.payment_date ?? t.created_at) || null,
+        type,
+        method: String(t.payment_method ?? t.method ?? t.source ?? ""),
+        status: String(t.status ?? ""),
+        amount: round2(/refund|reembolso/i.test(type) ? -Math.abs(amount) : amount),
+      };
+    })
+    .filter((p) => p.amount)
+    .sort((a, b) => String(a.date || "").localeCompare(String(b.date || "")));
+}
+
+app.get("/api/lodgify/bookings/:id", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+
+  const id = String(req.params.id || "").trim();
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ ok: false, error: "invalid_booking_id", message: "El id de la reserva debe ser numérico" });
+  }
+
+  try {
+    setNoStore(res);
+    const fresh = isFlag(req.query.fresh);
+    const [propertyIndex, raw] = await Promise.all([
+      getPropertyIndex({ fresh }),
+      lodgifyFetchJson(`/v2/reservations/bookings/${encodeURIComponent(id)}`, {
+        includeQuoteDetails: true,
+        includeTransactions: true,
+      }),
+    ]);
+
+    const { source, lines } = quoteLines(raw);
+    const subtotals = {};
+    for (const l of lines) subtotals[l.kind] = round2((subtotals[l.kind] || 0) + l.amount);
+    const total = round2(lines.reduce((acc, l) => acc + l.amount, 0));
+
+    return res.json({
+      ok: true,
+      booking: normalizeBooking(raw, propertyIndex),
+      quote: { source, lines, subtotals, total },
+      payments: bookingPayments(raw),
+    });
+  } catch (e) {
+    if (e instanceof LodgifyHttpError && e.status === 404) {
+      return res.status(404).json({ ok: false, error: "booking_not_found", message: `Reserva ${id} no encontrada en Lodgify` });
+    }
+    sendLodgifyError(res, e, "lodgify_booking_failed");
+  }
+});
+
+// ---------- RESERVATIONS (pestaña "R" del dashboard) ----------
+/**
+ * GET /api/reservations?year=2025&property=Casa%20A,Casa%20B&type=Airbnb,Directo&basis=stay
+ *
+ * - year: año (YYYY) según `basis`. Sin año => todo el historial.
+ * - basis: qué reservas "pertenecen" al año (igual que el reconocimiento de ingresos del dashboard):
+ *     checkin (default) => llegada en el año
+ *     stay              => al menos una noche en el año (p.ej. 28-dic → 5-ene cuenta en ambos años)
+ *     booking           => creada en el año. Se buscan estancias del año hasta RESERVATIONS_BOOKING_LEAD_YEARS
+ *                          años después (default 3): una reserva creada en el año para una estancia
+ *                          más lejana no aparece. Tampoco las capturadas en el año para estancias pasadas.
+ * - property: lista separada por comas de nombres (o ids) de alojamiento.
+ * - type: lista separada por comas de canales (Airbnb, Booking.com, Directo...).
+ *
+ * Respuesta: { ok, year, total, reservations: [Booking] }  (Booking = esquema canónico, ver normalizeBooking)
+ */
+const RESERVATION_BASES = ["checkin", "stay", "booking"];
+const RESERVATIONS_BOOKING_LEAD_YEARS = Math.max(1, Number(process.env.RESERVATIONS_BOOKING_LEAD_YEARS || 3));
+
+// ¿La reserva (canónica) pertenece al año según la base? Sin fecha útil => se conserva.
+function reservationInYear(r, year, basis) {
+  if (basis === "booking") {
+    const created = dateOnly(r.createdAt);
+    if (created) return created.slice(0, 4) === year;
+  }
+  if (basis === "stay" && r.arrival && r.departure && r.departure > r.arrival) {
+    return r.arrival <= `${year}-12-31` && r.departure > `${year}-01-01`;
+  }
+  return !r.arrival || r.arrival.slice(0, 4) === year;
+}
+
+app.get("/api/reservations", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+
+  try {
+    const year = /^\d{4}$/.test(String(req.query.year || "")) ? String(req.query.year) : "";
+    const props = splitList(req.query.property).map(lowerTrim);
+    const types = splitList(req.query.type).map(lowerTrim);
+    const basis = lowerTrim(req.query.basis || "checkin");
+    if (!RESERVATION_BASES.includes(basis)) {
+      return res.status(400).json({ ok: false, error: "invalid_basis", message: `basis must be one of ${RESERVATION_BASES.join(", ")}` });
+    }
+
+    setNoStore(res);
+
+    const fresh = isFlag(req.query.fresh);
+    const toYear = basis === "booking" && year ? String(Number(year) + RESERVATIONS_BOOKING_LEAD_YEARS) : year;
+    const [propertyIndex, { value, cache }] = await Promise.all([
+      getPropertyIndex({ fresh }),
+      getAllBookings({
+        filters: year ? { from: `${year}-01-01`, to: `${toYear}-12-31` } : {},
+        size: 200,
+        fresh,
+      }),
+    ]);
+    const { items } = value;
+    if (cache) res.setHeader("X-Cache", cache);
+
+    const reservations = items
+      .map((b) => normalizeBooking(b, propertyIndex))
+      .filter((r) => {
+        if (year && !reservationInYear(r, year, basis)) return false;
+        if (props.length && !props.includes(lowerTrim(r.propertyName)) && !props.includes(lowerTrim(r.propertyId))) return false;
+        if (types.length && !types.includes(lowerTrim(r.channel))) return false;
+        return true;
+      });
+
+    res.json({ ok: true, year: year || null, basis, total: reservations.length, reservations });
+  } catch (e) {
+    sendLodgifyError(res, e, "reservations_failed");
+  }
+});
+
+// ---------- CONCILIACIÓN: decisiones (reservas vs ingresos) ----------
+/**
+ * El emparejamiento reserva ↔ movimiento de Ingresos se calcula en el dashboard (tiene RAW y
+ * las reservas); aquí solo se guardan las decisiones del usuario para que sobrevivan recargas
+ * y se compartan entre navegadores.
+ *
+ * GET  /api/reconciliation/decisions
+ * POST /api/reconciliation/decisions  { bookingId, movementKey, decision, movement?, note? }
+ *   decision: confirmed | rejected | pending (pending = borra la decisión)
+ *   movement: snapshot opcional del movimiento ({ Mes, Monto, Cuenta bancaria, ... }) para auditoría
+ * Escritura: igual que el registro (`Authorization: Bearer <REGISTRY_TOKEN>`; sin token configurado, 503).
+ */
+const RECONCILIATION_FILE = path.join(DATA_DIR, "reconciliation.json");
+const RECONCILIATION_DECISIONS = ["confirmed", "rejected", "pending"];
+
+const reconciliation = {
+  byKey: new Map(), // "<bookingId>|<movementKey>" -> decision
+  loaded: null,
+};
+
+const decisionKey = (bookingId, movementKey) => `${bookingId}|${movementKey}`;
+
+function loadReconciliation() {
+  if (!reconciliation.loaded) {
+    reconciliation.loaded = (async () => {
+      const text = await readFileOrNull(RECONCILIATION_FILE);
+      const items = text ? JSON.parse(text).decisions || [] : [];
+      for (const d of items) reconciliation.byKey.set(decisionKey(d.bookingId, d.movementKey), d);
+    })().catch((e) => {
+      reconciliation.loaded = null;
+      throw e;
+    });
+  }
+  return reconciliation.loaded;
+}
+
+async function persistReconciliation() {
+  const decisions = [...reconciliation.byKey.values()].sort((a, b) => a.decidedAt.localeCompare(b.decidedAt));
+  await writeFileAtomic(RECONCILIATION_FILE, JSON.stringify({ decisions }, null, 2));
+}
+
+app.get("/api/reconciliation/decisions", async (req, res) => {
+  try {
+    await loadReconciliation();
+    setNoStore(res);
+    const items = [...reconciliation.byKey.values()];
+    res.json({ ok: true, total: items.length, items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "reconciliation_failed", message: e.message });
+  }
+});
+
+app.post("/api/reconciliation/decisions", async (req, res) => {
+  if (!requireRegistryToken(req, res)) return;
+  try {
+    await loadReconciliation();
+    const { bookingId, movementKey, decision, movement, note } = req.body || {};
+    if (bookingId === undefined || bookingId === null || bookingId === "" || !movementKey) {
+      return res.status(400).json({ ok: false, error: "invalid_decision", message: "bookingId and movementKey are required" });
+    }
+    if (!RECONCILIATION_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        ok: false,
+        error: "invalid_decision",
+        message: `decision must be one of ${RECONCILIATION_DECISIONS.join(", ")}`,
+      });
+    }
+
+    const key = decisionKey(String(bookingId), String(movementKey));
+    if (decision === "pending") {
+      reconciliation.byKey.delete(key);
+      await persistReconciliation();
+      return res.json({ ok: true, item: null });
+    }
+
+    // Un movimiento/una reserva solo puede quedar confirmado en un par
+    if (decision === "confirmed") {
+      for (const d of reconciliation.byKey.values()) {
+        if (d.decision !== "confirmed" || decisionKey(d.bookingId, d.movementKey) === key) continue;
+        if (d.bookingId === String(bookingId) || d.movementKey === String(movementKey)) {
+          return res.status(409).json({
+            ok: false,
+            error: "already_confirmed",
+            message: `Booking ${d.bookingId} / movement ${d.movementKey} already confirmed in another pair`,
+          });
+        }
+      }
+    }
+
+    const item = {
+      bookingId: String(bookingId),
+      movementKey: String(movementKey),
+      decision,
+      movement: movement && typeof movement === "object" ? movement : null,
+      note: String(note ?? "").slice(0, 500),
+      decidedAt: new Date().toISOString(),
+    };
+    reconciliation.byKey.set(key, item);
+    await persistReconciliation();
+    res.json({ ok: true, item });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "reconciliation_failed", message: e.message });
+  }
+});
+
+// ---------- P&L: reglas de asignación de gastos compartidos ----------
+/**
+ * El P&L por alojamiento se arma en el dashboard (ingresos = reservas, gastos = Egresos de RAW).
+ * Un gasto se asigna directo (columna Alojamiento del movimiento o aliases del registro);
+ * lo compartido se reparte con estas reglas, que se guardan aquí para que todos vean el mismo P&L.
+ *
+ * Regla: { match, method, properties?, shares? }
+ *   match:      CATEGORIA o CONCEPTO del movimiento (sin distinguir mayúsculas/acentos)
+ *   method:     nights (noches reservadas del mes) | units (unidades del registro) | fixed (% fijo)
+ *   properties: alojamientos entre los que se reparte (nombre); vacío = todos los vigentes
+ *   shares:     solo fixed, { "<alojamiento>": pct } (suma ≤ 100; el resto queda sin asignar)
+ *
+ * GET /api/pnl/rules
+ * PUT /api/pnl/rules  { rules: [...] }  reemplaza la lista (el orden importa: gana la primera que coincide)
+ * Escritura: igual que el registro (`Authorization: Bearer <REGISTRY_TOKEN>`; sin token configurado, 503).
+ */
+const PNL_RULES_FILE = path.join(DATA_DIR, "pnl-rules.json");
+const PNL_METHODS = ["nights", "units", "fixed"];
+
+const pnlRules = {
+  rules: [],
+  updatedAt: null,
+  loaded: null,
+};
+
+function loadPnlRules() {
+  if (!pnlRules.loaded) {
+    pnlRules.loaded = (async () => {
+      const text = await readFileOrNull(PNL_RULES_FILE);
+      if (!text) return;
+      const saved = JSON.parse(text);
+      pnlRules.rules = Array.isArray(saved.rules) ? saved.rules : [];
+      pnlRules.updatedAt = saved.updatedAt ?? null;
+    })().catch((e) => {
+      pnlRules.loaded = null;
+      throw e;
+    });
+  }
+  return pnlRules.loaded;
+}
+
+// Valida/normaliza la lista; regresa { rules } o { errors }
+function validatePnlRules(input) {
+  if (!Array.isArray(input)) return { errors: ["rules must be an array"] };
+  const errors = [];
+  const rules = input.map((r, i) => {
+    const label = `rules[${i}]`;
+    const match = String(r?.match ?? "").trim();
+    const method = String(r?.method ?? "").trim();
+    if (!match) errors.push(`${label}.match is required`);
+    if (!PNL_METHODS.includes(method)) errors.push(`${label}.method must be one of ${PNL_METHODS.join(", ")}`);
+
+    const rule = { match, method, properties: listOfStrings(r?.properties) };
+    if (method === "fixed") {
+      const shares = {};
+      let sum = 0;
+      for (const [name, pct] of Object.entries(r?.shares && typeof r.shares === "object" ? r.shares : {})) {
+        const n = Number(pct);
+        if (!String(name).trim() || !isFinite(n) || n <= 0 || n > 100) {
+          errors.push(`${label}.shares["${name}"] must be a percentage between 0 and 100`);
+          continue;
+        }
+        shares[String(name).trim()] = n;
+        sum += n;
+      }
+      if (!Object.keys(shares).length) errors.push(`${label}.shares is required for method fixed`);
+      if (sum > 100.0001) errors.push(`${label}.shares add up to ${round2(sum)}% (max 100)`);
+      rule.shares = shares;
+    }
+    return rule;
+  });
+  return errors.length ? { errors } : { rules };
+}
+
+app.get("/api/pnl/rules", async (req, res) => {
+  try {
+    await loadPnlRules();
+    setNoStore(res);
+    res.json({ ok: true, rules: pnlRules.rules, updatedAt: pnlRules.updatedAt });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "pnl_rules_failed", message: e.message });
+  }
+});
+
+app.put("/api/pnl/rules", async (req, res) => {
+  if (!requireRegistryToken(req, res)) return;
+  try {
+    await loadPnlRules();
+    const { rules, errors } = validatePnlRules(req.body?.rules);
+    if (errors) {
+      return res.status(400).json({ ok: false, error: "invalid_rules", message: errors.join("; "), details: errors });
+    }
+    pnlRules.rules = rules;
+    pnlRules.updatedAt = new Date().toISOString();
+    await writeFileAtomic(PNL_RULES_FILE, JSON.stringify({ rules, updatedAt: pnlRules.updatedAt }, null, 2));
+    res.json({ ok: true, rules, updatedAt: pnlRules.updatedAt });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "pnl_rules_failed", message: e.message });
+  }
+});
+
+// ---------- ESTADOS DE CUENTA A PROPIETARIOS (snapshots inmutables) ----------
+/**
+ * El estado de cuenta mensual se arma en el dashboard (reservas + comisiones + gastos del P&L);
+ * aquí se congela: cada emisión es un archivo nuevo en OWNER_STATEMENTS_DIR que nunca se reescribe
+ * (volver a emitir el mismo propietario/mes crea la versión siguiente).
+ *
+ * POST /api/owner-statements        { owner, month: "YYYY-MM", statement: { properties: [...], totals: {...} } }
+ * GET  /api/owner-statements        ?owner=&month=  (resumen, sin renglones)
+ * GET  /api/owner-statements/:id    snapshot completo; ?download=1 => archivo JSON
+ * `hash` = sha256 de `statement` para verificar que el JSON exportado no se alteró.
+ * Emitir: igual que el registro (`Authorization: Bearer <REGISTRY_TOKEN>`; sin token configurado, 503).
+ */
+const OWNER_STATEMENTS_DIR = process.env.OWNER_STATEMENTS_DIR || path.join(DATA_DIR, "owner-statements");
+
+const ownerStatements = {
+  byId: new Map(),
+  loaded: null,
+};
+
+function loadOwnerStatements() {
+  if (!ownerStatements.loaded) {
+    ownerStatements.loaded = (async () => {
+      let files = [];
+      try {
+        files = await fs.readdir(OWNER_STATEMENTS_DIR);
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      for (const f of files.filter((f) => f.endsWith(".json"))) {
+        const s = JSON.parse(await fs.readFile(path.join(OWNER_STATEMENTS_DIR, f), "utf8"));
+        if (s?.id) ownerStatements.byId.set(s.id, s);
+      }
+    })().catch((e) => {
+      ownerStatements.loaded = null;
+      throw e;
+    });
+  }
+  return ownerStatements.loaded;
+}
+
+const statementSummary = ({ statement, ...s }) => ({ ...s, totals: statement.totals });
+
+app.get("/api/owner-statements", async (req, res) => {
+  try {
+    await loadOwnerStatements();
+    setNoStore(res);
+    const owner = lowerTrim(req.query.owner);
+    const month = String(req.query.month || "").trim();
+    const items = [...ownerStatements.byId.values()]
+      .filter((s) => (!owner || s.owner.toLowerCase() === owner) && (!month || s.month === month))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(statementSummary);
+    res.json({ ok: true, total: items.length, items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "owner_statements_failed", message: e.message });
+  }
+});
+
+app.get("/api/owner-statements/:id", async (req, res) => {
+  try {
+    await loadOwnerStatements();
+    const item = ownerStatements.byId.get(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, error: "not_found", message: `Statement ${req.params.id} not found` });
+    setNoStore(res);
+    if (isFlag(req.query.download)) {
+      res.setHeader("Content-Disposition", `attachment; filename="${item.id}.json"`);
+      return res.type("application/json").send(JSON.stringify(item, null, 2));
+    }
+    res.json({ ok: true, item });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "owner_statements_failed", message: e.message });
+  }
+});
+
+app.post("/api/owner-statements", async (req, res) => {
+  if (!requireRegistryToken(req, res)) return;
+  try {
+    await loadOwnerStatements();
+    const { owner, month, statement } = req.body || {};
+    const errors = [];
+    if (!String(owner ?? "").trim()) errors.push("owner is required");
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month ?? ""))) errors.push("month must be YYYY-MM");
+    if (!statement || typeof statement !== "object" || !Array.isArray(statement.properties)) {
+      errors.push("statement.properties must be an array");
+    }
+    if (!isFinite(Number(statement?.totals?.payout))) errors.push("statement.totals.payout must be a number");
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: "invalid_statement", message: errors.join("; "), details: errors });
+    }
+
+    const ownerName = String(owner).trim();
+    const base = `${slugify(ownerName) || "owner"}-${month}`;
+    let version = 1 + [...ownerStatements.byId.values()].filter((s) => s.id.startsWith(`${base}-v`)).length;
+    await fs.mkdir(OWNER_STATEMENTS_DIR, { recursive: true });
+
+    // wx: nunca sobreescribe; si otra emisión ganó la versión, toma la siguiente
+    for (;;) {
+      const item = {
+        id: `${base}-v${version}`,
+        owner: ownerName,
+        month,
+        version,
+        createdAt: new Date().toISOString(),
+        hash: crypto.createHash("sha256").update(JSON.stringify(statement)).digest("hex"),
+        statement,
+      };
+      try {
+        await fs.writeFile(path.join(OWNER_STATEMENTS_DIR, `${item.id}.json`), JSON.stringify(item, null, 2), {
+          encoding: "utf8",
+          flag: "wx",
+        });
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        version += 1;
+        continue;
+      }
+      ownerStatements.byId.set(item.id, item);
+      return res.status(201).json({ ok: true, item });
+    }
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: "owner_statements_failed", message: e.message });
+  }
+});
+
+// Los snapshots no se editan ni se borran
+app.all("/api/owner-statements/:id", (req, res) => {
+  res.status(405).json({ ok: false, error: "immutable", message: "Owner statements are immutable; issue a new version instead" });
+});
+
+// ---------- ANALYTICS: ocupación, ADR, RevPAR ----------
+/**
+ * GET /api/analytics/occupancy?from=2025-01-01&to=2025-12-31&groupBy=month|property
+ *     &property=Casa%20A,Casa%20B&type=Airbnb
+ *
+ * - Cada reserva no cancelada reparte sus noches entre los meses calendario en que caen; el
+ *   ingreso se prorratea por noche (total / noches).
+ * - Noches disponibles = días activos del periodo en cada mes × units (ver PROPERTY REGISTRY;
+ *   sin registro: 1 unidad, siempre activo).
+ * - occupancy = noches vendidas / disponibles (0..1); ADR = ingreso / noches vendidas;
+ *   RevPAR = ingreso / noches disponibles.
+ * - property: nombres (o ids) a incluir; type: canales (solo filtra reservas, no la oferta).
+ * - Sin from/to => año en curso.
+ *
+ * Respuesta: { ok, from, to, groupBy, totals, rows }
+ *   groupBy=month:    rows = [{ month: "2025-01", ...métricas }]
+ *   groupBy=property: rows = [{ propertyId, propertyName, ...métricas, months: [...] }]
+ */
+const ANALYTICS_MAX_DAYS = 3 * 366;
+
+function addDays(iso, n) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// "Hoy" de la operación (TZ_OPS, default America/Monterrey): de noche en México UTC ya es mañana
+const TZ_OPS = process.env.TZ_OPS || "America/Monterrey";
+const opsDateFormat = new Intl.DateTimeFormat("en-CA", { timeZone: TZ_OPS }); // en-CA => YYYY-MM-DD
+const opsToday = () => opsDateFormat.format(new Date());
+
+function newOccupancyBucket() {
+  return { availableNights: 0, bookedNights: 0, revenue: 0, bookingIds: new Set() };
+}
+
+function occupancyMetrics(b) {
+  return {
+    availableNights: b.availableNights,
+    bookedNights: b.bookedNights,
+    bookings: b.bookingIds.size,
+    revenue: round2(b.revenue),
+    occupancy: b.availableNights ? Math.round((b.bookedNights / b.availableNights) * 10000) / 10000 : null,
+    adr: b.bookedNights ? round2(b.revenue / b.bookedNights) : null,
+    revpar: b.availableNights ? round2(b.revenue / b.availableNights) : null,
+  };
+}
+
+// Rango de fechas (inclusive) desde la query; lanza { status: 400 } si es inválido
+function parseAnalyticsRange(query) {
+  const year = opsToday().slice(0, 4);
+  const from = String(query.from || `${year}-01-01`);
+  const to = String(query.to || `${year}-12-31`);
+  if (!ISO_DATE_RE.test(from) || !ISO_DATE_RE.test(to) || from > to) {
+    throw Object.assign(new Error("from/to must be YYYY-MM-DD with from <= to"), { status: 400, code: "invalid_range" });
+  }
+  if (nightsBetween(from, to) + 1 > ANALYTICS_MAX_DAYS) {
+    throw Object.assign(new Error(`Range too long (max ${ANALYTICS_MAX_DAYS} days)`), { status: 400, code: "invalid_range" });
+  }
+  return { from, to };
+}
+
+// Noches de [from, to] por mes: Map("YYYY-MM" -> noches)
+function nightsPerMonth(from, to) {
+  const out = new Map();
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    const m = d.slice(0, 7);
+    out.set(m, (out.get(m) || 0) + 1);
+  }
+  return out;
+}
+
+function computeOccupancy({ bookings, properties, from, to, groupBy }) {
+  const monthDays = nightsPerMonth(from, to);
+  const byProperty = new Map(); // propertyId -> { propertyName, months: Map(month -> bucket) }
+
+  const propertyEntry = ({ propertyId, propertyName, units = 1, activeFrom = null, activeTo = null }) => {
+    if (!byProperty.has(propertyId)) {
+      const activeDays =
+        activeFrom || activeTo
+          ? nightsPerMonth(activeFrom && activeFrom > from ? activeFrom : from, activeTo && activeTo < to ? activeTo : to)
+          : monthDays;
+      const months = new Map();
+      for (const m of monthDays.keys()) {
+        months.set(m, { ...newOccupancyBucket(), availableNights: (activeDays.get(m) || 0) * units });
+      }
+      byProperty.set(propertyId, { propertyId, propertyName, months });
+    }
+    return byProperty.get(propertyId);
+  };
+
+  for (const p of properties) propertyEntry(p);
+
+  for (const b of bookings) {
+    if (!b.arrival || !b.nights) continue;
+    // Solo alojamientos del conjunto filtrado: una reserva de uno excluido (sin registrar o fuera de
+    // su vigencia) no debe volver a meterlo con disponibilidad completa.
+    const entry = byProperty.get(String(b.propertyId));
+    if (!entry) continue;
+    const perNight = b.total / b.nights;
+    const start = b.arrival > from ? b.arrival : from;
+    const lastNight = addDays(b.arrival, b.nights - 1);
+    const end = lastNight < to ? lastNight : to;
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+      const bucket = entry.months.get(d.slice(0, 7));
+      bucket.bookedNights += 1;
+      bucket.revenue += perNight;
+      bucket.bookingIds.add(b.id);
+    }
+  }
+
+  const merge = (buckets) =>
+    buckets.reduce((acc, b) => {
+      acc.availableNights += b.availableNights;
+      acc.bookedNights += b.bookedNights;
+      acc.revenue += b.revenue;
+      for (const id of b.bookingIds) acc.bookingIds.add(id);
+      return acc;
+    }, newOccupancyBucket());
+
+  const entries = [...byProperty.values()];
+  const totals = occupancyMetrics(merge(entries.flatMap((e) => [...e.months.values()])));
+
+  const rows =
+    groupBy === "property"
+      ? entries
+          .map((e) => ({
+            propertyId: e.propertyId,
+            propertyName: e.propertyName,
+            ...occupancyMetrics(merge([...e.months.values()])),
+            months: [...e.months].map(([month, b]) => ({ month, ...occupancyMetrics(b) })),
+          }))
+          .sort((a, b) => b.revenue - a.revenue || a.propertyName.localeCompare(b.propertyName, "es"))
+      : [...monthDays.keys()].map((month) => ({
+          month,
+          ...occupancyMetrics(merge(entries.map((e) => e.months.get(month)))),
+        }));
+
+  return { totals, rows };
+}
+
+app.get("/api/analytics/occupancy", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+
+  setNoStore(res);
+  const groupBy = lowerTrim(req.query.groupBy || "month");
+  if (!["month", "property"].includes(groupBy)) {
+    return res.status(400).json({ ok: false, error: "invalid_group_by", message: "groupBy must be month or property" });
+  }
+
+  try {
+    const { from, to } = parseAnalyticsRange(req.query);
+    const props = splitList(req.query.property).map(lowerTrim);
+    const types = splitList(req.query.type).map(lowerTrim);
+    const fresh = isFlag(req.query.fresh);
+
+    const [propertyIndex, { value }] = await Promise.all([
+      getPropertyIndex({ fresh }),
+      getAllBookings({ filters: { from, to }, size: 200, fresh }),
+    ]);
+
+    const matchesProperty = (id, name) =>
+      !props.length || props.includes(lowerTrim(name)) || props.includes(lowerTrim(id));
+
+    const properties = [...propertyIndex.names]
+      .map(([propertyId, propertyName]) => {
+        const reg = registryByLodgifyId(propertyId);
+        return { propertyId, propertyName, units: reg?.units, activeFrom: reg?.activeFrom, activeTo: reg?.activeTo, reg };
+      })
+      .filter((p) => matchesProperty(p.propertyId, p.propertyName) && registryActiveIn(p.reg, from, to));
+
+    const bookings = value.items
+      .filter((b) => !isCancelledBooking(b))
+      .map((b) => normalizeBooking(b, propertyIndex))
+      .filter((r) => matchesProperty(r.propertyId, r.propertyName))
+      .filter((r) => !types.length || types.includes(lowerTrim(r.channel)));
+
+    res.json({ ok: true, from, to, groupBy, ...computeOccupancy({ bookings, properties, from, to, groupBy }) });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ ok: false, error: e.code, message: e.message });
+    sendLodgifyError(res, e, "occupancy_failed");
+  }
+});
+
+// ---------- ANALYTICS: pace (reservado hoy vs mismo día del año pasado) ----------
+/**
+ * GET /api/analytics/pace?asOf=2025-06-15&months=6&property=&type=
+ *
+ * Para cada mes de estancia desde el mes de `asOf` (default hoy en TZ_OPS) y los `months` siguientes
+ * (1..18, default 6): noches e ingreso "en libros" a `asOf` contra los del mismo mes un año antes,
+ * tal como estaban en libros a `asOf` − 1 año (fecha de creación de la reserva).
+ *
+ * - En libros a una fecha = creada en o antes de esa fecha y no cancelada entonces. Lodgify no da la
+ *   fecha de cancelación: una cancelada cuenta como viva mientras su updatedAt sea posterior a la fecha.
+ * - Reservas sin createdAt se toman como reservadas desde siempre (se reportan en `missingCreatedAt`).
+ * - lastYearFinal: lo que el mes del año pasado terminó teniendo (referencia del pickup restante).
+ * - Ingreso = total prorrateado por noche (como en ocupación).
+ *
+ * Respuesta: { ok, asOf, lastYearAsOf, months, totals: [...], byProperty: [...], byChannel: [...] }
+ */
+const PACE_MAX_MONTHS = 18;
+
+// "YYYY-MM" + n meses
+function addMonths(ym, n) {
+  const [y, m] = ym.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + n, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+// Misma fecha un año antes (29-feb => 28-feb)
+function minusOneYear(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const last = new Date(Date.UTC(y - 1, m, 0)).getUTCDate();
+  return `${y - 1}-${String(m).padStart(2, "0")}-${String(Math.min(d, last)).padStart(2, "0")}`;
+}
+
+function onBooksAt(b, isoDate) {
+  const created = dateOnly(b.createdAt);
+  if (created && created > isoDate) return false;
+  if (!isCancelledBooking(b)) return true;
+  const updated = dateOnly(b.updatedAt);
+  return Boolean(updated && updated > isoDate);
+}
+
+const newPaceBucket = () => ({ nights: 0, revenue: 0, bookingIds: new Set() });
+const paceMetrics = (b) => ({ bookings: b.bookingIds.size, nights: b.nights, revenue: round2(b.revenue) });
+const paceChange = (now, before) => (before ? Math.round(((now - before) / before) * 10000) / 10000 : null);
+
+function computePace({ bookings, asOf, months }) {
+  const lastYearAsOf = minusOneYear(asOf);
+  const first = asOf.slice(0, 7);
+  const monthList = Array.from({ length: months }, (_, i) => addMonths(first, i));
+  const inWindow = new Set(monthList);
+
+  // key ("" = total) -> month -> { current, lastYear, lastYearFinal }
+  const groups = { total: new Map(), property: new Map(), channel: new Map() };
+  const cell = (group, key, month) => {
+    if (!groups[group].has(key)) {
+      groups[group].set(
+        key,
+        new Map(monthList.map((m) => [m, { current: newPaceBucket(), lastYear: newPaceBucket(), lastYearFinal: newPaceBucket() }]))
+      );
+    }
+    return groups[group].get(key).get(month);
+  };
+  const add = (bucket, b, perNight) => {
+    bucket.nights += 1;
+    bucket.revenue += perNight;
+    bucket.bookingIds.add(b.id);
+  };
+
+  let missingCreatedAt = 0;
+  for (const b of bookings) {
+    if (!b.arrival || !b.nights) continue;
+    if (!dateOnly(b.createdAt)) missingCreatedAt += 1;
+    const nowOnBooks = onBooksAt(b, asOf);
+    const lyOnBooks = onBooksAt(b, lastYearAsOf);
+    const lyFinal = !isCancelledBooking(b);
+    if (!nowOnBooks && !lyOnBooks && !lyFinal) continue;
+
+    const perNight = b.total / b.nights;
+    for (let i = 0; i < b.nights; i += 1) {
+      const night = addDays(b.arrival, i).slice(0, 7);
+      const targets = [];
+      if (inWindow.has(night) && nowOnBooks) targets.push([night, "current"]);
+      const shifted = addMonths(night, 12);
+      if (inWindow.has(shifted)) {
+        if (lyOnBooks) targets.push([shifted, "lastYear"]);
+        if (lyFinal) targets.push([shifted, "lastYearFinal"]);
+      }
+      for (const [month, which] of targets) {
+        add(cell("total", "", month)[which], b, perNight);
+        add(cell("property", b.propertyName, month)[which], b, perNight);
+        add(cell("channel", b.channel, month)[which], b, perNight);
+      }
+    }
+  }
+
+  const row = (c) => {
+    const current = paceMetrics(c.current);
+    const lastYear = paceMetrics(c.lastYear);
+    return {
+      current,
+      lastYear,
+      lastYearFinal: paceMetrics(c.lastYearFinal),
+      change: { nights: paceChange(current.nights, lastYear.nights), revenue: paceChange(current.revenue, lastYear.revenue) },
+    };
+  };
+  const sumBuckets = (list) =>
+    list.reduce((acc, b) => {
+      acc.nights += b.nights;
+      acc.revenue += b.revenue;
+      for (const id of b.bookingIds) acc.bookingIds.add(id);
+      return acc;
+    }, newPaceBucket());
+  const breakdown = (group) =>
+    [...groups[group]]
+      .map(([key, byMonth]) => {
+        const cells = [...byMonth.values()];
+        return {
+          key,
+          ...row({
+            current: sumBuckets(cells.map((c) => c.current)),
+            lastYear: sumBuckets(cells.map((c) => c.lastYear)),
+            lastYearFinal: sumBuckets(cells.map((c) => c.lastYearFinal)),
+          }),
+          months: [...byMonth].map(([month, c]) => ({ month, ...row(c) })),
+        };
+      })
+      .sort((a, b) => b.current.revenue - a.current.revenue || String(a.key).localeCompare(String(b.key), "es"));
+
+  const empty = { current: newPaceBucket(), lastYear: newPaceBucket(), lastYearFinal: newPaceBucket() };
+  const totals = monthList.map((month) => ({
+    month,
+    lastYearMonth: addMonths(month, -12),
+    ...row(groups.total.get("")?.get(month) || empty),
+  }));
+
+  return { lastYearAsOf, months: monthList, totals, byProperty: breakdown("property"), byChannel: breakdown("channel"), missingCreatedAt };
+}
+
+app.get("/api/analytics/pace", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+
+  setNoStore(res);
+  const asOf = String(req.query.asOf || opsToday());
+  const months = Number(req.query.months || 6);
+  if (!ISO_DATE_RE.test(asOf)) {
+    return res.status(400).json({ ok: false, error: "invalid_range", message: "asOf must be YYYY-MM-DD" });
+  }
+  if (!Number.isInteger(months) || months < 1 || months > PACE_MAX_MONTHS) {
+    return res.status(400).json({ ok: false, error: "invalid_range", message: `months must be 1..${PACE_MAX_MONTHS}` });
+  }
+
+  try {
+    const props = splitList(req.query.property).map(lowerTrim);
+    const types = splitList(req.query.type).map(lowerTrim);
+    const fresh = isFlag(req.query.fresh);
+
+    // estancias desde el mismo mes del año pasado hasta el fin de la ventana
+    const from = `${addMonths(asOf.slice(0, 7), -12)}-01`;
+    const to = addDays(`${addMonths(asOf.slice(0, 7), months)}-01`, -1);
+    const [propertyIndex, { value }] = await Promise.all([
+      getPropertyIndex({ fresh }),
+      getAllBookings({ filters: { from, to }, size: 200, fresh }),
+    ]);
+
+    const bookings = value.items
+      .map((b) => normalizeBooking(b, propertyIndex))
+      .filter((r) => !props.length || props.includes(lowerTrim(r.propertyName)) || props.includes(lowerTrim(r.propertyId)))
+      .filter((r) => !types.length || types.includes(lowerTrim(r.channel)));
+
+    res.json({ ok: true, asOf, ...computePace({ bookings, asOf, months }) });
+  } catch (e) {
+    sendLodgifyError(res, e, "pace_failed");
+  }
+});
+
+// ---------- ANALYTICS: huecos y noches huérfanas entre estancias ----------
+/**
+ * GET /api/analytics/gaps?from=2025-06-01&to=2025-08-31&minStay=3&property=Casa%20A
+ *
+ * Huecos entre estancias más cortos que la estancia mínima (`minStay`, 2..30; default GAPS_MIN_STAY
+ * o 2 => solo noches sueltas): nadie los puede reservar y son ingreso perdido.
+ *
+ * - Por alojamiento, una noche está "llena" si las reservas no canceladas ocupan todas sus unidades
+ *   (units del registro; sin registro 1). Hueco = noches seguidas con cupo entre dos noches llenas;
+ *   con 1 unidad es exactamente salida de una reserva → llegada de la siguiente.
+ * - Se reportan los huecos cuya primera noche cae en [from, to] (default: hoy en TZ_OPS → 90 días) y dentro
+ *   de la vigencia del registro.
+ * - before / after: reservas que salen el día que empieza el hueco / llegan el día que termina.
+ * - lostRevenue = noches-unidad libres × ADR del alojamiento (total / noches de sus reservas no
+ *   canceladas en los 365 días previos a `to`; sin historia => null).
+ * - type no aplica: filtrar canales inventaría huecos que no existen.
+ *
+ * Respuesta: { ok, from, to, minStay, totals: { gaps, nights, lostRevenue }, gaps: [...] }
+ */
+const GAPS_MIN_STAY = Number(process.env.GAPS_MIN_STAY || 2);
+const GAPS_MAX_MIN_STAY = 30;
+const GAPS_DEFAULT_DAYS = 90;
+const ADR_LOOKBACK_DAYS = 365;
+
+const gapBookingRef = (b) => ({
+  id: b.id,
+  guestName: b.guestName,
+  arrival: b.arrival,
+  departure: b.departure,
+  channel: b.channel,
+  status: b.status,
+});
+
+function computeGaps({ bookings, properties, from, to, minStay }) {
+  const adrFrom = addDays(to, -ADR_LOOKBACK_DAYS);
+  const byProperty = new Map(); // propertyId -> { propertyName, units, active, booked: Map(night -> n), bookings: [] }
+
+  const entry = ({ propertyId, propertyName, units = 1, activeFrom = null, activeTo = null }) => {
+    if (!byProperty.has(propertyId)) {
+      byProperty.set(propertyId, { propertyId, propertyName, units: units || 1, activeFrom, activeTo, booked: new Map(), bookings: [] });
+    }
+    return byProperty.get(propertyId);
+  };
+  for (const p of properties) entry(p);
+
+  for (const b of bookings) {
+    if (!b.arrival || !b.nights) continue;
+    // alojamiento fuera del conjunto filtrado (sin registrar / fuera de vigencia): no se re-agrega
+    const e = byProperty.get(String(b.propertyId));
+    if (!e) continue;
+    e.bookings.push(b);
+    for (let i = 0; i < b.nights; i += 1) {
+      const night = addDays(b.arrival, i);
+      e.booked.set(night, (e.booked.get(night) || 0) + 1);
+    }
+  }
+
+  const gaps = [];
+  for (const e of byProperty.values()) {
+    // ADR de referencia: reservas con llegada en los 365 días previos a `to`
+    const ref = e.bookings.filter((b) => b.arrival >= adrFrom && b.arrival <= to);
+    const refNights = ref.reduce((a, b) => a + b.nights, 0);
+    const adr = refNights ? round2(ref.reduce((a, b) => a + b.total, 0) / refNights) : null;
+
+    const full = (night) => (e.booked.get(night) || 0) >= e.units;
+    const active = (night) => (!e.activeFrom || night >= e.activeFrom) && (!e.activeTo || night <= e.activeTo);
+
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+      if (full(d) || !full(addDays(d, -1)) || !active(d)) continue;
+      // d = primera noche con cupo después de una noche llena: ¿vuelve a llenarse antes de minStay?
+      let nights = 1;
+      while (nights < minStay && !full(addDays(d, nights))) nights += 1;
+      const departure = addDays(d, nights);
+      if (nights >= minStay || !active(addDays(departure, -1))) continue;
+
+      let freeUnitNights = 0;
+      for (let i = 0; i < nights; i += 1) freeUnitNights += e.units - (e.booked.get(addDays(d, i)) || 0);
+      gaps.push({
+        propertyId: e.propertyId,
+        propertyName: e.propertyName,
+        units: e.units,
+        arrival: d,
+        departure,
+        nights,
+        freeUnitNights,
+        adr,
+        lostRevenue: adr === null ? null : round2(freeUnitNights * adr),
+        before: e.bookings.filter((b) => addDays(b.arrival, b.nights) === d).map(gapBookingRef),
+        after: e.bookings.filter((b) => b.arrival === departure).map(gapBookingRef),
+      });
+    }
+  }
+
+  gaps.sort((a, b) => a.arrival.localeCompare(b.arrival) || a.propertyName.localeCompare(b.propertyName, "es"));
+  return {
+    totals: {
+      gaps: gaps.length,
+      nights: gaps.reduce((a, g) => a + g.freeUnitNights, 0),
+      lostRevenue: round2(gaps.reduce((a, g) => a + (g.lostRevenue || 0), 0)),
+    },
+    gaps,
+  };
+}
+
+app.get("/api/analytics/gaps", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+
+  setNoStore(res);
+  const minStay = Number(req.query.minStay || GAPS_MIN_STAY);
+  if (!Number.isInteger(minStay) || minStay < 2 || minStay > GAPS_MAX_MIN_STAY) {
+    return res.status(400).json({ ok: false, error: "invalid_min_stay", message: `minStay must be an integer 2..${GAPS_MAX_MIN_STAY}` });
+  }
+
+  try {
+    const today = opsToday();
+    const { from, to } = parseAnalyticsRange({
+      from: req.query.from || today,
+      to: req.query.to || addDays(String(req.query.from || today), GAPS_DEFAULT_DAYS),
+    });
+    const props = splitList(req.query.property).map(lowerTrim);
+    const fresh = isFlag(req.query.fresh);
+
+    // historia para el ADR + la noche previa a `from` (en rangos de más de ADR_LOOKBACK_DAYS queda
+    // antes de la historia) y las que puede abarcar un hueco después de `to`
+    const adrFrom = addDays(to, -ADR_LOOKBACK_DAYS);
+    const dayBefore = addDays(from, -1);
+    const [propertyIndex, { value }] = await Promise.all([
+      getPropertyIndex({ fresh }),
+      getAllBookings({ filters: { from: dayBefore < adrFrom ? dayBefore : adrFrom, to: addDays(to, minStay) }, size: 200, fresh }),
+    ]);
+
+    const matchesProperty = (id, name) =>
+      !props.length || props.includes(lowerTrim(name)) || props.includes(lowerTrim(id));
+
+    const properties = [...propertyIndex.names]
+      .map(([propertyId, propertyName]) => {
+        const reg = registryByLodgifyId(propertyId);
+        return { propertyId, propertyName, units: reg?.units, activeFrom: reg?.activeFrom, activeTo: reg?.activeTo, reg };
+      })
+      .filter((p) => matchesProperty(p.propertyId, p.propertyName) && registryActiveIn(p.reg, from, to));
+
+    const bookings = value.items
+      .filter((b) => !isCancelledBooking(b))
+      .map((b) => normalizeBooking(b, propertyIndex))
+      .filter((r) => matchesProperty(r.propertyId, r.propertyName));
+
+    res.json({ ok: true, from, to, minStay, ...computeGaps({ bookings, properties, from, to, minStay }) });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ ok: false, error: e.code, message: e.message });
+    sendLodgifyError(res, e, "gaps_failed");
+  }
+});
+
+// ---------- OPERACIONES: llegadas, salidas y cambios del día ----------
+/**
+ * GET /api/operations/turnovers?days=7&from=2025-07-01&property=Casa%20A
+ *
+ * Lista diaria para recepción y limpieza: por día (desde `from`, default hoy en TZ_OPS; `days` 1..31,
+ * default 7) y por alojamiento, quién llega, quién sale y si hay cambio el mismo día (sale uno y
+ * llega otro: la limpieza tiene que caber entre el check-out y el check-in).
+ *
+ * - Solo reservas no canceladas; cada entrada trae huésped, número de huéspedes, canal y saldo.
+ * - Los días sin movimientos también salen (properties: []) para que la hoja no se salte fechas.
+ * - Dentro de cada día, primero los alojamientos con cambio y luego por nombre.
+ *
+ * Respuesta: { ok, from, to, totals: { arrivals, departures, turnovers },
+ *              days: [{ date, counts, properties: [{ propertyId, propertyName, turnover, arrivals, departures }] }] }
+ */
+const OPERATIONS_MAX_DAYS = 31;
+
+const operationEntry = (b) => ({
+  id: b.id,
+  guestName: b.guestName,
+  guests: b.guests,
+  channel: b.channel,
+  status: b.status,
+  roomType: b.roomType,
+  arrival: b.arrival,
+  departure: b.departure,
+  nights: b.nights,
+  total: b.total,
+  paid: b.paid,
+  balance: b.balance,
+  currency: b.currency,
+});
+
+function computeTurnovers({ bookings, from, days }) {
+  const dates = Array.from({ length: days }, (_, i) => addDays(from, i));
+  const byDate = new Map(dates.map((d) => [d, new Map()])); // fecha -> alojamiento -> { arrivals, departures }
+  const cell = (date, b) => {
+    const props = byDate.get(date);
+    const key = String(b.propertyId ?? b.propertyName);
+    if (!props.has(key)) props.set(key, { propertyId: b.propertyId, propertyName: b.propertyName, arrivals: [], departures: [] });
+    return props.get(key);
+  };
+
+  for (const b of bookings) {
+    if (byDate.has(b.arrival)) cell(b.arrival, b).arrivals.push(operationEntry(b));
+    if (byDate.has(b.departure)) cell(b.departure, b).departures.push(operationEntry(b));
+  }
+
+  const totals = { arrivals: 0, departures: 0, turnovers: 0 };
+  const out = dates.map((date) => {
+    const properties = [...byDate.get(date).values()]
+      .map((p) => ({ ...p, turnover: p.arrivals.length > 0 && p.departures.length > 0 }))
+      .sort((a, b) => b.turnover - a.turnover || String(a.propertyName).localeCompare(String(b.propertyName), "es"));
+    const counts = {
+      arrivals: properties.reduce((a, p) => a + p.arrivals.length, 0),
+      departures: properties.reduce((a, p) => a + p.departures.length, 0),
+      turnovers: properties.filter((p) => p.turnover).length,
+    };
+    for (const k of Object.keys(totals)) totals[k] += counts[k];
+    return { date, counts, properties };
+  });
+
+  return { to: dates[dates.length - 1], totals, days: out };
+}
+
+app.get("/api/operations/turnovers", async (req, res) => {
+  if (!requireLodgifyKey(res)) return;
+
+  setNoStore(res);
+  const from = String(req.query.from || opsToday());
+  const days = Number(req.query.days || 7);
+  if (!ISO_DATE_RE.test(from)) {
+    return res.status(400).json({ ok: false, error: "invalid_range", message: "from must be YYYY-MM-DD" });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > OPERATIONS_MAX_DAYS) {
+    return res.status(400).json({ ok: false, error: "invalid_range", message: `days must be 1..${OPERATIONS_MAX_DAYS}` });
+  }
+
+  try {
+    const props = splitList(req.query.property).map(lowerTrim);
+    const fresh = isFlag(req.query.fresh);
+
+    const [propertyIndex, { value }] = await Promise.all([
+      getPropertyIndex({ fresh }),
+      getAllBookings({ filters: { from, to: addDays(from, days - 1) }, size: 200, fresh }),
+    ]);
+
+    const bookings = value.items
+      .filter((b) => !isCancelledBooking(b))
+      .map((b) => normalizeBooking(b, propertyIndex))
+      .filter((r) => !props.length || props.includes(lowerTrim(r.propertyName)) || props.includes(lowerTrim(r.propertyId)));
+
+    res.json({ ok: true, from, ...computeTurnovers({ bookings, from, days }) });
+  } catch (e) {
+    sendLodgifyError(res, e, "turnovers_failed");
+  }
+});
+
+// ✅ Error handler (incluye errores de CORS)
+app.use((err, req, res, next) => {
+  console.error("[express error]", err);
+  res.status(500).json({
+    ok: false,
+    error: "server_error",
+    message: err?.message || "Unknown error",
+  });
+});
+
+export default app;
+
+// Solo escucha si se ejecuta directo (`node index.js`); los tests importan `app`
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, "0.0.0.0", () => console.log(`Listening on ${PORT} (lodgify: ${LODGIFY_MODE})`));
+}
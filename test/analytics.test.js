@@ -0,0 +1,101 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const properties = [
+  { id: 1, name: "Casa A", rooms: [] },
+  { id: 2, name: "Casa B", rooms: [] },
+];
+
+const bookings = [
+  // 3 noches en enero + 2 en febrero, $500 por noche
+  { id: 10, property_id: 1, arrival: "2025-01-29", departure: "2025-02-03", status: "Booked", total_amount: 2500, source: "AirbnbIntegration" },
+  // 4 noches en febrero, $300 por noche
+  { id: 11, property_id: 2, arrival: "2025-02-10", departure: "2025-02-14", status: "Booked", total_amount: 1200, source: "Manual" },
+  // cruza el año: 2 noches en 2024 + 1 en 2025, $200 por noche, creada en 2024
+  { id: 13, property_id: 1, arrival: "2024-12-30", departure: "2025-01-02", status: "Booked", total_amount: 600, created_at: "2024-11-02T10:00:00" },
+  // cancelada: no cuenta
+  { id: 12, property_id: 2, arrival: "2025-01-05", departure: "2025-01-08", status: "Declined", total_amount: 900 },
+  // reservada en 2025 con mucha anticipación: estancia en 2027
+  { id: 14, property_id: 2, arrival: "2027-03-01", departure: "2027-03-04", status: "Booked", total_amount: 900, created_at: "2025-05-01T10:00:00" },
+];
+
+// Como Lodgify: from/to = estancias que se traslapan con el rango
+const inRange = (url) => {
+  const from = url.searchParams.get("from");
+  const to = url.searchParams.get("to");
+  return bookings.filter((b) => (!from || b.departure >= from) && (!to || b.arrival <= to));
+};
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => {
+    if (url.pathname === "/v2/properties") return { body: { items: paginate(properties, url) } };
+    return { body: { items: paginate(inRange(url), url) } };
+  };
+  testEnv({ LODGIFY_API_BASE: upstream.url });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+});
+
+const occupancy = (qs) => fetch(`${server.url}/api/analytics/occupancy?${qs}`).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("reparte noches e ingreso entre meses y cruza con noches disponibles", async () => {
+  const { status, body } = await occupancy("from=2025-01-01&to=2025-02-28&groupBy=month");
+  assert.equal(status, 200);
+  const [jan, feb] = body.rows;
+
+  assert.equal(jan.month, "2025-01");
+  assert.equal(jan.availableNights, 62); // 31 días × 2 alojamientos
+  assert.equal(jan.bookedNights, 4);
+  assert.equal(jan.revenue, 1700);
+  assert.equal(jan.adr, 425);
+
+  assert.equal(feb.availableNights, 56);
+  assert.equal(feb.bookedNights, 6);
+  assert.equal(feb.revenue, 2200);
+  assert.equal(feb.occupancy, Math.round((6 / 56) * 10000) / 10000);
+  assert.equal(feb.revpar, Math.round((2200 / 56) * 100) / 100);
+
+  assert.equal(body.totals.bookings, 3);
+  assert.equal(body.totals.bookedNights, 10);
+});
+
+test("groupBy=property con desglose mensual; recorta al rango pedido", async () => {
+  const { body } = await occupancy("from=2025-02-01&to=2025-02-28&groupBy=property");
+  const casaA = body.rows.find((r) => r.propertyName === "Casa A");
+  assert.equal(casaA.bookedNights, 2);
+  assert.equal(casaA.revenue, 1000);
+  assert.deepEqual(casaA.months.map((m) => m.month), ["2025-02"]);
+});
+
+test("type filtra reservas pero no la oferta", async () => {
+  const { body } = await occupancy("from=2025-02-01&to=2025-02-28&type=Directo");
+  assert.equal(body.totals.availableNights, 56);
+  assert.equal(body.totals.bookedNights, 4);
+});
+
+test("rango o groupBy inválidos => 400", async () => {
+  assert.equal((await occupancy("from=2025-03-01&to=2025-01-01")).body.error, "invalid_range");
+  assert.equal((await occupancy("groupBy=week")).status, 400);
+});
+
+test("reservations: basis decide qué reservas caen en el año", async () => {
+  const ids = async (basis) => {
+    const r = await fetch(`${server.url}/api/reservations?year=2025&basis=${basis}`).then((x) => x.json());
+    return r.reservations.map((b) => b.id).sort();
+  };
+  assert.deepEqual(await ids("checkin"), [10, 11, 12]);
+  assert.deepEqual(await ids("stay"), [10, 11, 12, 13]);
+  assert.deepEqual(await ids("booking"), [10, 11, 12, 14]); // sin createdAt => cae por llegada; 14 llega en 2027
+  const bad = await fetch(`${server.url}/api/reservations?basis=nope`);
+  assert.equal(bad.status, 400);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const properties = [{ id: 1, name: "Casa A", rooms: [] }];
+
+// Reserva con desglose de Lodgify (includeQuoteDetails) y pagos (includeTransactions)
+const detailed = {
+  id: 10,
+  property_id: 1,
+  arrival: "2025-07-01",
+  departure: "2025-07-05",
+  status: "Booked",
+  currency_code: "MXN",
+  total_amount: 4150,
+  amount_paid: 1245,
+  amount_due: 2905,
+  guest: { name: "Ana" },
+  quote: {
+    room_types: [
+      {
+        room_type_id: 7,
+        price_types: [
+          { type: "RoomRate", subtotal: 3400, prices: [{ description: "4 noches", amount: 3400 }] },
+          { type: "Fee", subtotal: 450, prices: [{ description: "Limpieza", amount: 450 }] },
+          { type: "Promotion", subtotal: -200, prices: [{ description: "Estancia larga", amount: 200 }] },
+          { type: "Tax", subtotal: 500, prices: [{ description: "IVA / ISH", amount: 500 }] },
+        ],
+      },
+    ],
+  },
+  transactions: [
+    { id: "t2", type: "Refund", amount: 100, created_at: "2025-06-20T10:00:00", payment_method: "Tarjeta" },
+    { id: "t1", type: "Payment", amount: 1345, created_at: "2025-06-10T10:00:00", payment_method: "Tarjeta", status: "Completed" },
+  ],
+};
+
+// Sin desglose: solo el total
+const plain = { id: 11, property_id: 1, arrival: "2025-08-01", departure: "2025-08-03", status: "Booked", total_amount: 900 };
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => {
+    if (url.pathname === "/v2/properties") return { body: { items: paginate(properties, url) } };
+    const b = [detailed, plain].find((x) => url.pathname === `/v2/reservations/bookings/${x.id}`);
+    return b ? { body: b } : { status: 404, body: { message: "Booking not found" } };
+  };
+  testEnv({ LODGIFY_API_BASE: upstream.url });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const detail = (id) => fetch(`${server.url}/api/lodgify/bookings/${id}`).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("desglosa la cotización, los pagos y el saldo de la reserva", async () => {
+  const { status, body } = await detail(10);
+  assert.equal(status, 200);
+
+  const call = upstream.calls.find((u) => u.pathname === "/v2/reservations/bookings/10");
+  assert.equal(call.searchParams.get("includeQuoteDetails"), "true");
+  assert.equal(call.searchParams.get("includeTransactions"), "true");
+
+  assert.equal(body.booking.propertyName, "Casa A");
+  assert.equal(body.booking.balance, 2905);
+  assert.equal(body.quote.source, "quote");
+  assert.deepEqual(
+    body.quote.lines.map((l) => [l.kind, l.description, l.amount]),
+    [
+      ["room", "4 noches", 3400],
+      ["fee", "Limpieza", 450],
+      ["discount", "Estancia larga", -200],
+      ["tax", "IVA / ISH", 500],
+    ]
+  );
+  assert.equal(body.quote.total, 4150);
+  assert.deepEqual(body.quote.subtotals, { room: 3400, fee: 450, discount: -200, tax: 500 });
+
+  // ordenados por fecha; el reembolso resta
+  assert.deepEqual(body.payments.map((p) => [p.id, p.date, p.amount]), [
+    ["t1", "2025-06-10", 1345],
+    ["t2", "2025-06-20", -100],
+  ]);
+});
+
+test("sin desglose usa el total como única línea", async () => {
+  const { status, body } = await detail(11);
+  assert.equal(status, 200);
+  assert.equal(body.quote.source, "total");
+  assert.deepEqual(body.quote.lines, [{ kind: "room", description: "Total de la reserva", amount: 900 }]);
+  assert.deepEqual(body.payments, []);
+  assert.equal(body.booking.balance, 900);
+});
+
+test("id inválido => 400; reserva inexistente => 404", async () => {
+  const bad = await detail("abc");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, "invalid_booking_id");
+
+  const missing = await detail(99);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, "booking_not_found");
+});
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadDashboard } from "./helpers.js";
+
+test("anticipación: creada después de la llegada cuenta como mismo día y se reporta aparte", () => {
+  const app = loadDashboard();
+  const recs = [
+    { id: 1, propertyName: "Casa A", channel: "Airbnb", status: "Booked", arrival: "2025-07-10", departure: "2025-07-12", createdAt: "2025-07-01T10:00:00" },
+    // capturada 3 días después de llegar
+    { id: 2, propertyName: "Casa A", channel: "Directo", status: "Booked", arrival: "2025-07-10", departure: "2025-07-12", createdAt: "2025-07-13T10:00:00" },
+    { id: 3, propertyName: "Casa A", channel: "Directo", status: "Booked", arrival: "2025-07-10", departure: "2025-07-12" },
+  ];
+  const S = app.run(`computeBookingStats(${JSON.stringify(recs)})`);
+  assert.equal(S.noCreated, 1);
+  assert.equal(S.bookedAfter, 1);
+  assert.equal(S.lead[0], 1); // mismo día
+  assert.equal(S.lead[2], 1); // 8–14 d
+  assert.equal(S.avgLead, 4.5);
+});
@@ -0,0 +1,192 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startUpstream, startApp, testEnv, makeBookings, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+before(async () => {
+  upstream = await startUpstream();
+  testEnv({ LODGIFY_API_BASE: upstream.url });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+});
+
+async function getBookings(qs) {
+  upstream.calls.length = 0;
+  const r = await fetch(`${server.url}/api/lodgify/bookings?fresh=1&${qs}`);
+  return { status: r.status, body: await r.json() };
+}
+
+const bookingCalls = () => upstream.calls.filter((u) => u.pathname === "/v2/reservations/bookings");
+
+test("page/size: para cuando la página viene incompleta (items.length < size)", async () => {
+  const all = makeBookings(25);
+  upstream.handler = (url) => ({ body: { items: paginate(all, url) } });
+
+  const { status, body } = await getBookings("size=10");
+  assert.equal(status, 200);
+  assert.equal(body.mode, "page/size");
+  assert.equal(body.total, 25);
+  assert.deepEqual(bookingCalls().map((u) => u.searchParams.get("page")), ["1", "2", "3"]);
+});
+
+test("page/size: para en la primera página vacía cuando el total es múltiplo de size", async () => {
+  const all = makeBookings(20);
+  upstream.handler = (url) => ({ body: { items: paginate(all, url) } });
+
+  const { body } = await getBookings("size=10");
+  assert.equal(body.mode, "page/size");
+  assert.equal(body.total, 20);
+  assert.equal(bookingCalls().length, 3);
+});
+
+test("upstream que ignora page: 2 estancamientos => fallback offset/limit", async () => {
+  const all = makeBookings(25);
+  upstream.handler = (url) => ({ body: { items: paginate(all, url, { ignorePage: true }) } });
+
+  const { status, body } = await getBookings("size=10");
+  assert.equal(status, 200);
+  assert.equal(body.mode, "offset/limit");
+  assert.equal(body.total, 25);
+  assert.equal(new Set(body.items.map((b) => b.id)).size, 25);
+
+  const calls = bookingCalls();
+  assert.deepEqual(calls.filter((u) => u.searchParams.has("page")).map((u) => u.searchParams.get("page")), ["1", "2", "3"]);
+  assert.deepEqual(calls.filter((u) => u.searchParams.has("offset")).map((u) => u.searchParams.get("offset")), ["0", "10", "20"]);
+  assert.ok(calls.filter((u) => u.searchParams.has("offset")).every((u) => u.searchParams.get("limit") === "10"));
+});
+
+test("un solo estancamiento no dispara el fallback", async () => {
+  // La página 2 repite la 1 una vez; la 3 ya avanza y viene incompleta
+  const all = makeBookings(25);
+  upstream.handler = (url) => {
+    const page = Number(url.searchParams.get("page"));
+    return { body: { items: page === 2 ? all.slice(0, 10) : paginate(all, url) } };
+  };
+
+  const { body } = await getBookings("size=10");
+  assert.equal(body.mode, "page/size");
+  assert.equal(bookingCalls().length, 3);
+});
+
+test("offset/limit también se usa cuando page/size no trae nada", async () => {
+  const all = makeBookings(5);
+  upstream.handler = (url) => ({ body: { items: url.searchParams.has("offset") ? paginate(all, url) : [] } });
+
+  const { body } = await getBookings("size=10");
+  assert.equal(body.mode, "offset/limit");
+  assert.equal(body.total, 5);
+});
+
+test("filtros se reenvían en cada página; los desconocidos no", async () => {
+  const all = makeBookings(15);
+  upstream.handler = (url) => ({ body: { items: paginate(all, url) } });
+
+  await getBookings("size=10&propertyId=101&status=Booked&bogus=1");
+  const calls = bookingCalls();
+  assert.equal(calls.length, 2);
+  for (const u of calls) {
+    assert.equal(u.searchParams.get("propertyId"), "101");
+    assert.equal(u.searchParams.get("status"), "Booked");
+    assert.equal(u.searchParams.has("bogus"), false);
+  }
+});
+
+test("falla a media paginación: status de Lodgify + progress", async () => {
+  const all = makeBookings(25);
+  upstream.handler = (url) =>
+    url.searchParams.get("page") === "2"
+      ? { status: 500, body: { message: "boom" } }
+      : { body: { items: paginate(all, url) } };
+
+  const { status, body } = await getBookings("size=10");
+  assert.equal(status, 500);
+  assert.equal(body.ok, false);
+  assert.equal(body.error, "lodgify_aggregate_failed");
+  assert.match(body.upstream, /boom/);
+  assert.equal(body.progress.chunksDone, 0);
+  assert.equal(body.progress.failedChunk.mode, "page/size");
+  assert.equal(body.progress.failedChunk.page, 2);
+  assert.equal(body.progress.failedChunk.itemsCollected, 10);
+});
+
+test("JSON inválido a media paginación => 504 lodgify_fetch_failed + progress", async () => {
+  const all = makeBookings(25);
+  upstream.handler = (url) =>
+    url.searchParams.get("page") === "2" ? { body: "<html>Bad gateway</html>" } : { body: { items: paginate(all, url) } };
+
+  const { status, body } = await getBookings("size=10");
+  assert.equal(status, 504);
+  assert.equal(body.error, "lodgify_fetch_failed");
+  assert.equal(body.progress.failedChunk.page, 2);
+});
+
+test("modo página (lodgifyGet): JSON inválido se reenvía como texto con el status de Lodgify", async () => {
+  upstream.handler = () => ({ status: 502, body: "upstream exploded" });
+
+  const r = await fetch(`${server.url}/api/lodgify/bookings?page=1&size=10`);
+  assert.equal(r.status, 502);
+  assert.match(r.headers.get("content-type"), /text\/plain/);
+  assert.equal(await r.text(), "upstream exploded");
+  assert.equal(r.headers.get("cache-control"), "no-store, no-cache, must-revalidate, proxy-revalidate");
+});
+
+test("modo página (lodgifyGet): reenvía page/size y el JSON tal cual", async () => {
+  const all = makeBookings(25);
+  upstream.handler = (url) => ({ body: { count: 25, items: paginate(all, url) } });
+
+  const r = await fetch(`${server.url}/api/lodgify/bookings?page=3&size=10`);
+  const body = await r.json();
+  assert.equal(r.status, 200);
+  assert.equal(body.count, 25);
+  assert.deepEqual(body.items.map((b) => b.id), [21, 22, 23, 24, 25]);
+});
+
+test("rango largo: ventanas mensuales; una estancia que cruza meses sale una sola vez", async () => {
+  const all = [
+    { id: 1, property_id: 101, arrival: "2025-01-10", departure: "2025-01-12", status: "Booked" },
+    // cruza enero -> febrero -> marzo: viene en las tres ventanas
+    { id: 2, property_id: 101, arrival: "2025-01-30", departure: "2025-03-02", status: "Booked" },
+    { id: 3, property_id: 101, arrival: "2025-02-14", departure: "2025-02-16", status: "Booked" },
+    { id: 4, property_id: 101, arrival: "2025-03-20", departure: "2025-03-22", status: "Booked" },
+  ];
+  // como Lodgify: from/to = estancias que se traslapan con la ventana
+  upstream.handler = (url) => {
+    const from = url.searchParams.get("from");
+    const to = url.searchParams.get("to");
+    return { body: { items: paginate(all.filter((b) => b.departure >= from && b.arrival <= to), url) } };
+  };
+
+  const { status, body } = await getBookings("size=10&from=2025-01-01&to=2025-03-31");
+  assert.equal(status, 200);
+  assert.equal(body.mode, "chunked");
+  assert.deepEqual(
+    bookingCalls().map((u) => [u.searchParams.get("from"), u.searchParams.get("to")]).sort(),
+    [
+      ["2025-01-01", "2025-01-31"],
+      ["2025-02-01", "2025-02-28"],
+      ["2025-03-01", "2025-03-31"],
+    ]
+  );
+  assert.deepEqual(body.chunks.map((c) => c.count), [2, 2, 2]);
+  assert.equal(body.total, 4);
+  assert.deepEqual(body.items.map((b) => b.id).sort(), [1, 2, 3, 4]);
+});
+
+test("rango de más de 600 meses: se corta en 600 ventanas", async () => {
+  upstream.handler = () => ({ body: { items: [] } });
+
+  const { status, body } = await getBookings("size=10&from=1900-01-01&to=2099-12-31");
+  assert.equal(status, 200);
+  assert.equal(body.chunks.length, 600);
+  // (ventana vacía => page/size + intento offset/limit: se cuentan ventanas distintas)
+  assert.equal(new Set(bookingCalls().map((u) => u.searchParams.get("from"))).size, 600);
+  assert.equal(body.chunks[0].from, "1900-01-01");
+  assert.equal(body.chunks.at(-1).to, "1949-12-31");
+});
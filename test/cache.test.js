@@ -0,0 +1,79 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startUpstream, startApp, testEnv, makeBookings, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+let version = 1;
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => {
+    if (url.pathname === "/v2/properties") return { body: { items: [{ id: 1, name: `Casa v${version}` }], count: 1 } };
+    return { body: { items: paginate(makeBookings(3), url) } };
+  };
+  testEnv({ LODGIFY_API_BASE: upstream.url, CACHE_TTL_PROPERTIES_MS: "200" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+});
+
+const callsTo = (pathname) => upstream.calls.filter((u) => u.pathname === pathname).length;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function get(path) {
+  const r = await fetch(`${server.url}${path}`);
+  return { cache: r.headers.get("x-cache"), body: await r.json() };
+}
+
+test("properties: MISS, HIT dentro del TTL, STALE después y refresco en segundo plano", async () => {
+  const first = await get("/api/lodgify/properties?page=1");
+  assert.equal(first.cache, "MISS");
+  assert.equal(callsTo("/v2/properties"), 1);
+
+  const second = await get("/api/lodgify/properties?page=1");
+  assert.equal(second.cache, "HIT");
+  assert.equal(callsTo("/v2/properties"), 1);
+
+  version = 2;
+  await sleep(250);
+  const stale = await get("/api/lodgify/properties?page=1");
+  assert.equal(stale.cache, "STALE");
+  assert.equal(stale.body.items[0].name, "Casa v1"); // se sirve lo viejo sin esperar
+  await sleep(50);
+  assert.equal(callsTo("/v2/properties"), 2);
+
+  const refreshed = await get("/api/lodgify/properties?page=1");
+  assert.equal(refreshed.cache, "HIT");
+  assert.equal(refreshed.body.items[0].name, "Casa v2");
+  assert.equal(callsTo("/v2/properties"), 2);
+});
+
+test("properties: fresh=1 se salta el cache", async () => {
+  const before = callsTo("/v2/properties");
+  const r = await get("/api/lodgify/properties?page=1&fresh=1");
+  assert.equal(r.cache, "MISS");
+  assert.equal(callsTo("/v2/properties"), before + 1);
+});
+
+test("bookings agregado: HIT no vuelve a Lodgify, fresh=1 sí", async () => {
+  const path = "/api/lodgify/bookings?size=10&from=2025-01-01&to=2025-01-31";
+  const first = await get(path);
+  assert.equal(first.cache, "MISS");
+  assert.equal(first.body.total, 3);
+  const calls = callsTo("/v2/reservations/bookings");
+  assert.ok(calls > 0);
+
+  const second = await get(path);
+  assert.equal(second.cache, "HIT");
+  assert.equal(second.body.total, 3);
+  assert.equal(callsTo("/v2/reservations/bookings"), calls);
+
+  const fresh = await get(`${path}&fresh=1`);
+  assert.equal(fresh.cache, "MISS");
+  assert.equal(callsTo("/v2/reservations/bookings"), calls * 2);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const properties = [{ id: 1, name: "Casa A", rooms: [] }];
+const bookings = [
+  { id: 10, property_id: 1, arrival: "2025-02-01", departure: "2025-02-03", status: "Booked", source: "AirbnbIntegration", total_amount: 1000 },
+  { id: 11, property_id: 1, arrival: "2025-03-01", departure: "2025-03-02", status: "Booked", source: "Manual", total_amount: 500 },
+  { id: 12, property_id: 1, arrival: "2025-04-01", departure: "2025-04-02", status: "Booked", source: "Hostfully", total_amount: 200 },
+];
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => ({ body: { items: paginate(url.pathname === "/v2/properties" ? properties : bookings, url) } });
+  testEnv({ LODGIFY_API_BASE: upstream.url, REGISTRY_TOKEN: "secret" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function call(method, path, body, token = "secret") {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+}
+
+const byId = (items) => Object.fromEntries(items.map((b) => [b.id, b]));
+
+test("modelo por defecto: comisión + IVA de la comisión => neto", async () => {
+  const { body } = await call("GET", "/api/reservations?year=2025&fresh=1");
+  const b = byId(body.reservations);
+  // Airbnb 15.5% + 16% sobre la comisión
+  assert.equal(b[10].commission, 155);
+  assert.equal(b[10].commissionTax, 24.8);
+  assert.equal(b[10].fees, 179.8);
+  assert.equal(b[10].net, 820.2);
+  // Directo: sin comisión
+  assert.equal(b[11].fees, 0);
+  assert.equal(b[11].net, 500);
+});
+
+test("PUT valida y reemplaza el modelo; canales sin entrada usan default", async () => {
+  let r = await call("PUT", "/api/channel-fees", { channels: { Airbnb: { pct: 150 } } });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.error, "invalid_channel_fees");
+
+  r = await call("PUT", "/api/channel-fees", { channels: { Airbnb: { pct: 3 } } }, null);
+  assert.equal(r.status, 401);
+
+  r = await call("PUT", "/api/channel-fees", {
+    default: { pct: 10, fixed: 0, taxPct: 0 },
+    channels: { airbnb: { pct: 3, fixed: 20, taxPct: 16 }, Directo: { pct: 0 } },
+  });
+  assert.equal(r.status, 200);
+
+  r = await call("GET", "/api/channel-fees");
+  assert.deepEqual(r.body.channels.airbnb, { pct: 3, fixed: 20, taxPct: 16 });
+  assert.ok(r.body.known.includes("Booking.com"));
+
+  const { body } = await call("GET", "/api/lodgify/bookings?normalized=1");
+  const b = byId(body.items);
+  assert.equal(b[10].fees, 58); // (30 + 20) × 1.16, llave sin distinguir mayúsculas
+  assert.equal(b[11].fees, 0);
+  assert.equal(b[12].channel, "Hostfully");
+  assert.equal(b[12].net, 180); // default 10%
+
+  const saved = JSON.parse(await fs.readFile(`${process.env.DATA_DIR}/channel-fees.json`, "utf8"));
+  assert.equal(saved.default.pct, 10);
+});
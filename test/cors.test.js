@@ -0,0 +1,67 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, testEnv } from "./helpers.js";
+
+const ALLOWED = "https://checkinnsaltillo-byte.github.io";
+const servers = [];
+
+after(() => Promise.all(servers.map((s) => s.close())));
+
+// La config de CORS se lee al importar => una instancia del módulo por combinación de env
+async function appWith(env, tag) {
+  testEnv(env);
+  const { default: app } = await import(`../index.js?cors=${tag}`);
+  const server = await startApp(app);
+  servers.push(server);
+  return server.url;
+}
+
+const health = (url, origin) => fetch(`${url}/api/health`, { headers: origin ? { Origin: origin } : {} });
+
+test("ALLOWED_ORIGINS + ALLOW_NULL_ORIGIN=true", async () => {
+  const url = await appWith({ ALLOWED_ORIGINS: ALLOWED, ALLOW_NULL_ORIGIN: "true" }, "null-on");
+
+  let r = await health(url, ALLOWED);
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("access-control-allow-origin"), ALLOWED);
+
+  // file:// manda Origin: "null"
+  r = await health(url, "null");
+  assert.equal(r.headers.get("access-control-allow-origin"), "null");
+
+  // Origen no permitido: se rechaza limpio (sin header, sin 500)
+  r = await health(url, "https://evil.example");
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("access-control-allow-origin"), null);
+
+  // Sin Origin (curl, server-to-server)
+  r = await health(url);
+  assert.equal(r.status, 200);
+});
+
+test("ALLOW_NULL_ORIGIN=false rechaza Origin: null", async () => {
+  const url = await appWith({ ALLOWED_ORIGINS: ALLOWED, ALLOW_NULL_ORIGIN: "false" }, "null-off");
+
+  const r = await health(url, "null");
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("access-control-allow-origin"), null);
+});
+
+test("sin ALLOWED_ORIGINS se permite cualquier origen", async () => {
+  const url = await appWith({ ALLOWED_ORIGINS: "", ALLOW_NULL_ORIGIN: "false" }, "open");
+
+  const r = await health(url, "https://anything.example");
+  assert.equal(r.headers.get("access-control-allow-origin"), "https://anything.example");
+});
+
+test("preflight OPTIONS => 204 con métodos permitidos", async () => {
+  const url = await appWith({ ALLOWED_ORIGINS: ALLOWED, ALLOW_NULL_ORIGIN: "true" }, "preflight");
+
+  const r = await fetch(`${url}/api/sync`, {
+    method: "OPTIONS",
+    headers: { Origin: ALLOWED, "Access-Control-Request-Method": "POST" },
+  });
+  assert.equal(r.status, 204);
+  assert.equal(r.headers.get("access-control-allow-origin"), ALLOWED);
+  assert.match(r.headers.get("access-control-allow-methods"), /POST/);
+});
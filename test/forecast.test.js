@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadDashboard } from "./helpers.js";
+
+// "hoy" fijo: el resultado no depende de la fecha en que corran las pruebas
+const today = "2025-06-15";
+const year = Number(today.slice(0, 4));
+const curYm = today.slice(0, 7);
+const openMonths = Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, "0")}`).filter((ym) => ym >= curYm);
+const minusYears = (ym, n) => `${Number(ym.slice(0, 4)) - n}${ym.slice(4)}`;
+const paceRow = (month, current, lastYear, lastYearFinal) => ({
+  month,
+  lastYearMonth: minusYears(month, 1),
+  current: { revenue: current },
+  lastYear: { revenue: lastYear },
+  lastYearFinal: { revenue: lastYearFinal },
+});
+
+test("pronóstico: el pickup del año anterior entra por el mes equivalente", () => {
+  const app = loadDashboard();
+  // hoy: 40 en libros; hace un año había 50 de 100 (pickup ×2); hace dos años 25 de 100 (pickup ×4)
+  const now = { totals: openMonths.map((ym) => paceRow(ym, 40, 50, 100)) };
+  const prev = { totals: openMonths.map((ym) => paceRow(minusYears(ym, 1), 50, 25, 100)) };
+  app.run(`FORECAST_PACE = ${JSON.stringify({ q: "t", now, prev })};`);
+
+  const fc = app.run(`computeForecast("${year}", "${today}")`);
+  assert.equal(fc.hasPace, true);
+  for (const m of fc.months.filter((x) => x.ym !== curYm)) {
+    // peso = promedio de lo que ya estaba en libros (0.5 y 0.25); pickup = promedio (2 y 4)
+    assert.equal(m.weight, 0.375);
+    assert.equal(m.expected, 0.375 * 40 * 3);
+    assert.equal(m.high, 0.375 * 40 * 4);
+  }
+});
+
+test("pronóstico: estacionalidad desde computeMonthlySeriesForYear de años anteriores", () => {
+  const app = loadDashboard();
+  const rows = [];
+  // dos años completos + los meses ya cerrados de este; julio vale 3 veces un mes normal
+  for (const y of [year - 2, year - 1, year]) {
+    for (let m = 1; m <= 12; m += 1) {
+      if (`${y}-${String(m).padStart(2, "0")}` >= curYm) break;
+      rows.push({ TIPO: "Ingreso", Mes: app.run(`mesOfYm("${y}-${String(m).padStart(2, "0")}")`), Año: String(y), CATEGORIA: "Rentas", CONCEPTO: "Casa A", "Cuenta bancaria": "BBVA", Monto: m === 7 ? 2400 : 800 });
+    }
+  }
+  app.run(`
+    RAW = ${JSON.stringify(rows)};
+    // solo el año en curso seleccionado: los anteriores se leen igual
+    FILTER_STATE["Año"] = new Set(["${year}"]);
+    FILTER_STATE.CATEGORIA = new Set(["Rentas"]);
+    FILTER_STATE.CONCEPTO = new Set(["Casa A"]);
+    FILTER_STATE["Cuenta bancaria"] = new Set(["BBVA"]);
+    FORECAST_PACE = null;
+  `);
+
+  const fc = app.run(`computeForecast("${year}", "${today}")`);
+  assert.equal(fc.hasSeason, true);
+  assert.equal(fc.seasonYears, 2);
+  // sin pace: estimado anual (11 × 800 + 2400) × participación del mes
+  for (const m of fc.months) assert.equal(Math.round(m.expected), m.ym.endsWith("-07") ? 2400 : 800);
+});
+
+test("pronóstico: el año en curso sale del `today` inyectado", async () => {
+  const app = loadDashboard();
+  assert.equal(app.run(`computeForecast("2024", "2025-01-01")`), null); // año cerrado
+  assert.notEqual(app.run(`computeForecast("2025", "2025-01-01")`), null);
+
+  // pace solo para el año de `today`, de su mes en adelante
+  assert.equal(await app.run(`loadForecastPace("2026", "2025-06-15")`), false);
+  await app.run(`loadForecastPace("2025", "2025-06-15")`);
+  assert.equal(app.run("FORECAST_PACE.q"), "2025-06-15|7");
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const properties = [
+  { id: 1, name: "Casa A", rooms: [] },
+  { id: 2, name: "Casa B", rooms: [] },
+];
+
+const bookings = [
+  // Casa A (1 unidad): noche suelta el 5 de julio, hueco de 3 noches del 10 al 13; ADR = 2400 / 10 = 240
+  { id: 1, property_id: 1, arrival: "2025-07-01", departure: "2025-07-05", status: "Booked", total_amount: 800, guest: { name: "Ana" } },
+  { id: 2, property_id: 1, arrival: "2025-07-06", departure: "2025-07-10", status: "Booked", total_amount: 1200, guest: { name: "Beto" } },
+  { id: 3, property_id: 1, arrival: "2025-07-13", departure: "2025-07-15", status: "Booked", total_amount: 400 },
+  // cancelada: no tapa el hueco
+  { id: 4, property_id: 1, arrival: "2025-07-05", departure: "2025-07-06", status: "Declined", total_amount: 300 },
+  // Casa B (2 unidades, registro): llena el 1-2 y el 4-5 => el 3 quedan 2 noches-unidad libres; ADR = 100
+  { id: 5, property_id: 2, arrival: "2025-07-01", departure: "2025-07-03", status: "Booked", total_amount: 200 },
+  { id: 6, property_id: 2, arrival: "2025-07-01", departure: "2025-07-03", status: "Booked", total_amount: 200 },
+  { id: 7, property_id: 2, arrival: "2025-07-04", departure: "2025-07-06", status: "Booked", total_amount: 200 },
+  { id: 8, property_id: 2, arrival: "2025-07-04", departure: "2025-07-06", status: "Booked", total_amount: 200 },
+];
+
+// Como Lodgify: estancias que se traslapan con [from, to]
+const inRange = (url) => {
+  const from = url.searchParams.get("from");
+  const to = url.searchParams.get("to");
+  return bookings.filter((b) => (!from || b.departure >= from) && (!to || b.arrival <= to));
+};
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => {
+    if (url.pathname === "/v2/properties") return { body: { items: paginate(properties, url) } };
+    return { body: { items: paginate(inRange(url), url) } };
+  };
+  testEnv({ LODGIFY_API_BASE: upstream.url, REGISTRY_TOKEN: "secret" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+
+  const r = await fetch(`${server.url}/api/properties`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: "Bearer secret" },
+    body: JSON.stringify({ name: "Casa B", lodgifyId: "2", units: 2 }),
+  });
+  assert.equal(r.status, 201);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const gaps = (qs) => fetch(`${server.url}/api/analytics/gaps?${qs}`).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("encuentra noches huérfanas entre estancias con las reservas vecinas y la pérdida al ADR", async () => {
+  const { status, body } = await gaps("from=2025-07-01&to=2025-07-31&minStay=2");
+  assert.equal(status, 200);
+  assert.equal(body.minStay, 2);
+  assert.deepEqual(
+    body.gaps.map((g) => [g.propertyName, g.arrival, g.departure, g.nights, g.freeUnitNights, g.lostRevenue]),
+    [
+      ["Casa B", "2025-07-03", "2025-07-04", 1, 2, 200],
+      ["Casa A", "2025-07-05", "2025-07-06", 1, 1, 240],
+    ]
+  );
+
+  const a = body.gaps[1];
+  assert.equal(a.adr, 240);
+  assert.deepEqual(a.before.map((b) => [b.id, b.guestName]), [[1, "Ana"]]);
+  assert.deepEqual(a.after.map((b) => [b.id, b.guestName]), [[2, "Beto"]]);
+  assert.equal(body.gaps[0].before.length, 2);
+  assert.deepEqual(body.totals, { gaps: 2, nights: 3, lostRevenue: 440 });
+});
+
+test("minStay más alto incluye huecos más largos; from recorta por primera noche", async () => {
+  const { body } = await gaps("from=2025-07-01&to=2025-07-31&minStay=4");
+  const long = body.gaps.find((g) => g.arrival === "2025-07-10");
+  assert.equal(long.nights, 3);
+  assert.equal(long.lostRevenue, 720);
+
+  const later = await gaps("from=2025-07-06&to=2025-07-31&minStay=4");
+  assert.deepEqual(later.body.gaps.map((g) => g.arrival), ["2025-07-10"]);
+});
+
+test("rango de más de 365 días: la noche previa a `from` también se trae", async () => {
+  // to − 365 días cae después de `from`: la reserva 1 (sale el 5) solo entra por la noche previa
+  const { status, body } = await gaps("from=2025-07-05&to=2026-08-31&minStay=2");
+  assert.equal(status, 200);
+  const first = body.gaps.find((g) => g.arrival === "2025-07-05");
+  assert.ok(first, "hueco del 5 de julio");
+  assert.deepEqual(first.before.map((b) => b.id), [1]);
+  assert.equal(first.adr, null); // sin reservas en los 365 días previos a `to`
+
+  const windows = upstream.calls.filter((u) => u.pathname === "/v2/reservations/bookings").map((u) => u.searchParams.get("from"));
+  assert.ok(windows.includes("2025-07-04"));
+});
+
+test("valida minStay y el rango", async () => {
+  const bad = await gaps("minStay=1");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, "invalid_min_stay");
+
+  const range = await gaps("from=2025-08-01&to=2025-07-01");
+  assert.equal(range.status, 400);
+  assert.equal(range.body.error, "invalid_range");
+});
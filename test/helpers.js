@@ -0,0 +1,115 @@
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import vm from "node:vm";
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+/**
+ * Lodgify falso. `upstream.handler(url)` regresa { status, body, headers, delayMs }
+ * (body: objeto => JSON, string => tal cual). `upstream.calls` guarda cada URL pedida.
+ */
+export async function startUpstream() {
+  const upstream = {
+    calls: [],
+    handler: () => ({ status: 404, body: { message: "no handler" } }),
+  };
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://upstream");
+    upstream.calls.push(url);
+    const out = (await upstream.handler(url, req)) || {};
+    if (out.delayMs) await new Promise((resolve) => setTimeout(resolve, out.delayMs));
+    if (res.destroyed) return;
+    const body = typeof out.body === "string" ? out.body : JSON.stringify(out.body ?? {});
+    res.writeHead(out.status || 200, { "Content-Type": "application/json", ...out.headers });
+    res.end(body);
+  });
+  upstream.url = await listen(server);
+  upstream.close = () => close(server);
+  return upstream;
+}
+
+// Levanta el `app` de Express en un puerto libre
+export async function startApp(app) {
+  const server = http.createServer(app);
+  const url = await listen(server);
+  return { url, close: () => close(server) };
+}
+
+// Entorno mínimo para importar index.js sin tocar disco real ni Lodgify
+export function testEnv(overrides = {}) {
+  Object.assign(process.env, {
+    LODGIFY_API_KEY: "test-key",
+    LODGIFY_MODE: "live",
+    LODGIFY_MAX_RETRIES: "0",
+    BOOKING_STORE: "false",
+    DATA_DIR: path.join(os.tmpdir(), `checkinn-test-${process.pid}`),
+    ...overrides,
+  });
+}
+
+export function makeBookings(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: i + 1,
+    property_id: 101,
+    arrival: "2025-03-01",
+    departure: "2025-03-03",
+    status: "Booked",
+  }));
+}
+
+// Paginación como Lodgify: page/size u offset/limit. ignorePage => siempre la 1a página.
+export function paginate(items, url, { ignorePage = false } = {}) {
+  const q = url.searchParams;
+  if (q.has("offset")) {
+    const offset = Number(q.get("offset"));
+    return items.slice(offset, offset + Number(q.get("limit")));
+  }
+  const size = Number(q.get("size"));
+  const page = ignorePage ? 1 : Number(q.get("page") || 1);
+  return items.slice((page - 1) * size, page * size);
+}
+
+/**
+ * Carga app.js (script clásico del dashboard) en un contexto aislado, sin DOM ni red: cualquier
+ * elemento es un stub que acepta todo y fetch siempre falla. `run(code)` evalúa en ese contexto
+ * (ve las funciones y los let/const de app.js).
+ */
+export function loadDashboard() {
+  const any = new Proxy(function () {}, {
+    get: (t, k) => (k === "then" ? undefined : ["value", "textContent", "innerHTML"].includes(k) ? "" : any),
+    apply: () => any,
+    set: () => true,
+  });
+  const quiet = { log() {}, warn() {}, error() {}, info() {} };
+  const ctx = {
+    console: quiet,
+    setTimeout,
+    clearTimeout,
+    URL,
+    AbortController,
+    document: any,
+    localStorage: { getItem: () => null, setItem() {} },
+    location: { href: "http://localhost/" },
+    fetch: async () => {
+      throw new Error("offline");
+    },
+    addEventListener() {},
+    alert() {},
+  };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  const file = new URL("../app.js", import.meta.url);
+  vm.runInContext(fs.readFileSync(file, "utf8"), ctx, { filename: "app.js" });
+  return { run: (code) => vm.runInContext(code, ctx) };
+}
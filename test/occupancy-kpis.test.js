@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadDashboard } from "./helpers.js";
+
+test("ocupación: un fetch fallido queda como error de esa consulta y se limpia al cambiar filtros", async () => {
+  const app = loadDashboard();
+  await new Promise((resolve) => setTimeout(resolve, 10)); // deja terminar la carga inicial (offline)
+  app.run(`FILTER_STATE["Año"] = new Set(["2025"]);`);
+
+  // datos viejos de otra consulta
+  app.run(`RES_OCC = { from: "2024-01-01", to: "2024-12-31", totals: {}, rows: [] }; RES_OCC_Q = "old";`);
+  assert.equal(await app.run("loadOccupancy()"), true);
+  assert.equal(app.run("RES_OCC"), null);
+  assert.equal(app.run("RES_OCC_ERR"), "offline");
+  assert.equal(app.run("RES_OCC_Q"), app.run("occupancyQuery().q"));
+
+  // el error no se queda pegado a otra consulta
+  app.run(`FILTER_STATE["Año"] = new Set(["2026"]);`);
+  const pending = app.run("loadOccupancy()");
+  assert.equal(app.run("RES_OCC_ERR"), null);
+  assert.equal(await pending, true);
+  assert.equal(app.run("RES_OCC_ERR"), "offline");
+  assert.match(app.run("RES_OCC_Q"), /2026/);
+});
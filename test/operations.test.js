@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const properties = [
+  { id: 1, name: "Casa A", rooms: [] },
+  { id: 2, name: "Casa B", rooms: [] },
+];
+
+const bookings = [
+  // Casa A: sale Ana y llega Beto el 2 de julio => cambio
+  { id: 1, property_id: 1, arrival: "2025-06-28", departure: "2025-07-02", status: "Booked", total_amount: 800, amount_paid: 800, guest: { name: "Ana" }, people: 2 },
+  { id: 2, property_id: 1, arrival: "2025-07-02", departure: "2025-07-05", status: "Booked", total_amount: 900, amount_paid: 300, guest: { name: "Beto" }, people: 3, source: "AirbnbIntegration" },
+  // Casa B: llega el 1, sale después de la ventana
+  { id: 3, property_id: 2, arrival: "2025-07-01", departure: "2025-07-10", status: "Booked", total_amount: 1000, guest: { name: "Caro" } },
+  // cancelada: no aparece
+  { id: 4, property_id: 2, arrival: "2025-07-02", departure: "2025-07-03", status: "Declined", total_amount: 200, guest: { name: "Dani" } },
+];
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => {
+    if (url.pathname === "/v2/properties") return { body: { items: paginate(properties, url) } };
+    return { body: { items: paginate(bookings, url) } };
+  };
+  // UTC+14: buena parte del día su fecha ya no es la de UTC
+  testEnv({ LODGIFY_API_BASE: upstream.url, TZ_OPS: "Pacific/Kiritimati" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const turnovers = (qs) => fetch(`${server.url}/api/operations/turnovers?${qs}`).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("lista por día llegadas, salidas y cambios con huésped, canal y saldo", async () => {
+  const { status, body } = await turnovers("from=2025-07-01&days=3");
+  assert.equal(status, 200);
+  assert.equal(body.to, "2025-07-03");
+  assert.deepEqual(body.days.map((d) => d.date), ["2025-07-01", "2025-07-02", "2025-07-03"]);
+  assert.deepEqual(body.totals, { arrivals: 2, departures: 1, turnovers: 1 });
+
+  const [jul1, jul2, jul3] = body.days;
+  assert.deepEqual(jul1.properties.map((p) => [p.propertyName, p.arrivals.map((a) => a.guestName)]), [["Casa B", ["Caro"]]]);
+
+  const [casaA] = jul2.properties;
+  assert.equal(casaA.propertyName, "Casa A");
+  assert.equal(casaA.turnover, true);
+  assert.deepEqual(casaA.departures.map((d) => d.guestName), ["Ana"]);
+  const beto = casaA.arrivals[0];
+  assert.equal(beto.guests, 3);
+  assert.equal(beto.channel, "Airbnb");
+  assert.equal(beto.balance, 600);
+
+  assert.deepEqual(jul3.properties, []);
+});
+
+test("filtra por alojamiento y valida days / from", async () => {
+  const { body } = await turnovers("from=2025-07-01&days=3&property=Casa%20B");
+  assert.deepEqual(body.totals, { arrivals: 1, departures: 0, turnovers: 0 });
+
+  const bad = await turnovers("days=40");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, "invalid_range");
+  assert.equal((await turnovers("from=julio")).status, 400);
+});
+
+test("sin from arranca en el día de TZ_OPS, no en el de UTC", async () => {
+  const today = new Intl.DateTimeFormat("en-CA", { timeZone: "Pacific/Kiritimati" }).format(new Date());
+  const { status, body } = await turnovers("days=1");
+  assert.equal(status, 200);
+  assert.equal(body.from, today);
+});
@@ -0,0 +1,70 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startApp, testEnv } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  testEnv({ REGISTRY_TOKEN: "secret" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function call(method, p, body, token = "secret") {
+  return fetch(`${server.url}${p}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (r) => ({ status: r.status, headers: r.headers, body: await r.json() }));
+}
+
+const statement = (payout) => ({ basis: "stay", properties: [{ id: "1", name: "Casa A", totals: { payout } }], totals: { payout } });
+
+test("emitir sin token => 401 y no se guarda nada", async () => {
+  const { status, body } = await call("POST", "/api/owner-statements", { owner: "Fam. López", month: "2025-01", statement: statement(1) }, null);
+  assert.equal(status, 401);
+  assert.equal(body.error, "unauthorized");
+  assert.deepEqual((await call("GET", "/api/owner-statements", undefined, null)).body.items, []);
+});
+
+test("valida owner, month y statement", async () => {
+  const { status, body } = await call("POST", "/api/owner-statements", { owner: "", month: "2025-13", statement: {} });
+  assert.equal(status, 400);
+  assert.equal(body.error, "invalid_statement");
+  assert.equal(body.details.length, 4);
+});
+
+test("cada emisión es una versión nueva e inmutable", async () => {
+  const a = await call("POST", "/api/owner-statements", { owner: "Fam. López", month: "2025-02", statement: statement(1000) });
+  assert.equal(a.status, 201);
+  assert.equal(a.body.item.id, "fam-lopez-2025-02-v1");
+  assert.equal(a.body.item.hash.length, 64);
+
+  const b = await call("POST", "/api/owner-statements", { owner: "Fam. López", month: "2025-02", statement: statement(900) });
+  assert.equal(b.body.item.id, "fam-lopez-2025-02-v2");
+  await call("POST", "/api/owner-statements", { owner: "Otro", month: "2025-02", statement: statement(5) });
+
+  const list = await call("GET", "/api/owner-statements?owner=fam.%20l%C3%B3pez");
+  assert.deepEqual(list.body.items.map((s) => s.version).sort(), [1, 2]);
+  assert.equal(list.body.items[0].statement, undefined);
+
+  const one = await call("GET", "/api/owner-statements/fam-lopez-2025-02-v1");
+  assert.equal(one.body.item.statement.totals.payout, 1000);
+
+  const dl = await call("GET", "/api/owner-statements/fam-lopez-2025-02-v1?download=1");
+  assert.match(dl.headers.get("content-disposition"), /fam-lopez-2025-02-v1\.json/);
+
+  assert.equal((await call("PUT", "/api/owner-statements/fam-lopez-2025-02-v1", statement(1))).status, 405);
+  assert.equal((await call("DELETE", "/api/owner-statements/fam-lopez-2025-02-v1")).status, 405);
+  assert.equal((await call("GET", "/api/owner-statements/nope")).status, 404);
+
+  const files = await fs.readdir(path.join(process.env.DATA_DIR, "owner-statements"));
+  assert.equal(files.length, 3);
+});
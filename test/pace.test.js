@@ -0,0 +1,74 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const properties = [
+  { id: 1, name: "Casa A", rooms: [] },
+  { id: 2, name: "Casa B", rooms: [] },
+];
+
+// asOf = 2025-06-15 => año pasado a 2024-06-15
+const bookings = [
+  // en libros hoy: 2 noches de julio
+  { id: 1, property_id: 1, arrival: "2025-07-10", departure: "2025-07-12", status: "Booked", total_amount: 1000, source: "AirbnbIntegration", created_at: "2025-05-01T10:00:00" },
+  // creada después de asOf: no cuenta
+  { id: 2, property_id: 1, arrival: "2025-07-20", departure: "2025-07-22", status: "Booked", total_amount: 800, created_at: "2025-06-20T10:00:00" },
+  // julio del año pasado, ya en libros a 2024-06-15
+  { id: 3, property_id: 2, arrival: "2024-07-01", departure: "2024-07-04", status: "Booked", total_amount: 900, source: "Manual", created_at: "2024-06-01T10:00:00" },
+  // julio del año pasado, reservada después: solo en lastYearFinal
+  { id: 4, property_id: 2, arrival: "2024-07-10", departure: "2024-07-11", status: "Booked", total_amount: 400, source: "Manual", created_at: "2024-07-01T10:00:00" },
+  // cancelada después de 2024-06-15: en libros entonces, fuera del final
+  { id: 5, property_id: 1, arrival: "2024-06-20", departure: "2024-06-22", status: "Declined", total_amount: 600, created_at: "2024-05-01T10:00:00", updated_at: "2024-06-20T10:00:00" },
+  // cancelada antes de asOf: no cuenta hoy
+  { id: 6, property_id: 1, arrival: "2025-06-25", departure: "2025-06-27", status: "Declined", total_amount: 500, created_at: "2025-05-01T10:00:00", updated_at: "2025-06-01T10:00:00" },
+];
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => {
+    if (url.pathname === "/v2/properties") return { body: { items: paginate(properties, url) } };
+    return { body: { items: paginate(bookings, url) } };
+  };
+  testEnv({ LODGIFY_API_BASE: upstream.url });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+});
+
+const pace = (qs) => fetch(`${server.url}/api/analytics/pace?${qs}`).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("compara en libros hoy vs mismo día del año pasado por mes de estancia", async () => {
+  const { status, body } = await pace("asOf=2025-06-15&months=2");
+  assert.equal(status, 200);
+  assert.equal(body.lastYearAsOf, "2024-06-15");
+  assert.deepEqual(body.months, ["2025-06", "2025-07"]);
+
+  const [jun, jul] = body.totals;
+  assert.equal(jun.lastYearMonth, "2024-06");
+  assert.deepEqual(jun.current, { bookings: 0, nights: 0, revenue: 0 });
+  assert.deepEqual(jun.lastYear, { bookings: 1, nights: 2, revenue: 600 });
+  assert.equal(jun.lastYearFinal.nights, 0);
+
+  assert.deepEqual(jul.current, { bookings: 1, nights: 2, revenue: 1000 });
+  assert.deepEqual(jul.lastYear, { bookings: 1, nights: 3, revenue: 900 });
+  assert.deepEqual(jul.lastYearFinal, { bookings: 2, nights: 4, revenue: 1300 });
+  assert.equal(jul.change.nights, Math.round((-1 / 3) * 10000) / 10000);
+
+  const channels = Object.fromEntries(body.byChannel.map((r) => [r.key, r]));
+  assert.equal(channels.Airbnb.current.nights, 2);
+  assert.equal(channels.Directo.lastYear.nights, 5); // id 3 + id 5 (sin source => Directo)
+  const casaB = body.byProperty.find((r) => r.key === "Casa B");
+  assert.equal(casaB.months[1].lastYearFinal.revenue, 1300);
+});
+
+test("asOf / months inválidos => 400", async () => {
+  assert.equal((await pace("asOf=15-06-2025")).status, 400);
+  assert.equal((await pace("months=40")).body.error, "invalid_range");
+});
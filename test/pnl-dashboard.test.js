@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadDashboard } from "./helpers.js";
+
+test("P&L: usa las reservas del año completo aunque la pestaña R esté filtrada", async () => {
+  const app = loadDashboard();
+  await new Promise((resolve) => setTimeout(resolve, 10)); // deja terminar la carga inicial (offline)
+  const stay = (id, propertyName) => ({ id, propertyName, channel: "Directo", status: "Booked", arrival: "2025-07-10", departure: "2025-07-12", total: 1000 });
+  app.run(`
+    // la pestaña R filtrada a Casa A; el P&L trae su propia lista
+    RES_RAW = ${JSON.stringify([stay(1, "Casa A")])};
+    PNL_BOOKINGS = { year: "2025", basis: REVENUE_BASIS, items: ${JSON.stringify([stay(1, "Casa A"), stay(2, "Casa B")])}, error: null };
+    PNL_RULES = [{ match: "Limpieza", method: "nights" }];
+    RAW = [{ TIPO: "Egreso", Mes: mesOfYm("2025-07"), Año: "2025", CATEGORIA: "Limpieza", CONCEPTO: "General", Monto: -800 }];
+    FILTER_STATE["Año"] = new Set(["2025"]);
+    renderPnl();
+  `);
+  const rows = Object.fromEntries(app.run("PNL_RESULT.rows").map((x) => [x.name, x.totals]));
+  assert.equal(rows["Casa B"].revenue, 1000);
+  // mismas noches => la limpieza se reparte a la mitad, no toda a Casa A
+  assert.equal(rows["Casa A"].allocated, 400);
+  assert.equal(rows["Casa B"].allocated, 400);
+});
+
+test("P&L: sin las reservas del año cargadas no calcula con RES_RAW", async () => {
+  const app = loadDashboard();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  app.run(`
+    RES_RAW = [{ id: 1, propertyName: "Casa A", status: "Booked", arrival: "2025-07-10", departure: "2025-07-12", total: 1000 }];
+    FILTER_STATE["Año"] = new Set(["2025"]);
+    renderPnl();
+  `);
+  assert.equal(app.run("PNL_RESULT.rows.length"), 0);
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startApp, testEnv } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  testEnv({ REGISTRY_TOKEN: "secret" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function putRules(rules, token = "secret") {
+  return fetch(`${server.url}/api/pnl/rules`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify({ rules }),
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+}
+
+test("escritura sin token => 401", async () => {
+  const { status, body } = await putRules([{ match: "LUZ", method: "nights" }], null);
+  assert.equal(status, 401);
+  assert.equal(body.error, "unauthorized");
+});
+
+test("reglas inválidas => 400 invalid_rules", async () => {
+  const { status, body } = await putRules([
+    { match: "", method: "nights" },
+    { match: "LUZ", method: "m2" },
+    { match: "CONTADOR", method: "fixed", shares: { "Casa A": 70, "Casa B": 40 } },
+  ]);
+  assert.equal(status, 400);
+  assert.equal(body.error, "invalid_rules");
+  assert.equal(body.details.length, 3);
+});
+
+test("guarda, normaliza y persiste las reglas", async () => {
+  const { status, body } = await putRules([
+    { match: " LUZ ", method: "nights", properties: "Casa A, Casa B" },
+    { match: "CONTADOR", method: "fixed", shares: { "Casa A": "60", "Casa B": 40 } },
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(body.rules[0], { match: "LUZ", method: "nights", properties: ["Casa A", "Casa B"] });
+  assert.deepEqual(body.rules[1].shares, { "Casa A": 60, "Casa B": 40 });
+
+  const got = await fetch(`${server.url}/api/pnl/rules`).then((r) => r.json());
+  assert.equal(got.rules.length, 2);
+  const saved = JSON.parse(await fs.readFile(path.join(process.env.DATA_DIR, "pnl-rules.json"), "utf8"));
+  assert.equal(saved.rules[1].method, "fixed");
+});
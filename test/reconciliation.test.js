@@ -0,0 +1,64 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startApp, testEnv } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  testEnv({ REGISTRY_TOKEN: "secret" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function decide(body, token = "secret") {
+  return fetch(`${server.url}/api/reconciliation/decisions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body),
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+}
+
+const list = () => fetch(`${server.url}/api/reconciliation/decisions`).then((r) => r.json());
+
+test("escritura sin token => 401 y no se guarda nada", async () => {
+  const r = await decide({ bookingId: 1, movementKey: "m1", decision: "confirmed" }, null);
+  assert.equal(r.status, 401);
+  assert.equal(r.body.error, "unauthorized");
+  assert.equal((await decide({ bookingId: 1, movementKey: "m1", decision: "confirmed" }, "otro")).status, 401);
+  assert.equal((await list()).total, 0);
+});
+
+test("valida bookingId, movementKey y decision", async () => {
+  assert.equal((await decide({ movementKey: "m1", decision: "confirmed" })).status, 400);
+  assert.equal((await decide({ bookingId: 1, movementKey: "m1", decision: "maybe" })).body.error, "invalid_decision");
+});
+
+test("confirmar, conflicto, rechazar y deshacer; se persiste en disco", async () => {
+  let r = await decide({ bookingId: 1, movementKey: "m1", decision: "confirmed", movement: { Monto: 1940 } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.item.bookingId, "1");
+
+  // m1 ya está confirmado con la reserva 1
+  r = await decide({ bookingId: 2, movementKey: "m1", decision: "confirmed" });
+  assert.equal(r.status, 409);
+
+  // rechazar no choca con nada
+  r = await decide({ bookingId: 2, movementKey: "m1", decision: "rejected" });
+  assert.equal(r.status, 200);
+  assert.equal((await list()).total, 2);
+
+  const file = JSON.parse(await fs.readFile(path.join(process.env.DATA_DIR, "reconciliation.json"), "utf8"));
+  assert.deepEqual(file.decisions.map((d) => d.decision).sort(), ["confirmed", "rejected"]);
+
+  r = await decide({ bookingId: 1, movementKey: "m1", decision: "pending" });
+  assert.equal(r.body.item, null);
+  const { items } = await list();
+  assert.deepEqual(items.map((d) => `${d.bookingId}|${d.decision}`), ["2|rejected"]);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const properties = [
+  { id: 1, name: "Casa A", rooms: [] },
+  { id: 2, name: "Casa B", rooms: [] },
+];
+const bookings = [
+  { id: 10, property_id: 1, arrival: "2025-02-01", departure: "2025-02-03", status: "Booked", total_amount: 1000 },
+  // deja el 3 de febrero como noche huérfana en Casa A
+  { id: 11, property_id: 1, arrival: "2025-02-04", departure: "2025-02-06", status: "Booked", total_amount: 1000 },
+];
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = (url) => ({ body: { items: paginate(url.pathname === "/v2/properties" ? properties : bookings, url) } });
+  testEnv({ LODGIFY_API_BASE: upstream.url, REGISTRY_TOKEN: "secret" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function call(method, path, body, token = "secret") {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+}
+
+test("escritura sin token => 401", async () => {
+  const { status } = await call("POST", "/api/properties", { name: "X" }, null);
+  assert.equal(status, 401);
+});
+
+test("validación => 400 invalid_property", async () => {
+  const { status, body } = await call("POST", "/api/properties", { name: "", units: 0, activeFrom: "2025-05-01", activeTo: "2025-01-01" });
+  assert.equal(status, 400);
+  assert.equal(body.error, "invalid_property");
+  assert.equal(body.details.length, 3);
+});
+
+test("alta, edición parcial, lectura y baja", async () => {
+  let r = await call("POST", "/api/properties", {
+    lodgifyId: 1,
+    name: "Casa A Centro",
+    group: "Centro",
+    units: 2,
+    aliases: { categoria: "CASA A" },
+  });
+  assert.equal(r.status, 201);
+  assert.equal(r.body.item.id, "1");
+  assert.deepEqual(r.body.item.aliases, { categoria: ["CASA A"], concepto: [] });
+
+  r = await call("POST", "/api/properties", { lodgifyId: 1, name: "Otra" });
+  assert.equal(r.status, 409);
+
+  r = await call("PUT", "/api/properties/1", { owner: "Fam. López", aliases: { concepto: ["Renta A"] } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.item.units, 2);
+  assert.equal(r.body.item.owner, "Fam. López");
+  assert.deepEqual(r.body.item.aliases, { categoria: ["CASA A"], concepto: ["Renta A"] });
+
+  // El listado incluye los de Lodgify sin registrar
+  r = await call("GET", "/api/properties");
+  const byId = Object.fromEntries(r.body.items.map((p) => [p.id, p]));
+  assert.equal(byId["1"].registered, true);
+  assert.equal(byId["1"].lodgifyName, "Casa A");
+  assert.equal(byId["2"].registered, false);
+
+  // El nombre del registro reemplaza al de Lodgify en las reservas
+  r = await call("GET", "/api/reservations?year=2025&fresh=1");
+  assert.equal(r.body.reservations[0].propertyName, "Casa A Centro");
+
+  // units del registro => noches disponibles
+  r = await call("GET", "/api/analytics/occupancy?from=2025-02-01&to=2025-02-28&groupBy=property&property=1");
+  assert.equal(r.body.rows[0].availableNights, 56);
+
+  r = await call("DELETE", "/api/properties/1");
+  assert.equal(r.status, 200);
+  assert.equal((await call("GET", "/api/properties/1")).status, 404);
+});
+
+test("una reserva de un alojamiento fuera de vigencia no lo vuelve a meter", async () => {
+  let r = await call("POST", "/api/properties", { lodgifyId: 1, name: "Casa A", activeTo: "2025-01-31" });
+  assert.equal(r.status, 201);
+
+  // Casa A ya no está vigente en febrero: solo cuenta la oferta de Casa B, sin la reserva 10
+  r = await call("GET", "/api/analytics/occupancy?from=2025-02-01&to=2025-02-28&groupBy=property");
+  assert.deepEqual(r.body.rows.map((x) => x.propertyName), ["Casa B"]);
+  assert.equal(r.body.totals.availableNights, 28);
+  assert.equal(r.body.totals.bookedNights, 0);
+
+  // ni sus huecos (la noche huérfana del 3 de febrero)
+  r = await call("GET", "/api/analytics/gaps?from=2025-02-01&to=2025-02-28");
+  assert.deepEqual(r.body.gaps, []);
+
+  await call("DELETE", "/api/properties/1");
+});
+
+test("config.json apunta el registro del dashboard a /api/properties", async () => {
+  const config = JSON.parse(await fs.readFile(new URL("../config.json", import.meta.url), "utf8"));
+  const r = await call("GET", config.registryEndpoint, null, null);
+  assert.equal(r.status, 200);
+  assert.ok(r.body.items.length > 0);
+  // los campos del registro que usan P&L, estados de cuenta y mapa de calor
+  for (const p of r.body.items) assert.equal(typeof p.registered, "boolean");
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startUpstream, startApp, testEnv, makeBookings, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+before(async () => {
+  upstream = await startUpstream();
+  testEnv({
+    LODGIFY_API_BASE: upstream.url,
+    LODGIFY_MAX_RETRIES: "3",
+    LODGIFY_RETRY_BASE_MS: "10",
+    LODGIFY_RETRY_BUDGET_MS: "1500",
+  });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+});
+
+// Falla las primeras `n` llamadas con `failure`, luego responde bien
+function failFirst(n, failure) {
+  upstream.calls.length = 0;
+  let i = 0;
+  upstream.handler = (url) => (i++ < n ? failure : { body: { items: paginate(makeBookings(3), url) } });
+}
+
+const page = () => fetch(`${server.url}/api/lodgify/bookings?page=1&size=10`).then(async (r) => ({ status: r.status, body: await r.text() }));
+
+test("429 con Retry-After: espera lo que pide Lodgify y reintenta", async () => {
+  failFirst(1, { status: 429, headers: { "Retry-After": "1" }, body: { message: "slow down" } });
+  const t0 = Date.now();
+  const { status, body } = await page();
+  assert.equal(status, 200);
+  assert.equal(JSON.parse(body).items.length, 3);
+  assert.equal(upstream.calls.length, 2);
+  assert.ok(Date.now() - t0 >= 900, "respetó Retry-After");
+});
+
+test("5xx: backoff y reintento hasta que responde", async () => {
+  failFirst(2, { status: 503, body: { message: "unavailable" } });
+  const { status } = await page();
+  assert.equal(status, 200);
+  assert.equal(upstream.calls.length, 3);
+});
+
+test("se agotan los reintentos: regresa el último error de Lodgify", async () => {
+  failFirst(Infinity, { status: 500, body: "boom" });
+  const { status, body } = await page();
+  assert.equal(status, 500);
+  assert.equal(body, "boom");
+  assert.equal(upstream.calls.length, 4); // 1 + LODGIFY_MAX_RETRIES
+});
+
+test("Retry-After más largo que el presupuesto: no se espera", async () => {
+  failFirst(Infinity, { status: 429, headers: { "Retry-After": "5" }, body: "later" });
+  const t0 = Date.now();
+  const { status } = await page();
+  assert.equal(status, 429);
+  assert.equal(upstream.calls.length, 1);
+  assert.ok(Date.now() - t0 < 1000);
+});
+
+test("4xx no reintentable: una sola llamada", async () => {
+  failFirst(Infinity, { status: 404, body: "nope" });
+  assert.equal((await page()).status, 404);
+  assert.equal(upstream.calls.length, 1);
+});
+
+test("modo agregado: los reintentos se reportan en la respuesta", async () => {
+  failFirst(1, { status: 502, body: "bad gateway" });
+  const r = await fetch(`${server.url}/api/lodgify/bookings?fresh=1&size=10`);
+  const body = await r.json();
+  assert.equal(r.status, 200);
+  assert.equal(body.total, 3);
+  assert.equal(body.retries, 1);
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import { startUpstream, startApp, testEnv, paginate } from "./helpers.js";
+
+let upstream;
+let server;
+
+const SECRET = "s3cret";
+
+const snapshot = [
+  { id: 1, property_id: 1, arrival: "2025-07-01", departure: "2025-07-03", status: "Booked", updated_at: "2025-01-01T00:00:00Z" },
+];
+
+before(async () => {
+  upstream = await startUpstream();
+  // el snapshot tarda: da tiempo a que entre un webhook a mitad del sync
+  upstream.handler = (url) => {
+    if (url.pathname === "/v2/properties") return { body: { items: [] } };
+    return { body: { items: paginate(snapshot, url) }, delayMs: 300 };
+  };
+  testEnv({ LODGIFY_API_BASE: upstream.url, BOOKING_STORE: "true", LODGIFY_WEBHOOK_SECRET: SECRET });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const webhook = (body) =>
+  fetch(`${server.url}/api/webhooks/lodgify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Webhook-Secret": SECRET },
+    body: JSON.stringify(body),
+  }).then((r) => r.json());
+
+test("sync completo no pierde los webhooks aplicados mientras bajaba el snapshot", async () => {
+  const sync = fetch(`${server.url}/api/sync?full=1`, { method: "POST" }).then((r) => r.json());
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  const now = new Date().toISOString();
+  await webhook({ action: "booking_change", booking: { id: 1, status: "Declined", updated_at: now } });
+  await webhook({ action: "booking_new", booking: { id: 2, property_id: 1, arrival: "2025-08-01", departure: "2025-08-02", status: "Booked", updated_at: now } });
+
+  const result = await sync;
+  assert.equal(result.ok, true);
+  assert.equal(result.total, 2);
+  assert.equal(result.removed, 0);
+
+  const { items } = await fetch(`${server.url}/api/lodgify/bookings`).then((r) => r.json());
+  const byId = Object.fromEntries(items.map((b) => [b.id, b]));
+  assert.equal(byId[1].status, "Declined");
+  assert.equal(byId[2].status, "Booked");
+
+  // y lo mismo quedó en disco
+  const lines = (await fs.readFile(`${process.env.DATA_DIR}/bookings.jsonl`, "utf8")).trim().split("\n");
+  assert.deepEqual(lines.map((l) => JSON.parse(l).id).sort(), [1, 2]);
+  const leftovers = (await fs.readdir(process.env.DATA_DIR)).filter((f) => f.endsWith(".tmp"));
+  assert.deepEqual(leftovers, []);
+});
+
+// Entrega firmada como la manda Lodgify: HMAC del body crudo + id de evento
+const signed = (body, eventId) => {
+  const raw = JSON.stringify(body);
+  const sig = crypto.createHmac("sha256", SECRET).update(raw).digest("hex");
+  return fetch(`${server.url}/api/webhooks/lodgify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "ms-signature": `sha256=${sig}`, "x-lodgify-event-id": eventId },
+    body: raw,
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+};
+
+const storedBooking = async (id) => {
+  const lines = (await fs.readFile(`${process.env.DATA_DIR}/bookings.jsonl`, "utf8")).trim().split("\n");
+  return lines.map((l) => JSON.parse(l)).find((b) => b.id === id);
+};
+
+test("webhook firmado se aplica al store; la re-entrega se reporta como duplicada y no se aplica", async () => {
+  const created = { action: "booking_new", booking: { id: 3, property_id: 1, arrival: "2025-09-01", departure: "2025-09-04", status: "Booked", updated_at: "2025-06-01T00:00:00Z" } };
+  const first = await signed(created, "evt-1");
+  assert.equal(first.status, 200);
+  assert.equal(first.body.results[0].result, "applied");
+  assert.equal(first.body.results[0].message, "inserted");
+  assert.equal((await storedBooking(3)).status, "Booked");
+
+  // cambio posterior con otro id de evento
+  const declined = { action: "booking_change", booking: { id: 3, status: "Declined", updated_at: "2025-06-02T00:00:00Z" } };
+  assert.equal((await signed(declined, "evt-2")).body.results[0].result, "applied");
+
+  // Lodgify re-entrega evt-1: no debe regresar la reserva a "Booked"
+  const replay = await signed(created, "evt-1");
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.results[0].result, "duplicate");
+  const stored = await storedBooking(3);
+  assert.equal(stored.status, "Declined");
+  assert.equal(stored.updated_at, "2025-06-02T00:00:00Z");
+
+  const log = await fetch(`${server.url}/api/webhooks/log`).then((r) => r.json());
+  const evt1 = log.entries.filter((e) => e.key === "evt-1:0").map((e) => e.result);
+  assert.deepEqual(evt1.sort(), ["applied", "duplicate"]);
+});
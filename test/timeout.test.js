@@ -0,0 +1,42 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startUpstream, startApp, testEnv } from "./helpers.js";
+
+let upstream;
+let server;
+
+before(async () => {
+  upstream = await startUpstream();
+  upstream.handler = () => ({ delayMs: 1000, body: { items: [] } });
+  testEnv({ LODGIFY_API_BASE: upstream.url, LODGIFY_TIMEOUT_MS: "100" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+});
+
+test("lodgifyGet: timeout de Lodgify => 504 lodgify_timeout", async () => {
+  const r = await fetch(`${server.url}/api/lodgify/bookings?page=1`);
+  const body = await r.json();
+  assert.equal(r.status, 504);
+  assert.equal(body.ok, false);
+  assert.equal(body.error, "lodgify_timeout");
+  assert.equal(body.path, "/v2/reservations/bookings");
+});
+
+test("modo agregado: timeout => 504 lodgify_timeout con progress", async () => {
+  const r = await fetch(`${server.url}/api/lodgify/bookings?fresh=1`);
+  const body = await r.json();
+  assert.equal(r.status, 504);
+  assert.equal(body.error, "lodgify_timeout");
+  assert.equal(body.progress.failedChunk.page, 1);
+});
+
+test("properties: timeout => 504 lodgify_timeout", async () => {
+  const r = await fetch(`${server.url}/api/lodgify/properties?fresh=1`);
+  assert.equal(r.status, 504);
+  assert.equal((await r.json()).error, "lodgify_timeout");
+});
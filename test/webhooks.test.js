@@ -0,0 +1,53 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import { startUpstream, startApp, testEnv } from "./helpers.js";
+
+let upstream;
+let server;
+
+const SECRET = "s3cret";
+
+// Sin booking store (BOOKING_STORE=false de testEnv)
+before(async () => {
+  upstream = await startUpstream();
+  testEnv({ LODGIFY_API_BASE: upstream.url, LODGIFY_WEBHOOK_SECRET: SECRET });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await upstream.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const event = JSON.stringify({ action: "booking_change", booking: { id: 1, status: "Booked" } });
+
+const post = (qs, headers = {}) =>
+  fetch(`${server.url}/api/webhooks/lodgify${qs}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: event,
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("el secreto en el query string no autentica", async () => {
+  const { status, body } = await post(`?secret=${SECRET}`);
+  assert.equal(status, 401);
+  assert.equal(body.error, "invalid_signature");
+});
+
+test("sin booking store responde 409 aunque la firma sea válida", async () => {
+  const byHeader = await post("", { "X-Webhook-Secret": SECRET });
+  assert.equal(byHeader.status, 409);
+  assert.equal(byHeader.body.error, "store_disabled");
+
+  const sig = crypto.createHmac("sha256", SECRET).update(event).digest("hex");
+  const bySignature = await post("", { "ms-signature": `sha256=${sig}` });
+  assert.equal(bySignature.status, 409);
+
+  // no se escribió nada
+  const files = await fs.readdir(process.env.DATA_DIR).catch(() => []);
+  assert.ok(!files.includes("bookings.jsonl"));
+});
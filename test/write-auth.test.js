@@ -0,0 +1,45 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { startApp, testEnv } from "./helpers.js";
+
+let server;
+
+// Ni REGISTRY_TOKEN ni SYNC_TOKEN: la escritura no queda abierta
+before(async () => {
+  testEnv({ REGISTRY_TOKEN: "", SYNC_TOKEN: "" });
+  const { default: app } = await import("../index.js");
+  server = await startApp(app);
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const call = (method, p, body) =>
+  fetch(`${server.url}${p}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: "Bearer anything" },
+    body: JSON.stringify(body),
+  }).then(async (r) => ({ status: r.status, body: await r.json() }));
+
+test("sin token configurado toda escritura responde 503 writes_disabled", async () => {
+  const writes = [
+    ["POST", "/api/properties", { name: "Casa A", lodgifyId: "1" }],
+    ["PUT", "/api/properties/casa-a", { name: "Casa A" }],
+    ["DELETE", "/api/properties/casa-a"],
+    ["PUT", "/api/channel-fees", { default: { pct: 10 } }],
+    ["POST", "/api/reconciliation/decisions", { bookingId: "1", movementKey: "k", decision: "confirmed" }],
+    ["PUT", "/api/pnl/rules", { rules: [] }],
+    ["POST", "/api/owner-statements", { owner: "Fam. López", month: "2025-01", statement: { properties: [], totals: {} } }],
+  ];
+  for (const [method, p, body] of writes) {
+    const r = await call(method, p, body);
+    assert.equal(r.status, 503, `${method} ${p}`);
+    assert.equal(r.body.error, "writes_disabled");
+  }
+  // nada se escribió
+  const files = await fs.readdir(process.env.DATA_DIR).catch(() => []);
+  assert.deepEqual(files.filter((f) => f.endsWith(".json")), []);
+});